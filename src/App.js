@@ -1,13 +1,119 @@
 import "./App.css";
-import { BrowserRouter, Routes, Route } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import Navigation from "./components/Navigation";
 import AddPaymentEntry from "./components/add-payment-entry/AddPaymentEntry";
 import Dashboard from "./components/dashboard/Dashboard";
 import AddUserEntry from "./components/add-user-entry/AddUserEntry";
 import DeleteUser from "./components/delete-user/DeleteUser";
 import AddLoanEntry from "./components/add-loan-entry/AddLoanEntry";
+import MemberLedger from "./components/member-ledger/MemberLedger";
+import MonthlyReport from "./components/monthly-report/MonthlyReport";
+import DataExport from "./components/data-export/DataExport";
+import ImportTransactions from "./components/import-transactions/ImportTransactions";
+import GroupSettings from "./components/group-settings/GroupSettings";
+import LateFeeRules from "./components/late-fee-rules/LateFeeRules";
+import SyncStatus from "./components/sync-status/SyncStatus";
+import UpdatePrompt from "./components/update-prompt/UpdatePrompt";
+import QuotaBanner from "./components/quota-banner/QuotaBanner";
+import GroupOverview from "./components/group-overview/GroupOverview";
+import UserAccounts from "./components/user-accounts/UserAccounts";
+import Login from "./components/login/Login";
+import AuditLog from "./components/audit-log/AuditLog";
+import LoanReconciliation from "./components/loan-reconciliation/LoanReconciliation";
+import LoanApplications from "./components/loan-applications/LoanApplications";
+import ArrearsReport from "./components/arrears-report/ArrearsReport";
+import YearEnd from "./components/year-end/YearEnd";
+import LoanProducts from "./components/loan-products/LoanProducts";
+import { dataManager } from "./utils/dataManager";
+import { groups } from "./utils/groups";
+import { auth, can } from "./utils/auth";
+
+// Screens and the permission needed to open them (see utils/auth.js)
+const ROUTES = [
+  { path: "/", element: <Dashboard />, permission: "viewDashboard" },
+  {
+    path: "/add-payment",
+    element: <AddPaymentEntry />,
+    permission: "recordPayments",
+  },
+  {
+    path: "/add-member",
+    element: <AddUserEntry />,
+    permission: "manageMembers",
+  },
+  {
+    path: "/delete-member",
+    element: <DeleteUser />,
+    permission: "manageMembers",
+  },
+  { path: "/add-loan", element: <AddLoanEntry />, permission: "manageLoans" },
+  {
+    path: "/loans/applications",
+    element: <LoanApplications />,
+    permission: "manageLoans",
+  },
+  {
+    path: "/loans/reconcile",
+    element: <LoanReconciliation />,
+    permission: "manageLoans",
+  },
+  { path: "/members/:name", element: <MemberLedger /> },
+  {
+    path: "/reports/monthly",
+    element: <MonthlyReport />,
+    permission: "viewReports",
+  },
+  {
+    path: "/reports/arrears",
+    element: <ArrearsReport />,
+    permission: "viewReports",
+  },
+  { path: "/export", element: <DataExport />, permission: "viewReports" },
+  { path: "/year-end", element: <YearEnd />, permission: "manageSettings" },
+  {
+    path: "/import",
+    element: <ImportTransactions />,
+    permission: "recordPayments",
+  },
+  {
+    path: "/settings",
+    element: <GroupSettings />,
+    permission: "manageSettings",
+  },
+  {
+    path: "/settings/late-fees",
+    element: <LateFeeRules />,
+    permission: "manageSettings",
+  },
+  {
+    path: "/settings/loan-products",
+    element: <LoanProducts />,
+    permission: "manageSettings",
+  },
+  { path: "/groups", element: <GroupOverview />, permission: "viewGroups" },
+  { path: "/users", element: <UserAccounts />, permission: "manageUsers" },
+  { path: "/audit", element: <AuditLog />, permission: "viewAuditLog" },
+];
+
+// Where a user lands: members see their own ledger
+const homePath = (user) =>
+  can(user, "viewDashboard")
+    ? "/"
+    : `/members/${encodeURIComponent(user.MemberName || "")}`;
 
 function App() {
+  const [groupId, setGroupId] = useState(dataManager.getActiveGroup().id);
+  const [user, setUser] = useState(auth.getUser());
+
+  // Screens remount on a group switch so they load the new group's data
+  useEffect(() => groups.onActiveChange((group) => setGroupId(group.id)), []);
+  useEffect(() => auth.onChange(setUser), []);
+
+  const allowed = ROUTES.filter(
+    (route) => !route.permission || can(user, route.permission)
+  );
+
   return (
     <BrowserRouter>
       <div className="App">
@@ -15,13 +121,26 @@ function App() {
           <Navigation />
         </div>
         <div className="main-content">
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/add-payment" element={<AddPaymentEntry />} />
-            <Route path="/add-member" element={<AddUserEntry />} />
-            <Route path="/delete-member" element={<DeleteUser />} />
-            <Route path="/add-loan" element={<AddLoanEntry />} />
-          </Routes>
+          <UpdatePrompt />
+          <QuotaBanner />
+          <SyncStatus />
+          {user ? (
+            <Routes key={groupId}>
+              {allowed.map((route) => (
+                <Route
+                  key={route.path}
+                  path={route.path}
+                  element={route.element}
+                />
+              ))}
+              <Route
+                path="*"
+                element={<Navigate to={homePath(user)} replace />}
+              />
+            </Routes>
+          ) : (
+            <Login key={groupId} />
+          )}
         </div>
       </div>
     </BrowserRouter>
@@ -0,0 +1,25 @@
+import React from "react";
+import { exportTable } from "../utils/exporters";
+
+const ExportButtons = ({ basename, columns, rows, sheetName }) => {
+  return (
+    <span className="export-buttons no-print">
+      <button
+        type="button"
+        className="submit-btn"
+        onClick={() => exportTable("csv", basename, columns, rows, sheetName)}
+      >
+        Export CSV
+      </button>
+      <button
+        type="button"
+        className="submit-btn"
+        onClick={() => exportTable("xlsx", basename, columns, rows, sheetName)}
+      >
+        Export Excel
+      </button>
+    </span>
+  );
+};
+
+export default ExportButtons;
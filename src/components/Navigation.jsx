@@ -1,9 +1,26 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
+import { dataManager } from '../utils/dataManager';
+import { groups } from '../utils/groups';
+import { auth, can } from '../utils/auth';
 import './Navigation.css';
 
 export default function Navigation() {
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const [groupList, setGroupList] = useState(groups.getAll());
+  const [activeGroup, setActiveGroup] = useState(dataManager.getActiveGroup());
+  const [user, setUser] = useState(auth.getUser());
+
+  useEffect(() => {
+    const unsubGroups = groups.onChange(setGroupList);
+    const unsubActive = groups.onActiveChange(setActiveGroup);
+    const unsubAuth = auth.onChange(setUser);
+    return () => {
+      unsubGroups();
+      unsubActive();
+      unsubAuth();
+    };
+  }, []);
 
   const toggleDrawer = () => {
     setIsDrawerOpen(!isDrawerOpen);
@@ -13,13 +30,49 @@ export default function Navigation() {
     setIsDrawerOpen(false);
   };
 
+  const handleGroupChange = (e) => {
+    try {
+      dataManager.switchGroup(e.target.value);
+      closeDrawer();
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleSignOut = () => {
+    dataManager.logout();
+    closeDrawer();
+  };
+
+  // Each item needs the same permission as its route in App.js
   const navItems = [
-    { path: '/', label: 'Dashboard' },
-    { path: '/add-payment', label: 'Add Payment' },
-    { path: '/add-member', label: 'Add Member' },
-    { path: '/add-loan', label: 'Add Loan' },
-    { path: '/delete-member', label: 'Delete Member' }
-  ];
+    { path: '/', label: 'Dashboard', permission: 'viewDashboard' },
+    { path: '/add-payment', label: 'Add Payment', permission: 'recordPayments' },
+    { path: '/add-member', label: 'Add Member', permission: 'manageMembers' },
+    { path: '/add-loan', label: 'Add Loan', permission: 'manageLoans' },
+    { path: '/loans/applications', label: 'Loan Applications', permission: 'manageLoans' },
+    { path: '/loans/reconcile', label: 'Reconcile Loans', permission: 'manageLoans' },
+    { path: '/reports/monthly', label: 'Monthly Report', permission: 'viewReports' },
+    { path: '/reports/arrears', label: 'Arrears', permission: 'viewReports' },
+    { path: '/export', label: 'Export Data', permission: 'viewReports' },
+    { path: '/import', label: 'Import Data', permission: 'recordPayments' },
+    { path: '/groups', label: 'All Groups', permission: 'viewGroups' },
+    { path: '/year-end', label: 'Year-End Closing', permission: 'manageSettings' },
+    { path: '/settings', label: 'Group Settings', permission: 'manageSettings' },
+    { path: '/settings/late-fees', label: 'Late Fee Rules', permission: 'manageSettings' },
+    { path: '/settings/loan-products', label: 'Loan Products', permission: 'manageSettings' },
+    { path: '/users', label: 'User Accounts', permission: 'manageUsers' },
+    { path: '/audit', label: 'Audit Log', permission: 'viewAuditLog' },
+    { path: '/delete-member', label: 'Delete Member', permission: 'manageMembers' }
+  ].filter((item) => can(user, item.permission));
+
+  // Members only see their own ledger
+  if (user && user.MemberName && !can(user, 'viewAllLedgers')) {
+    navItems.unshift({
+      path: `/members/${encodeURIComponent(user.MemberName)}`,
+      label: 'My Ledger'
+    });
+  }
 
   return (
     <>
@@ -39,7 +92,7 @@ export default function Navigation() {
         aria-label="Main navigation"
       >
         <div className="drawer-header">
-          <h2>Menu</h2>
+          <h2>{activeGroup.name}</h2>
           <button
             className="close-btn"
             onClick={closeDrawer}
@@ -49,6 +102,24 @@ export default function Navigation() {
           </button>
         </div>
 
+        {/* Group Switcher (only with more than one group) */}
+        {groupList.length > 1 && (
+          <div className="group-switcher">
+            <label htmlFor="group-select">Group</label>
+            <select
+              id="group-select"
+              value={activeGroup.id}
+              onChange={handleGroupChange}
+            >
+              {groupList.map((group) => (
+                <option key={group.id} value={group.id}>
+                  {group.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <ul className="nav-list">
           {navItems.map((item) => (
             <li key={item.path}>
@@ -62,6 +133,18 @@ export default function Navigation() {
             </li>
           ))}
         </ul>
+
+        {/* Signed-in User */}
+        {user && (
+          <div className="user-info">
+            <span>
+              {user.Name} ({user.Role})
+            </span>
+            <button className="sign-out-btn" onClick={handleSignOut}>
+              Sign out
+            </button>
+          </div>
+        )}
       </nav>
 
       {/* Overlay (closes drawer when clicked on mobile) */}
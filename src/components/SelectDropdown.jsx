@@ -8,12 +8,20 @@ const SelectDropdown = ({
   onChange,
   required = false,
 }) => {
+  // Keep computed or stored values selectable even when not a preset option
+  const allOptions =
+    value !== "" &&
+    value !== undefined &&
+    !options.map(String).includes(String(value))
+      ? [value, ...options]
+      : options;
+
   return (
     <>
       <label>{label}</label>
       <select name={name} value={value} onChange={onChange} required={required}>
         <option value="">Select {label.toLowerCase()}</option>
-        {options.map((opt, i) => (
+        {allOptions.map((opt, i) => (
           <option key={i} value={opt}>
             {opt}
           </option>
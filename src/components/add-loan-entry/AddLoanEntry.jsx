@@ -1,20 +1,42 @@
 import React, { useState, useEffect } from "react";
 import { dataManager } from "../../utils/dataManager";
+import { generateSchedule } from "../../utils/loanSchedule";
+import { withDerivedBalances } from "../../utils/loanBalances";
+import {
+  activeProducts,
+  productOptions,
+  validateLoan,
+} from "../../utils/loanProducts";
+import { checkEligibility } from "../../utils/eligibility";
+import { validateGuarantors } from "../../utils/guarantors";
+import { LOAN_STATES, isOpenLoan, isPending } from "../../utils/loanWorkflow";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
 import "./AddLoanEntry.css";
 import SelectDropdown from "../SelectDropdown";
+import LoanSchedule from "../loan-schedule/LoanSchedule";
 
-const loanAmounts = ["10000", "15000", "30000"];
-const statusOptions = ["Active", "Closed"];
+const initialFormData = () => ({
+  Name: "",
+  Product: "",
+  Date: new Date().toISOString().split("T")[0],
+  LoanAmount: "",
+  InterestRate: "",
+  InterestMethod: "Flat",
+  Tenure: "",
+  StartDate: "",
+  Guarantor1: "",
+  Guarantor2: "",
+});
 
 const AddLoanEntry = () => {
   const [members, setMembers] = useState([]);
-  const [formData, setFormData] = useState({
-    Name: "",
-    Date: new Date().toISOString().split("T")[0],
-    LoanAmount: "",
-    Status: "Active",
-  });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [products, setProducts] = useState([]);
+  const [formData, setFormData] = useState(initialFormData());
   const [showModal, setShowModal] = useState(false);
+  const [eligibility, setEligibility] = useState(null);
+  const [approver, setApprover] = useState({ Name: "", Pin: "" });
+  const [approvedBy, setApprovedBy] = useState("");
   const [message, setMessage] = useState("");
   const [messageType, setMessageType] = useState("success");
 
@@ -32,11 +54,126 @@ const AddLoanEntry = () => {
       setMembers(memberList);
     });
 
-    return unsubscribe;
+    // Loan amounts and terms offered by the group
+    dataManager.getSettings().then(setSettings);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+    dataManager.getLoanProducts().then((data) => setProducts(data || []));
+    const unsubProducts = dataManager.onLoanProductsUpdate(setProducts);
+
+    return () => {
+      unsubscribe();
+      unsubSettings();
+      unsubProducts();
+    };
   }, []);
 
+  // Terms on offer depend on the product chosen
+  const offered = activeProducts(products);
+  const product =
+    offered.find((p) => p.Name === formData.Product) || offered[0];
+  const options = productOptions(product, settings);
+
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
+    setEligibility(null);
+  };
+
+  // A product with a fixed rate or method fills it in
+  const handleProductChange = (e) => {
+    const next = offered.find((p) => p.Name === e.target.value) || offered[0];
+    const nextOptions = productOptions(next, settings);
+
+    setEligibility(null);
+    setFormData({
+      ...formData,
+      Product: next.Name,
+      LoanAmount: "",
+      Tenure: "",
+      InterestRate: next.InterestRate || "",
+      InterestMethod: next.InterestMethod || nextOptions.interestMethods[0],
+    });
+  };
+
+  // Guarantors are other active members
+  const guarantors = [formData.Guarantor1, formData.Guarantor2].filter(Boolean);
+  const guarantorOptions = members
+    .map((m) => m.Name)
+    .filter((name) => name !== formData.Name);
+
+  // Repayments start from the loan date unless a start date is given
+  const startDate = formData.StartDate || formData.Date;
+
+  const schedule = generateSchedule({
+    principal: formData.LoanAmount,
+    monthlyRate: formData.InterestRate,
+    method: formData.InterestMethod,
+    tenure: formData.Tenure,
+    startDate,
+  });
+
+  // -------------------------
+  // ELIGIBILITY (BEFORE CONFIRMATION)
+  // -------------------------
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const guarantorError = validateGuarantors({
+      borrower: formData.Name,
+      guarantors,
+      members,
+    });
+    if (guarantorError) {
+      setMessage(guarantorError);
+      setMessageType("error");
+      return;
+    }
+
+    let loans, transactions;
+    try {
+      [loans, transactions] = await Promise.all([
+        dataManager.getLoans(),
+        dataManager.getTransactions(),
+      ]);
+    } catch (error) {
+      console.error("Error loading data for the eligibility check:", error);
+      setMessage(
+        "Could not load loans and payments to check eligibility. Try again when online."
+      );
+      setMessageType("error");
+      return;
+    }
+
+    const result = checkEligibility({
+      memberName: formData.Name,
+      requested: formData.LoanAmount,
+      members,
+      transactions,
+      loans,
+      settings,
+    });
+
+    setEligibility(result);
+    setApprovedBy("");
+    if (result.eligible) setShowModal(true);
+  };
+
+  // A refused loan goes ahead only with a second officer's PIN
+  const handleOverride = async (e) => {
+    e.preventDefault();
+
+    try {
+      const name = await dataManager.verifyApprover(
+        approver.Name,
+        approver.Pin,
+        "manageLoans"
+      );
+      setApprovedBy(name);
+      setApprover({ Name: "", Pin: "" });
+      setShowModal(true);
+    } catch (error) {
+      setMessage(error.message);
+      setMessageType("error");
+    }
   };
 
   // -------------------------
@@ -54,40 +191,59 @@ const AddLoanEntry = () => {
         return;
       }
 
-      // Get all loans
-      const loans = await dataManager.getLoans();
-
-      // Check if member already has an ACTIVE loan
-      const hasActiveLoan = loans.some(
-        (l) => l.Name === formData.Name && l.Status === "Active"
+      // Get all loans, with their status derived from the payments
+      const loans = withDerivedBalances(
+        await dataManager.getLoans(),
+        await dataManager.getTransactions()
       );
 
-      // Block if active loan exists
-      if (hasActiveLoan) {
-        setMessage(
-          "This member already has an active loan. Please close it before adding a new loan."
-        );
+      // Product limits and the cap on loans held at once; applications
+      // still in the queue count towards the cap
+      const error = validateLoan({
+        loan: formData,
+        product,
+        activeLoans: loans.filter(
+          (l) => l.Name === formData.Name && (isOpenLoan(l) || isPending(l))
+        ),
+        maxLoans: settings.maxConcurrentLoans[0],
+      });
+
+      if (error) {
+        setMessage(error);
         setMessageType("error");
         setShowModal(false);
         return;
       }
 
-      // Add NEW loan (only when no active loan exists)
-      await dataManager.addLoan({
-        ...formData,
-        RemainingLoan: Number(formData.LoanAmount), // important
-        Status: "Active",
+      const { Guarantor1, Guarantor2, ...loan } = formData;
+      const result = await dataManager.addLoan({
+        ...loan,
+        Guarantors: guarantors.join(", "),
+        ...(approvedBy && {
+          OverrideApprovedBy: approvedBy,
+          OverrideReasons: eligibility.reasons.join("; "),
+        }),
+        Product: product.Name,
+        StartDate: startDate,
+        Emi: schedule[0]?.emi || "",
+        Schedule: JSON.stringify(schedule),
+        // Nothing is owed until the loan is disbursed
+        RemainingLoan: 0,
+        Status: LOAN_STATES.APPLIED,
+        AppliedOn: formData.Date,
       });
 
-      setMessage("Loan added successfully!");
+      setMessage(
+        result?.queued
+          ? "No connection - application saved on this device and pending sync."
+          : "Loan application recorded. It goes to the next meeting for approval."
+      );
+      setMessageType("success");
 
       setShowModal(false);
-      setFormData({
-        Name: "",
-        Date: new Date().toISOString().split("T")[0],
-        LoanAmount: "",
-        Status: "Active",
-      });
+      setEligibility(null);
+      setApprovedBy("");
+      setFormData(initialFormData());
     } catch (error) {
       console.error("Error updating loan:", error);
       setMessage("Error updating loan details.");
@@ -103,13 +259,7 @@ const AddLoanEntry = () => {
         </p>
       )}
 
-      <form
-        onSubmit={(e) => {
-          e.preventDefault();
-          setShowModal(true);
-        }}
-        className="loan-form"
-      >
+      <form onSubmit={handleSubmit} className="loan-form">
         <SelectDropdown
           label="Name"
           name="Name"
@@ -119,6 +269,15 @@ const AddLoanEntry = () => {
           required
         />
 
+        <SelectDropdown
+          label="Loan Product"
+          name="Product"
+          value={product.Name}
+          options={offered.map((p) => p.Name)}
+          onChange={handleProductChange}
+          required
+        />
+
         <label>Date</label>
         <input
           type="date"
@@ -132,32 +291,118 @@ const AddLoanEntry = () => {
           label="Loan Amount"
           name="LoanAmount"
           value={formData.LoanAmount}
-          options={loanAmounts}
+          options={options.loanAmounts}
+          onChange={handleChange}
+          required
+        />
+
+        <SelectDropdown
+          label="Interest Rate (% per month)"
+          name="InterestRate"
+          value={formData.InterestRate}
+          options={options.interestRateOptions}
+          onChange={handleChange}
+          required
+        />
+
+        <SelectDropdown
+          label="Interest Method"
+          name="InterestMethod"
+          value={formData.InterestMethod}
+          options={options.interestMethods}
           onChange={handleChange}
           required
         />
 
         <SelectDropdown
-          label="Status"
-          name="Status"
-          value={formData.Status}
-          options={statusOptions}
+          label="Tenure (months)"
+          name="Tenure"
+          value={formData.Tenure}
+          options={options.tenureOptions}
           onChange={handleChange}
           required
         />
 
+        <label>Repayment Start Date</label>
+        <input
+          type="date"
+          name="StartDate"
+          value={startDate}
+          onChange={handleChange}
+        />
+
+        <SelectDropdown
+          label="Guarantor"
+          name="Guarantor1"
+          value={formData.Guarantor1}
+          options={guarantorOptions.filter((n) => n !== formData.Guarantor2)}
+          onChange={handleChange}
+          required
+        />
+
+        <SelectDropdown
+          label="Second Guarantor (optional)"
+          name="Guarantor2"
+          value={formData.Guarantor2}
+          options={guarantorOptions.filter((n) => n !== formData.Guarantor1)}
+          onChange={handleChange}
+        />
+
         <button type="submit" className="submit-btn">
-          Add Loan
+          Submit Application
         </button>
       </form>
 
+      {eligibility && !eligibility.eligible && (
+        <div className="eligibility-panel">
+          <h3>Not eligible</h3>
+          <p>
+            <strong>Maximum eligible amount:</strong> ₹{eligibility.maxAmount}
+          </p>
+          <ul className="eligibility-reasons">
+            {eligibility.reasons.map((reason) => (
+              <li key={reason}>{reason}</li>
+            ))}
+          </ul>
+
+          <form className="override-form" onSubmit={handleOverride}>
+            <p>To grant the loan anyway, a second officer must approve:</p>
+            <label>Approver Name</label>
+            <input
+              type="text"
+              value={approver.Name}
+              onChange={(e) =>
+                setApprover({ ...approver, Name: e.target.value })
+              }
+              required
+            />
+            <label>Approver PIN</label>
+            <input
+              type="password"
+              inputMode="numeric"
+              value={approver.Pin}
+              onChange={(e) =>
+                setApprover({ ...approver, Pin: e.target.value })
+              }
+              required
+            />
+            <button type="submit" className="override-btn">
+              Approve Override
+            </button>
+          </form>
+        </div>
+      )}
+
       {showModal && (
         <div className="modal-overlay">
-          <div className="modal">
-            <h3>Confirm Loan Entry</h3>
+          <div className="modal modal-wide">
+            <h3>Confirm Loan Application</h3>
             <p>
               <strong>Name:</strong> {formData.Name}
             </p>
+            <p>
+              <strong>Product:</strong> {product.Name}
+            </p>
             <p>
               <strong>Date:</strong> {formData.Date}
             </p>
@@ -165,8 +410,30 @@ const AddLoanEntry = () => {
               <strong>Loan Amount:</strong> ₹{formData.LoanAmount}
             </p>
             <p>
-              <strong>Status:</strong> {formData.Status}
+              <strong>Interest:</strong>{" "}
+              {`${formData.InterestRate}% per month (${formData.InterestMethod}), ${formData.Tenure} months`}
             </p>
+            {eligibility && (
+              <p>
+                <strong>Eligible up to:</strong> ₹{eligibility.maxAmount}
+              </p>
+            )}
+            <p>
+              <strong>Guarantors:</strong> {guarantors.join(", ")}
+            </p>
+            <p>
+              <strong>Monthly EMI:</strong> ₹{schedule[0]?.emi || 0}
+            </p>
+            <p>
+              <strong>Status:</strong> {LOAN_STATES.APPLIED}
+            </p>
+            {approvedBy && (
+              <p className="override-note">
+                <strong>Override approved by:</strong> {approvedBy}
+              </p>
+            )}
+
+            <LoanSchedule schedule={schedule} />
 
             <div className="modal-actions">
               <button onClick={handleConfirm} className="confirm-btn">
@@ -1,23 +1,63 @@
 import React, { useState, useEffect } from "react";
 import { dataManager } from "../../utils/dataManager";
-import {
-  savingOptions,
-  loanEMIOptions,
-  interestOptions,
-  lateFeeOptions,
-  paymentMethods,
-} from "../../data/AddEntryData";
+import { calculateDues } from "../../utils/dues";
+import { withDerivedBalances } from "../../utils/loanBalances";
+import { isOpenLoan } from "../../utils/loanWorkflow";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
 import "./AddPaymentEntry.css";
 import SelectDropdown from "../SelectDropdown";
 
+// Form field -> key of the suggested value from calculateDues
+const DUE_FIELDS = {
+  Saving: "saving",
+  LoanEmi: "loanEmi",
+  Interest: "interest",
+  LateFee: "lateFee",
+};
+
+// "#3 Emergency · ₹4000 left" for the loan picker
+const describeLoan = (loan) =>
+  `#${loan.Id} ${loan.Product || "Regular"} · ₹${loan.RemainingLoan} left`;
+
+// Saving is a required field, so a settled month shows "0" rather than blank
+const asFieldValue = (amount, field) =>
+  amount > 0 || field === "Saving" ? String(amount) : "";
+
+// Any amount can be typed over the suggestion (a partial EMI, an unusual
+// fee); the group's preset amounts are offered as choices
+const AmountInput = ({ label, name, value, options, onChange }) => (
+  <>
+    <label>{label}</label>
+    <input
+      type="number"
+      name={name}
+      min="0"
+      list={`${name}-options`}
+      value={value}
+      onChange={onChange}
+    />
+    <datalist id={`${name}-options`}>
+      {options.map((opt) => (
+        <option key={opt} value={opt} />
+      ))}
+    </datalist>
+  </>
+);
+
 const AddPaymentEntry = () => {
   const [members, setMembers] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [lateFeeRules, setLateFeeRules] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [dues, setDues] = useState(null);
   const [message, setMessage] = useState("");
   const [messageType, setMessageType] = useState("success");
 
   const [formData, setFormData] = useState({
     Date: "",
     Name: "",
+    LoanId: "",
     Saving: "",
     LoanEmi: "",
     Interest: "",
@@ -40,42 +80,66 @@ const AddPaymentEntry = () => {
       setMembers(list);
     });
 
-    return unsubscribe;
+    // Loans and past payments drive the suggested dues
+    dataManager.getLoans().then(setLoans);
+    dataManager.getTransactions().then(setTransactions);
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+    dataManager.getLateFeeRules().then((data) => setLateFeeRules(data || []));
+    const unsubRules = dataManager.onLateFeeRulesUpdate(setLateFeeRules);
+    dataManager.getSettings().then(setSettings);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+
+    return () => {
+      unsubscribe();
+      unsubLoans();
+      unsubTxns();
+      unsubRules();
+      unsubSettings();
+    };
   }, []);
 
   // ------------------------
   // INPUT HANDLER
   // ------------------------
   const handleChange = (e) => {
-    setFormData((prev) => ({
-      ...prev,
-      [e.target.name]: e.target.value,
-    }));
-  };
+    const { name, value } = e.target;
+    const next = { ...formData, [name]: value };
+    if (name === "Name") next.LoanId = "";
 
-  // --------------------------------
-  // SAFE LOAN UPDATE (NO REDUNDANT SEARCHES)
-  // --------------------------------
-  const updateLoanStatus = async (name, emiAmount) => {
-    try {
-      // Get loan from cache (no API call needed)
-      const loans = await dataManager.getLoans();
-      const loan = loans.find((l) => l.Name === name && l.Status === "Active");
-      if (!loan) return;
-
-      const remaining =
-        Number(loan.RemainingLoan || 0) - Number(emiAmount || 0);
-
-      // Update loan (single PATCH call)
-      await dataManager.updateLoan(loan.Id, {
-        RemainingLoan: remaining <= 0 ? 0 : remaining,
-        Status: remaining <= 0 ? "Inactive" : "Active",
+    // Picking the member, date or loan pre-fills what they owe
+    if (name === "Name" || name === "Date" || name === "LoanId") {
+      const suggested = calculateDues({
+        memberName: next.Name,
+        paymentDate: next.Date,
+        loanId: next.LoanId,
+        loans,
+        transactions,
+        lateFeeRules,
+        expectedSaving: Number(settings.savingOptions[0] || 0),
       });
-    } catch (err) {
-      console.error("Loan update failed", err);
+
+      if (suggested) {
+        Object.entries(DUE_FIELDS).forEach(([field, key]) => {
+          next[field] = asFieldValue(suggested[key], field);
+        });
+        next.LoanId = suggested.loan?.Id || "";
+      }
+      setDues(suggested);
     }
+
+    setFormData(next);
   };
 
+  // Fields the treasurer changed from the suggested dues
+  const overrides = dues
+    ? Object.entries(DUE_FIELDS)
+        .filter(
+          ([field, key]) => formData[field] !== asFieldValue(dues[key], field)
+        )
+        .map(([field]) => field)
+    : [];
+
   // ------------------------
   // SUBMIT
   // ------------------------
@@ -86,12 +150,17 @@ const AddPaymentEntry = () => {
       // ------------------------
       // VALIDATION LOGIC
       // ------------------------
-      const loans = await dataManager.getLoans();
+      // Loan status comes from the payments made, not the stored column
+      const loans = withDerivedBalances(
+        await dataManager.getLoans(),
+        await dataManager.getTransactions()
+      );
 
-      // Check if member has an ACTIVE loan
-      const hasActiveLoan = loans.some(
-        (l) => l.Name === formData.Name && l.Status === "Active"
+      // Check if member has a disbursed loan still being repaid
+      const activeLoans = loans.filter(
+        (l) => l.Name === formData.Name && isOpenLoan(l)
       );
+      const hasActiveLoan = activeLoans.length > 0;
 
       // Loan EMI without active loan (INVALID)
       if (Number(formData.LoanEmi) > 0 && !hasActiveLoan) {
@@ -102,6 +171,18 @@ const AddPaymentEntry = () => {
         return;
       }
 
+      // EMI and interest are allocated to one of the member's loans
+      const loan = activeLoans.find(
+        (l) => String(l.Id) === String(formData.LoanId)
+      );
+      const forLoan =
+        Number(formData.LoanEmi) > 0 || Number(formData.Interest) > 0;
+      if (forLoan && hasActiveLoan && !loan) {
+        setMessage("Choose the loan this EMI repays.");
+        setMessageType("error");
+        return;
+      }
+
       // Interest without loan or EMI (INVALID)
       if (
         Number(formData.Interest) > 0 &&
@@ -114,20 +195,23 @@ const AddPaymentEntry = () => {
         return;
       }
 
-      await dataManager.addTransaction(formData);
-
-      if (!formData.LoanEmi || Number(formData.LoanEmi) === 0) {
-        // Skip loan update for non-loan payments
-      } else {
-        await updateLoanStatus(formData.Name, formData.LoanEmi);
-      }
+      const result = await dataManager.addTransaction({
+        ...formData,
+        LoanId: forLoan && loan ? loan.Id : "",
+        Overrides: overrides.join(","),
+      });
 
-      setMessage("Entry added successfully!");
+      setMessage(
+        result?.queued
+          ? "No connection - entry saved on this device and pending sync."
+          : "Entry added successfully!"
+      );
       setMessageType("success");
 
       setFormData({
         Date: "",
         Name: "",
+        LoanId: "",
         Saving: "",
         LoanEmi: "",
         Interest: "",
@@ -135,9 +219,11 @@ const AddPaymentEntry = () => {
         PaymentMethod: "",
         Notes: "",
       });
+      setDues(null);
     } catch (err) {
       console.error(err);
-      setMessage("Error adding entry");
+      setMessage(`Error adding entry: ${err.message}`);
+      setMessageType("error");
     }
   };
 
@@ -169,36 +255,80 @@ const AddPaymentEntry = () => {
           required
         />
 
+        {dues?.activeLoans.length > 0 && (
+          <>
+            <label>Loan</label>
+            <select
+              name="LoanId"
+              value={formData.LoanId}
+              onChange={handleChange}
+            >
+              {dues.activeLoans.map((loan) => (
+                <option key={loan.Id} value={loan.Id}>
+                  {describeLoan(loan)}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+
+        {dues && (
+          <div className="dues-hint">
+            <strong>Due from {formData.Name}:</strong> Saving ₹{dues.saving}
+            {dues.loan &&
+              ` · EMI ₹${dues.loanEmi} · Interest ₹${dues.interest}`}
+            {` · Late fee ₹${dues.lateFee}`}
+            {dues.lateFeeDetails.length > 0 &&
+              ` (${dues.lateFeeDetails
+                .map((d) => `${d.kind} due ${d.dueDate}: ₹${d.fee}`)
+                .join(", ")})`}
+            {dues.installments.length > 0 && (
+              <div>
+                Installment
+                {dues.installments.length > 1 ? "s" : ""}{" "}
+                {dues.installments
+                  .map((i) => `#${i.installment} (${i.dueDate})`)
+                  .join(", ")}
+              </div>
+            )}
+            {overrides.length > 0 && (
+              <div className="override-note">
+                Changed from suggestion: {overrides.join(", ")}
+              </div>
+            )}
+          </div>
+        )}
+
         <SelectDropdown
           label="Saving"
           name="Saving"
           value={formData.Saving}
-          options={savingOptions}
+          options={settings.savingOptions}
           onChange={handleChange}
           required
         />
 
-        <SelectDropdown
+        <AmountInput
           label="Loan EMI"
           name="LoanEmi"
           value={formData.LoanEmi}
-          options={loanEMIOptions}
+          options={settings.loanEMIOptions}
           onChange={handleChange}
         />
 
-        <SelectDropdown
+        <AmountInput
           label="Interest"
           name="Interest"
           value={formData.Interest}
-          options={interestOptions}
+          options={settings.interestOptions}
           onChange={handleChange}
         />
 
-        <SelectDropdown
+        <AmountInput
           label="Late Fee"
           name="LateFee"
           value={formData.LateFee}
-          options={lateFeeOptions}
+          options={settings.lateFeeOptions}
           onChange={handleChange}
         />
 
@@ -206,7 +336,7 @@ const AddPaymentEntry = () => {
           label="Payment Method"
           name="PaymentMethod"
           value={formData.PaymentMethod}
-          options={paymentMethods}
+          options={settings.paymentMethods}
           onChange={handleChange}
           required
         />
@@ -24,6 +24,8 @@ const AddUserEntry = () => {
       /* ================= 1️⃣ CHECK EXISTING MEMBERS ================= */
       const existingMembers = await dataManager.getMembers();
 
+      let queued = false;
+
       const existingMember = existingMembers.find(
         (m) => m.Name?.trim() === memberName
       );
@@ -32,17 +34,20 @@ const AddUserEntry = () => {
       if (existingMember) {
         if (existingMember.Status !== "Active") {
           // Reactivate silently
-          await dataManager.updateMember(memberName, {
+          const result = await dataManager.updateMember(memberName, {
             Status: "Active",
             ReactivatedOn: new Date().toISOString(),
           });
+          queued = Boolean(result?.queued);
         }
       } else {
         // Add new member
-        await dataManager.addMember({
+        const result = await dataManager.addMember({
           Name: memberName,
           Status: "Active",
+          JoinedOn: new Date().toISOString().split("T")[0],
         });
+        queued = Boolean(result?.queued);
       }
 
       /* ================= 3️⃣ ADD JOINING SAVING (OPTIONAL) ================= */
@@ -62,7 +67,11 @@ const AddUserEntry = () => {
       }
 
       /* ================= 4️⃣ SUCCESS & RESET ================= */
-      setMessage("Member added successfully!");
+      setMessage(
+        queued
+          ? "No connection - member saved on this device and pending sync."
+          : "Member added successfully!"
+      );
 
       setFormData({
         Name: "",
@@ -0,0 +1,196 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { dataManager } from "../../utils/dataManager";
+import {
+  buildArrearsReport,
+  DEFAULT_DAYS,
+  PAR_DAYS,
+} from "../../utils/arrears";
+import { parseDate, today } from "../../utils/dates";
+import ExportButtons from "../ExportButtons";
+import "./ArrearsReport.css";
+
+const COLUMNS = [
+  { key: "name", label: "Member" },
+  { key: "loanId", label: "Loan" },
+  { key: "remainingLoan", label: "Outstanding", type: "amount" },
+  { key: "overduePrincipal", label: "Overdue EMI", type: "amount" },
+  { key: "overdueInterest", label: "Overdue Interest", type: "amount" },
+  { key: "installments", label: "Missed Installments" },
+  { key: "daysOverdue", label: "Days Overdue" },
+  { key: "bucket", label: "Aging" },
+];
+
+const BUCKET_CLASS = {
+  "31-60": "aging-late",
+  "61-90": "aging-late",
+  "90+": "aging-default",
+};
+
+function ArrearsReport() {
+  const [transactions, setTransactions] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [asOf, setAsOf] = useState(today());
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getTransactions().then(setTransactions);
+    dataManager.getLoans().then(setLoans);
+
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+
+    return () => {
+      unsubTxns();
+      unsubLoans();
+    };
+  }, []);
+
+  /* ===================== REPORT ===================== */
+  const report = useMemo(
+    () =>
+      buildArrearsReport({
+        loans,
+        transactions,
+        asOf: parseDate(asOf) || new Date(),
+      }),
+    [loans, transactions, asOf]
+  );
+
+  const overdueRows = report.rows
+    .filter((row) => row.daysOverdue > 0)
+    .map((row) => ({
+      name: row.loan.Name,
+      loanId: row.loan.Id,
+      remainingLoan: Number(row.loan.RemainingLoan),
+      overduePrincipal: row.overduePrincipal,
+      overdueInterest: row.overdueInterest,
+      installments: row.installments.length,
+      daysOverdue: row.daysOverdue,
+      bucket: row.bucket.label,
+      bucketKey: row.bucket.key,
+    }));
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="arrears-report-container">
+      <h1>Arrears &amp; Defaulters</h1>
+
+      <div className="report-actions no-print">
+        <label>
+          As of
+          <input
+            type="date"
+            value={asOf}
+            onChange={(e) => setAsOf(e.target.value)}
+          />
+        </label>
+        <ExportButtons
+          basename={`arrears-${asOf}`}
+          columns={COLUMNS}
+          rows={overdueRows}
+          sheetName={`Arrears ${asOf}`}
+        />
+      </div>
+
+      <div className="summary-cards">
+        <div className="card">
+          Outstanding Loans
+          <br />₹{report.outstanding}
+        </div>
+        <div className="card">
+          Portfolio at Risk ({PAR_DAYS}+ days)
+          <br />₹{report.portfolioAtRisk.amount} (
+          {(report.portfolioAtRisk.ratio * 100).toFixed(1)}%)
+        </div>
+        <div className="card">
+          Defaulters ({DEFAULT_DAYS}+ days)
+          <br />
+          {report.defaulters.length}
+        </div>
+      </div>
+
+      <h2>Aging</h2>
+      <table className="aging-table">
+        <thead>
+          <tr>
+            <th>Days Overdue</th>
+            <th>Loans</th>
+            <th>Outstanding</th>
+            <th>Overdue</th>
+          </tr>
+        </thead>
+        <tbody>
+          {report.buckets.map((bucket) => (
+            <tr key={bucket.key} className={BUCKET_CLASS[bucket.key]}>
+              <td>{bucket.label}</td>
+              <td>{bucket.loans}</td>
+              <td>₹{bucket.outstanding}</td>
+              <td>₹{bucket.overdue}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h2>Defaulters</h2>
+      {report.defaulters.length === 0 ? (
+        <p>No loan is more than {DEFAULT_DAYS} days overdue.</p>
+      ) : (
+        <ul className="defaulter-list">
+          {report.defaulters.map((row) => (
+            <li key={row.loan.Id}>
+              <Link to={`/members/${encodeURIComponent(row.loan.Name)}`}>
+                {row.loan.Name}
+              </Link>{" "}
+              · loan #{row.loan.Id} · ₹{row.overdue} overdue for{" "}
+              {row.daysOverdue} days · ₹{row.loan.RemainingLoan} outstanding
+              {row.loan.Guarantors && ` · guaranteed by ${row.loan.Guarantors}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h2>Loans Behind Schedule</h2>
+      {overdueRows.length === 0 ? (
+        <p>Every loan is up to date.</p>
+      ) : (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                {COLUMNS.map((c) => (
+                  <th key={c.key}>{c.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {overdueRows.map((row) => (
+                <tr key={row.loanId} className={BUCKET_CLASS[row.bucketKey]}>
+                  <td>
+                    <Link to={`/members/${encodeURIComponent(row.name)}`}>
+                      {row.name}
+                    </Link>
+                  </td>
+                  <td>#{row.loanId}</td>
+                  <td>₹{row.remainingLoan}</td>
+                  <td>₹{row.overduePrincipal}</td>
+                  <td>₹{row.overdueInterest}</td>
+                  <td>{row.installments}</td>
+                  <td>{row.daysOverdue}</td>
+                  <td>{row.bucket}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="arrears-note">
+        Loans are compared with their repayment schedule; loans recorded without
+        terms have no schedule and show as current.
+      </p>
+    </div>
+  );
+}
+
+export default ArrearsReport;
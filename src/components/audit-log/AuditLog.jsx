@@ -0,0 +1,189 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { filterAuditLog, parseAuditValue } from "../../utils/audit";
+import { COLLECTIONS } from "../../utils/storage";
+import ExportButtons from "../ExportButtons";
+import "./AuditLog.css";
+
+const EXPORT_COLUMNS = [
+  { key: "Timestamp", label: "When" },
+  { key: "User", label: "User" },
+  { key: "Action", label: "Action" },
+  { key: "Entity", label: "Entity" },
+  { key: "Key", label: "Row" },
+  { key: "Member", label: "Member" },
+  { key: "Before", label: "Before" },
+  { key: "After", label: "After" },
+];
+
+const formatTimestamp = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? value : date.toLocaleString("en-IN");
+};
+
+// "Field: before → after" for every field the entry touched
+const describeChanges = (entry) => {
+  const before = parseAuditValue(entry.Before) || {};
+  const after = parseAuditValue(entry.After) || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields.map((field) => {
+    const from = before[field] ?? "";
+    const to = after[field] ?? "";
+    if (entry.Action === "Create") return `${field}: ${to}`;
+    if (entry.Action === "Delete") return `${field}: ${from}`;
+    return `${field}: ${from} → ${to}`;
+  });
+};
+
+function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    member: "",
+    entity: "",
+    from: "",
+    to: "",
+  });
+
+  /* ===================== LOAD LOG (CACHED) ===================== */
+  const loadLog = useCallback((forceRefresh = false) => {
+    setLoading(true);
+    dataManager
+      .getAuditLog(forceRefresh)
+      .then((data) => setEntries(data || []))
+      .catch((error) => console.error("Error loading audit log:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    loadLog();
+  }, [loadLog]);
+
+  /* ===================== FILTERS ===================== */
+  const filtered = filterAuditLog(entries, filters);
+  const memberNames = [
+    ...new Set(entries.map((e) => e.Member).filter(Boolean)),
+  ].sort();
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="audit-log-container">
+      <h1>Audit Log</h1>
+
+      <div className="audit-filters">
+        <label>
+          Member
+          <select
+            name="member"
+            value={filters.member}
+            onChange={handleFilterChange}
+          >
+            <option value="">All members</option>
+            {memberNames.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Entity
+          <select
+            name="entity"
+            value={filters.entity}
+            onChange={handleFilterChange}
+          >
+            <option value="">All</option>
+            {Object.values(COLLECTIONS)
+              .filter((c) => c !== COLLECTIONS.AUDIT_LOG)
+              .map((collection) => (
+                <option key={collection} value={collection}>
+                  {collection}
+                </option>
+              ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+          />
+        </label>
+        <button
+          className="submit-btn"
+          onClick={() => loadLog(true)}
+          disabled={loading}
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+        <ExportButtons
+          basename="audit-log"
+          columns={EXPORT_COLUMNS}
+          rows={filtered}
+          sheetName="Audit Log"
+        />
+      </div>
+
+      <p>
+        {filtered.length} of {entries.length} entries.
+      </p>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Entity</th>
+              <th>Member</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map((entry, i) => (
+              <tr key={`${entry.Timestamp}-${i}`}>
+                <td>{formatTimestamp(entry.Timestamp)}</td>
+                <td>{entry.User || "-"}</td>
+                <td className={`audit-${entry.Action?.toLowerCase()}`}>
+                  {entry.Action}
+                </td>
+                <td>
+                  {entry.Entity}
+                  {entry.Key && <small> ({entry.Key})</small>}
+                </td>
+                <td>{entry.Member}</td>
+                <td>
+                  <ul className="audit-changes">
+                    {describeChanges(entry).map((change) => (
+                      <li key={change}>{change}</li>
+                    ))}
+                  </ul>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLog;
@@ -1,7 +1,21 @@
 import React, { useEffect, useState, useCallback } from "react";
+import { Link } from "react-router-dom";
 import { dataManager } from "../../utils/dataManager";
+import { isPayout, withDerivedBalances } from "../../utils/loanBalances";
+import { isOpenLoan, isPending } from "../../utils/loanWorkflow";
+import { buildArrearsReport, PAR_DAYS } from "../../utils/arrears";
+import ExportButtons from "../ExportButtons";
 import "./Dashboard.css";
 
+const MEMBER_SUMMARY_COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "savings", label: "Savings", type: "amount" },
+  { key: "loanAmount", label: "Loan Amount", type: "amount" },
+  { key: "remainingLoan", label: "Remaining Loan", type: "amount" },
+  { key: "interest", label: "Interest", type: "amount" },
+  { key: "lateFees", label: "Late Fees", type: "amount" },
+];
+
 function Dashboard() {
   const [transactions, setTransactions] = useState([]);
   const [members, setMembers] = useState([]);
@@ -14,9 +28,12 @@ function Dashboard() {
     totalLoanAmount: 0,
     totalRemainingLoan: 0,
     totalSavingsIncludingInterest: 0,
+    pendingApplications: 0,
+    portfolioAtRisk: { amount: 0, ratio: 0 },
   });
 
   const [memberSummary, setMemberSummary] = useState([]);
+  const [apiUsage, setApiUsage] = useState(dataManager.getApiUsage());
 
   /* ===================== LOAD DATA ===================== */
   useEffect(() => {
@@ -27,11 +44,13 @@ function Dashboard() {
     const unsubMembers = dataManager.onMembersUpdate(setMembers);
     const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
     const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubUsage = dataManager.onApiUsageUpdate(setApiUsage);
 
     return () => {
       unsubMembers();
       unsubTxns();
       unsubLoans();
+      unsubUsage();
     };
   }, []);
 
@@ -58,22 +77,27 @@ function Dashboard() {
     /* ================= LOAN LOOKUP ================= */
     const loanMap = {};
 
-    loans.forEach((l) => {
+    withDerivedBalances(loans, transactions).forEach((l) => {
       if (!l.Name) return;
 
-      // Only active loans
-      if (l.Status && l.Status.toLowerCase() !== "active") return;
+      // Only disbursed loans still being repaid; applications are not
+      // money lent yet
+      if (!isOpenLoan(l)) return;
 
       const name = l.Name.trim();
 
       const loanAmount = Number(l.LoanAmount || 0);
       const remainingLoan = Number(l.RemainingLoan || 0);
-      console.log(loanAmount, remainingLoan);
 
-      loanMap[name] = {
-        loanAmount,
-        remainingLoan,
+      // Members may hold several loans at once
+      loanMap[name] = loanMap[name] || {
+        loans: 0,
+        loanAmount: 0,
+        remainingLoan: 0,
       };
+      loanMap[name].loans += 1;
+      loanMap[name].loanAmount += loanAmount;
+      loanMap[name].remainingLoan += remainingLoan;
 
       totalLoanAmount += loanAmount;
       totalRemainingLoan += remainingLoan;
@@ -89,6 +113,7 @@ function Dashboard() {
         savings: 0,
         interest: 0,
         lateFees: 0,
+        loans: loanMap[name]?.loans || 0,
         loanAmount: loanMap[name]?.loanAmount || 0,
         remainingLoan: loanMap[name]?.remainingLoan || 0,
       };
@@ -108,6 +133,7 @@ function Dashboard() {
           savings: 0,
           interest: 0,
           lateFees: 0,
+          loans: loanMap[name]?.loans || 0,
           loanAmount: loanMap[name]?.loanAmount || 0,
           remainingLoan: loanMap[name]?.remainingLoan || 0,
         };
@@ -117,17 +143,20 @@ function Dashboard() {
       const interest = Number(t.Interest || 0);
       const lateFee = Number(t.LateFee || 0);
 
-      if (saving > 0) {
+      // Amounts are signed: reversals, exit payouts and dividends (moved
+      // from interest to savings) carry negative values. Payouts reduce the
+      // group's interest but not the interest a member has paid.
+      if (saving) {
         memberMap[name].savings += saving;
         totalSavings += saving;
       }
 
-      if (interest > 0) {
-        memberMap[name].interest += interest;
+      if (interest) {
+        if (!isPayout(t)) memberMap[name].interest += interest;
         totalInterest += interest;
       }
 
-      if (lateFee > 0) {
+      if (lateFee) {
         memberMap[name].lateFees += lateFee;
         totalLateFees += lateFee;
       }
@@ -143,6 +172,9 @@ function Dashboard() {
       totalLoanAmount,
       totalRemainingLoan,
       totalSavingsIncludingInterest,
+      pendingApplications: loans.filter((l) => l.Name && isPending(l)).length,
+      portfolioAtRisk: buildArrearsReport({ loans, transactions })
+        .portfolioAtRisk,
     });
 
     setMemberSummary(
@@ -188,9 +220,41 @@ function Dashboard() {
           Total Savings (Incl. Interest & Late Fees)
           <br />₹{summary.totalSavingsIncludingInterest}
         </div>
+        <div className="card">
+          Portfolio at Risk ({PAR_DAYS}+ days)
+          <br />
+          <Link to="/reports/arrears">
+            ₹{summary.portfolioAtRisk.amount} (
+            {(summary.portfolioAtRisk.ratio * 100).toFixed(1)}%)
+          </Link>
+        </div>
+        {summary.pendingApplications > 0 && (
+          <div className="card">
+            Pending Loan Applications
+            <br />
+            <Link to="/loans/applications">{summary.pendingApplications}</Link>
+          </div>
+        )}
+        {dataManager.getStorageName() === "sheetdb" && (
+          <div className="card">
+            API Calls This Month
+            <br />
+            {apiUsage.used} / {apiUsage.budget}
+            <br />
+            <small>Projected: {apiUsage.projected}</small>
+          </div>
+        )}
       </div>
 
       <h2>Members Summary</h2>
+      <div className="section-actions">
+        <ExportButtons
+          basename="members-summary"
+          columns={MEMBER_SUMMARY_COLUMNS}
+          rows={memberSummary}
+          sheetName="Members Summary"
+        />
+      </div>
       <table>
         <thead>
           <tr>
@@ -205,9 +269,16 @@ function Dashboard() {
         <tbody>
           {memberSummary.map((m, i) => (
             <tr key={i}>
-              <td>{m.name}</td>
+              <td>
+                <Link to={`/members/${encodeURIComponent(m.name)}`}>
+                  {m.name}
+                </Link>
+              </td>
               <td>₹{m.savings}</td>
-              <td>₹{m.loanAmount}</td>
+              <td>
+                ₹{m.loanAmount}
+                {m.loans > 1 && ` (${m.loans} loans)`}
+              </td>
               <td>₹{m.remainingLoan}</td>
               <td>₹{m.interest}</td>
               <td>₹{m.lateFees}</td>
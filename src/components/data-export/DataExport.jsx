@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { columnsFromRows } from "../../utils/exporters";
+import { parseDate, toISODate } from "../../utils/dates";
+import ExportButtons from "../ExportButtons";
+import "./DataExport.css";
+
+// Raw sheets available for export, with their preferred column order
+const DATASETS = {
+  transactions: {
+    label: "Transactions",
+    load: () => dataManager.getTransactions(),
+    columns: [
+      "Date",
+      "Name",
+      "Saving",
+      "LoanEmi",
+      "LoanId",
+      "Interest",
+      "LateFee",
+      "PaymentMethod",
+      "Notes",
+    ],
+    amounts: ["Saving", "LoanEmi", "Interest", "LateFee"],
+  },
+  loans: {
+    label: "Loan Details",
+    load: () => dataManager.getLoans(),
+    columns: [
+      "Id",
+      "Name",
+      "Product",
+      "Date",
+      "LoanAmount",
+      "InterestRate",
+      "InterestMethod",
+      "Tenure",
+      "Emi",
+      "RemainingLoan",
+      "Status",
+      "Guarantors",
+      "ApprovedBy",
+      "ResolutionNo",
+      "DisbursedOn",
+      "DisbursementMode",
+    ],
+    amounts: ["LoanAmount", "Emi", "RemainingLoan"],
+  },
+  members: {
+    label: "Member List",
+    load: () => dataManager.getMembers(),
+    columns: ["Id", "Name", "Status", "JoinedOn"],
+    amounts: [],
+  },
+};
+
+function DataExport() {
+  const [members, setMembers] = useState([]);
+  const [dataset, setDataset] = useState("transactions");
+  const [rows, setRows] = useState([]);
+  const [filters, setFilters] = useState({ from: "", to: "", name: "" });
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getMembers().then(setMembers);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    DATASETS[dataset].load().then((data) => {
+      if (!cancelled) setRows(data || []);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataset]);
+
+  /* ===================== FILTERS ===================== */
+  const filtered = rows.filter((row) => {
+    if (filters.name && row.Name?.trim() !== filters.name) return false;
+
+    if (filters.from || filters.to) {
+      const date = parseDate(row.Date);
+      if (!date) return false;
+      const day = toISODate(date);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+    }
+
+    return true;
+  });
+
+  const { label, columns, amounts } = DATASETS[dataset];
+  const exportColumns = columnsFromRows(filtered, columns, amounts);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="data-export-container">
+      <h1>Export Data</h1>
+
+      <form className="export-form" onSubmit={(e) => e.preventDefault()}>
+        <label>Data</label>
+        <select value={dataset} onChange={(e) => setDataset(e.target.value)}>
+          {Object.entries(DATASETS).map(([key, d]) => (
+            <option key={key} value={key}>
+              {d.label}
+            </option>
+          ))}
+        </select>
+
+        <label>Member</label>
+        <select name="name" value={filters.name} onChange={handleFilterChange}>
+          <option value="">All members</option>
+          {members
+            .filter((m) => m.Name)
+            .map((m) => (
+              <option key={m.Name} value={m.Name.trim()}>
+                {m.Name}
+              </option>
+            ))}
+        </select>
+
+        {dataset !== "members" && (
+          <>
+            <label>From</label>
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              onChange={handleFilterChange}
+            />
+
+            <label>To</label>
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              onChange={handleFilterChange}
+            />
+          </>
+        )}
+
+        <p>
+          {filtered.length} of {rows.length} rows selected.
+        </p>
+
+        <ExportButtons
+          basename={label.toLowerCase().replace(/\s+/g, "-")}
+          columns={exportColumns}
+          rows={filtered}
+          sheetName={label}
+        />
+      </form>
+    </div>
+  );
+}
+
+export default DataExport;
@@ -1,241 +1,227 @@
 import React, { useEffect, useState } from "react";
 import { dataManager } from "../../utils/dataManager";
+import { withDerivedBalances } from "../../utils/loanBalances";
+import { guaranteedLoans } from "../../utils/guarantors";
+import { buildSettlement } from "../../utils/settlement";
+import { parseDate, today } from "../../utils/dates";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+import SettlementLetter from "../settlement-letter/SettlementLetter";
 import "./DeleteUser.css";
 
 function DeleteUser() {
   const [members, setMembers] = useState([]);
-  const [transactions, setTransactions] = useState([]);
   const [loans, setLoans] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [selectedName, setSelectedName] = useState("");
   const [showModal, setShowModal] = useState(false);
 
-  // 🔹 NEW: modal internal state
-  const [modalStep, setModalStep] = useState("CONFIRM_DELETE");
+  // Exit details entered in the modal
+  const [exitDate, setExitDate] = useState(today());
+  const [paymentMethod, setPaymentMethod] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // Settlement just recorded, shown as a printable letter
+  const [letter, setLetter] = useState(null);
 
   const [message, setMessage] = useState("");
   const [messageType, setMessageType] = useState("success");
 
-  /* ================= LOAD MEMBERS & LOANS ================= */
+  /* ================= LOAD MEMBERS, LOANS & TRANSACTIONS ================= */
   useEffect(() => {
     dataManager.getMembers().then(setMembers);
     dataManager.getLoans().then(setLoans);
+    dataManager.getTransactions().then(setTransactions);
+    dataManager.getSettings().then(setSettings);
 
     const unsubscribe = dataManager.onMembersUpdate(setMembers);
-    return unsubscribe;
-  }, []);
-
-  /* ================= FETCH MEMBER TRANSACTIONS ================= */
-  const fetchTransactions = async (name) => {
-    const allTxns = await dataManager.getTransactions();
-    const memberTxns = allTxns.filter((t) => t.Name === name);
-    setTransactions(memberTxns);
-  };
-
-  /* ================= SUMMARY (DELETE MODAL ONLY) ================= */
-  const calculateSummary = (transactions = [], loans = [], memberName = "") => {
-    const summary = {
-      savings: 0,
-      loanTaken: 0,
-      loanRepaid: 0,
-      remainingLoan: 0,
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+    return () => {
+      unsubscribe();
+      unsubLoans();
+      unsubTxns();
+      unsubSettings();
     };
+  }, []);
 
-    if (!memberName) return summary;
-
-    transactions.forEach((t) => {
-      if (t.Name?.trim() !== memberName) return;
-      summary.savings += Number(t.Saving || 0);
-    });
-
-    loans.forEach((l) => {
-      if (l.Name?.trim() !== memberName) return;
-      if (l.Status && l.Status.toLowerCase() !== "active") return;
-
-      summary.loanTaken += Number(l.LoanAmount || 0);
-      summary.remainingLoan += Number(l.RemainingLoan || 0);
-    });
-
-    summary.loanRepaid = summary.loanTaken - summary.remainingLoan;
-
-    return summary;
-  };
-
-  const summary = calculateSummary(transactions, loans, selectedName);
-
-  /* ================= CLEAR LOAN (STEP 2) ================= */
-  const handleClearLoan = async () => {
-    try {
-      const activeLoans = loans.filter(
-        (l) =>
-          l.Name === selectedName &&
-          l.Status &&
-          l.Status.toLowerCase() === "active"
+  /* ================= SETTLEMENT (MODAL ONLY) ================= */
+  const settlement = selectedName
+    ? buildSettlement({
+        memberName: selectedName,
+        transactions,
+        loans,
+        asOf: parseDate(exitDate) || new Date(),
+      })
+    : null;
+
+  // Other members' unpaid loans the selected member guarantees
+  const guaranteed = selectedName
+    ? guaranteedLoans(selectedName, withDerivedBalances(loans, transactions))
+    : [];
+
+  /* ================= SETTLE & DEACTIVATE MEMBER ================= */
+  const handleSettle = async () => {
+    if (guaranteed.length > 0) {
+      setMessage(
+        "This member guarantees an outstanding loan and cannot be deleted."
       );
-
-      for (const loan of activeLoans) {
-        await dataManager.updateLoan(loan.Id, {
-          RemainingLoan: 0,
-          Status: "Closed",
-          ClosedOn: new Date().toISOString(),
-        });
-      }
-
-      // Refresh loans after clearing
-      const updatedLoans = await dataManager.getLoans(true);
-      setLoans(updatedLoans);
-
-      // Go back to delete confirmation view
-      setModalStep("CONFIRM_DELETE");
-      setMessage("Loan cleared successfully. You can now delete the member.");
-      setMessageType("success");
-    } catch (error) {
-      console.error(error);
-      setMessage("Error while clearing loan.");
       setMessageType("error");
+      return;
     }
-  };
 
-  /* ================= DEACTIVATE MEMBER ================= */
-  const handleDelete = async () => {
+    setSaving(true);
     try {
-      if (summary.remainingLoan > 0) {
-        setMessage(
-          "This member has an active loan. Please clear it before deleting."
-        );
-        setMessageType("error");
-        return;
-      }
-
-      await dataManager.updateMember(selectedName, {
-        Status: "Inactive",
-        DeactivatedOn: new Date().toISOString(),
+      const settled = await dataManager.settleMember(selectedName, {
+        date: exitDate,
+        paymentMethod,
       });
 
-      const updatedMembers = await dataManager.getMembers(true);
-      setMembers(updatedMembers);
-
+      setLetter({ settlement: settled, date: exitDate, paymentMethod });
       setSelectedName("");
-      setTransactions([]);
       setShowModal(false);
-      setModalStep("CONFIRM_DELETE");
-      setMessage(`Member "${selectedName}" deleted successfully.`);
+      setMessage(`Member "${settled.name}" settled and deleted.`);
       setMessageType("success");
     } catch (error) {
       console.error(error);
-      setMessage("Error while deleting member.");
+      setMessage(error.message || "Error while settling member.");
       setMessageType("error");
+    } finally {
+      setSaving(false);
     }
   };
 
   /* ================= UI ================= */
   return (
     <div className="delete-user-container">
-      <h2>Delete Member</h2>
+      <h2 className="no-print">Delete Member</h2>
 
       {message && (
-        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+        <p
+          className={`no-print ${
+            messageType === "error" ? "error-msg" : "success-msg"
+          }`}
+        >
           {message}
         </p>
       )}
 
-      <select
-        value={selectedName}
-        onChange={(e) => {
-          setSelectedName(e.target.value);
-          fetchTransactions(e.target.value);
-        }}
-      >
-        <option value="">Select member</option>
-        {members
-          .filter((m) => m.Status !== "Inactive")
-          .map((m, i) => (
-            <option key={i} value={m.Name}>
-              {m.Name}
-            </option>
-          ))}
-      </select>
-
-      <button
-        onClick={() => {
-          setShowModal(true);
-          setModalStep("CONFIRM_DELETE");
-        }}
-        disabled={!selectedName}
-        className="delete-btn"
-      >
-        Delete Member
-      </button>
-
-      {showModal && (
+      {letter ? (
+        <SettlementLetter {...letter} onClose={() => setLetter(null)} />
+      ) : (
+        <>
+          <select
+            value={selectedName}
+            onChange={(e) => setSelectedName(e.target.value)}
+          >
+            <option value="">Select member</option>
+            {members
+              .filter((m) => m.Status !== "Inactive")
+              .map((m, i) => (
+                <option key={i} value={m.Name}>
+                  {m.Name}
+                </option>
+              ))}
+          </select>
+
+          <button
+            onClick={() => {
+              setExitDate(today());
+              setPaymentMethod("");
+              setShowModal(true);
+            }}
+            disabled={!selectedName}
+            className="delete-btn"
+          >
+            Delete Member
+          </button>
+        </>
+      )}
+
+      {showModal && settlement && (
         <div className="modal-overlay">
           <div className="modal">
-            <h3>
-              {modalStep === "CONFIRM_DELETE"
-                ? "Confirm Deletion"
-                : "Clear Loan"}
-            </h3>
+            <h3>Exit Settlement</h3>
 
             <p>
               <strong>Name:</strong> {selectedName}
             </p>
 
-            {modalStep === "CONFIRM_DELETE" && (
-              <>
-                <div className="summary">
-                  <p>Savings: ₹{summary.savings}</p>
-                  <p>Loan Taken: ₹{summary.loanTaken}</p>
-                  <p>Loan Repaid: ₹{summary.loanRepaid}</p>
-                  <p>Remaining Loan: ₹{summary.remainingLoan}</p>
-                </div>
-
-                {summary.remainingLoan > 0 && (
-                  <p className="warning-text">
-                    This member has an active loan. Please clear it before
-                    deleting.
-                  </p>
-                )}
-
-                <div className="modal-actions">
-                  {summary.remainingLoan > 0 ? (
-                    <button
-                      onClick={() => setModalStep("CLEAR_LOAN")}
-                      className="confirm-btn"
-                    >
-                      Clear Loan
-                    </button>
-                  ) : (
-                    <button onClick={handleDelete} className="confirm-btn">
-                      Yes, Delete
-                    </button>
-                  )}
-
-                  <button
-                    onClick={() => setShowModal(false)}
-                    className="cancel-btn"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </>
+            <div className="summary">
+              <p>Savings: ₹{settlement.savings}</p>
+              <p>Interest Share: ₹{settlement.interestShare}</p>
+              <p>Loans Outstanding: -₹{settlement.outstanding}</p>
+              {settlement.dues > 0 && (
+                <p>Overdue Interest: -₹{settlement.dues}</p>
+              )}
+              <p>
+                <strong>
+                  {settlement.net >= 0
+                    ? `Pay to member: ₹${settlement.net}`
+                    : `Recover from member: ₹${-settlement.net}`}
+                </strong>
+              </p>
+            </div>
+
+            {guaranteed.length > 0 && (
+              <div className="warning-text">
+                This member guarantees loans still being repaid and can be
+                deleted once they are cleared:
+                <ul>
+                  {guaranteed.map((l) => (
+                    <li key={l.Id}>
+                      {l.Name}: ₹{l.RemainingLoan} outstanding (loan #{l.Id})
+                    </li>
+                  ))}
+                </ul>
+              </div>
             )}
 
-            {modalStep === "CLEAR_LOAN" && (
-              <>
-                <p>Remaining Loan Amount: ₹{summary.remainingLoan}</p>
-
-                <div className="modal-actions">
-                  <button onClick={handleClearLoan} className="confirm-btn">
-                    Mark Loan as Cleared
-                  </button>
-                  <button
-                    onClick={() => setModalStep("CONFIRM_DELETE")}
-                    className="cancel-btn"
-                  >
-                    Cancel
-                  </button>
-                </div>
-              </>
-            )}
+            <label>Exit Date</label>
+            <input
+              type="date"
+              value={exitDate}
+              onChange={(e) => setExitDate(e.target.value)}
+              required
+            />
+
+            <label>Payment Method</label>
+            <select
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+            >
+              <option value="">Select</option>
+              {settings.paymentMethods.map((method) => (
+                <option key={method} value={method}>
+                  {method}
+                </option>
+              ))}
+            </select>
+
+            <p className="settlement-note">
+              The loan clearances and the payout are recorded in the
+              member&apos;s ledger, and their details are archived.
+            </p>
+
+            <div className="modal-actions">
+              {guaranteed.length === 0 && (
+                <button
+                  onClick={handleSettle}
+                  className="confirm-btn"
+                  disabled={saving || !exitDate}
+                >
+                  {saving ? "Saving..." : "Settle & Delete"}
+                </button>
+              )}
+
+              <button
+                onClick={() => setShowModal(false)}
+                className="cancel-btn"
+              >
+                Cancel
+              </button>
+            </div>
           </div>
         </div>
       )}
@@ -0,0 +1,235 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { groups, DEFAULT_GROUP } from "../../utils/groups";
+import "./GroupOverview.css";
+
+const BACKENDS = {
+  sheetdb: "SheetDB (Google Sheet)",
+  local: "This device only",
+};
+
+const initialFormData = () => ({ name: "", backend: "sheetdb", sheetDbId: "" });
+
+function GroupOverview() {
+  const [overview, setOverview] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeId, setActiveId] = useState(dataManager.getActiveGroup().id);
+  const [formData, setFormData] = useState(initialFormData());
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ===================== LOAD ALL GROUPS (CACHED) ===================== */
+  const loadOverview = useCallback((forceRefresh = false) => {
+    setLoading(true);
+    dataManager
+      .getGroupOverview(forceRefresh)
+      .then(setOverview)
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    loadOverview();
+    const unsubGroups = groups.onChange(() => loadOverview());
+    const unsubActive = groups.onActiveChange((group) => setActiveId(group.id));
+    return () => {
+      unsubGroups();
+      unsubActive();
+    };
+  }, [loadOverview]);
+
+  const totals = overview.reduce(
+    (sum, o) => ({
+      corpus: sum.corpus + (o.corpus || 0),
+      loansOutstanding: sum.loansOutstanding + (o.loansOutstanding || 0),
+      members: sum.members + (o.members || 0),
+    }),
+    { corpus: 0, loansOutstanding: 0, members: 0 }
+  );
+
+  /* ===================== PROFILES ===================== */
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+
+    const name = formData.name.trim();
+    if (groups.getAll().some((g) => g.name === name)) {
+      setMessage(`A group named "${name}" already exists.`);
+      setMessageType("error");
+      return;
+    }
+
+    groups.add({
+      name,
+      backend: formData.backend,
+      sheetDbId:
+        formData.backend === "sheetdb" ? formData.sheetDbId.trim() : "",
+    });
+    setMessage(`Group "${name}" added.`);
+    setMessageType("success");
+    setFormData(initialFormData());
+  };
+
+  const handleSwitch = (group) => {
+    try {
+      dataManager.switchGroup(group.id);
+      return true;
+    } catch (error) {
+      setMessage(error.message);
+      setMessageType("error");
+      return false;
+    }
+  };
+
+  const handleRemove = (group) => {
+    const confirmed = window.confirm(
+      `Remove "${group.name}" from this device? Its data stays in its own sheet.`
+    );
+    if (!confirmed) return;
+
+    if (group.id === activeId && !handleSwitch(DEFAULT_GROUP)) return;
+    groups.remove(group.id);
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="group-overview-container">
+      <h1>All Groups</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <div className="summary-cards">
+        <div className="card">
+          Groups
+          <br />
+          {overview.length}
+        </div>
+        <div className="card">
+          Active Members
+          <br />
+          {totals.members}
+        </div>
+        <div className="card">
+          Savings Corpus
+          <br />₹{totals.corpus}
+        </div>
+        <div className="card">
+          Loans Outstanding
+          <br />₹{totals.loansOutstanding}
+        </div>
+      </div>
+
+      <div className="section-actions">
+        <button
+          className="refresh-btn"
+          onClick={() => loadOverview(true)}
+          disabled={loading}
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Group</th>
+              <th>Members</th>
+              <th>Savings Corpus</th>
+              <th>Interest & Fees</th>
+              <th>Loans Outstanding</th>
+              <th>Active Loans</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {overview.map(({ group, error, ...summary }) => (
+              <tr
+                key={group.id}
+                className={group.id === activeId ? "group-active" : ""}
+              >
+                <td>
+                  {group.name}
+                  <br />
+                  <small>{BACKENDS[group.backend] || group.backend}</small>
+                </td>
+                {error ? (
+                  <td colSpan="5" className="error-msg">
+                    Could not load: {error}
+                  </td>
+                ) : (
+                  <>
+                    <td>{summary.members}</td>
+                    <td>₹{summary.corpus}</td>
+                    <td>₹{summary.interestEarned}</td>
+                    <td>₹{summary.loansOutstanding}</td>
+                    <td>{summary.activeLoans}</td>
+                  </>
+                )}
+                <td className="group-actions">
+                  {group.id === activeId ? (
+                    <strong>Current</strong>
+                  ) : (
+                    <button onClick={() => handleSwitch(group)}>Open</button>
+                  )}
+                  {group.id !== DEFAULT_GROUP.id && (
+                    <button
+                      className="remove-group-btn"
+                      onClick={() => handleRemove(group)}
+                    >
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h2>Add Group</h2>
+      <form className="group-form" onSubmit={handleAdd}>
+        <label>Group Name</label>
+        <input
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          required
+        />
+
+        <label>Data Stored In</label>
+        <select name="backend" value={formData.backend} onChange={handleChange}>
+          {Object.entries(BACKENDS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        {formData.backend === "sheetdb" && (
+          <>
+            <label>SheetDB API ID</label>
+            <input
+              name="sheetDbId"
+              value={formData.sheetDbId}
+              onChange={handleChange}
+              placeholder="e.g. 254cxsbebm3n7"
+              required
+            />
+          </>
+        )}
+
+        <button type="submit" className="submit-btn">
+          Add Group
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default GroupOverview;
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { dataManager } from "../../utils/dataManager";
+import {
+  SETTING_FIELDS,
+  DEFAULT_SETTINGS,
+  parseSettingValue,
+  validateSetting,
+} from "../../utils/settings";
+import "./GroupSettings.css";
+
+// Settings are edited as comma-separated text, one input per setting
+const toFormData = (settings) =>
+  Object.fromEntries(
+    SETTING_FIELDS.map((field) => [field.key, settings[field.key].join(", ")])
+  );
+
+const formatChangedAt = (value) => {
+  const date = new Date(value);
+  return isNaN(date) ? value : date.toLocaleString("en-IN");
+};
+
+function GroupSettings() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [formData, setFormData] = useState(toFormData(DEFAULT_SETTINGS));
+  const [history, setHistory] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ===================== LOAD SETTINGS (CACHED) ===================== */
+  useEffect(() => {
+    const load = (forceRefresh = false) => {
+      dataManager.getSettings(forceRefresh).then((data) => {
+        setSettings(data);
+        setFormData(toFormData(data));
+      });
+      dataManager.getSettingsHistory(forceRefresh).then(setHistory);
+    };
+
+    load();
+    return dataManager.onSettingsUpdate(() => load());
+  }, []);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== SAVE ===================== */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const changes = {};
+    for (const field of SETTING_FIELDS) {
+      const values = parseSettingValue(formData[field.key]);
+      const error = validateSetting(field, values);
+      if (error) {
+        setMessage(error);
+        setMessageType("error");
+        return;
+      }
+      changes[field.key] = values;
+    }
+
+    setSaving(true);
+    try {
+      const result = await dataManager.saveSettings(changes);
+
+      if (result?.queued) {
+        setMessage(
+          "No connection - settings saved on this device and pending sync."
+        );
+      } else if (result?.created === 0) {
+        setMessage("No changes to save.");
+      } else {
+        setMessage("Settings saved.");
+      }
+      setMessageType("success");
+
+      const updated = await dataManager.getSettings(true);
+      setSettings(updated);
+      setFormData(toFormData(updated));
+      setHistory(await dataManager.getSettingsHistory());
+    } catch (error) {
+      console.error("Error saving settings:", error);
+      setMessage("Error saving settings.");
+      setMessageType("error");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="group-settings-container">
+      <h1>Group Settings</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <p className="settings-note">
+        Enter values separated by commas. The first monthly saving amount is the
+        expected saving per member. Late fees are set under{" "}
+        <Link to="/settings/late-fees">Late Fee Rules</Link>.
+      </p>
+
+      <form className="settings-form" onSubmit={handleSubmit}>
+        {SETTING_FIELDS.map((field) => (
+          <div key={field.key} className="settings-field">
+            <label htmlFor={field.key}>{field.label}</label>
+            <input
+              id={field.key}
+              name={field.key}
+              value={formData[field.key]}
+              onChange={handleChange}
+              required
+            />
+            {formData[field.key] !== settings[field.key].join(", ") && (
+              <span className="settings-changed">
+                Was: {settings[field.key].join(", ")}
+              </span>
+            )}
+          </div>
+        ))}
+
+        <button type="submit" className="submit-btn" disabled={saving}>
+          {saving ? "Saving..." : "Save Settings"}
+        </button>
+      </form>
+
+      <h2>Change History</h2>
+      {history.length === 0 ? (
+        <p>No changes yet - the default settings are in use.</p>
+      ) : (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Changed</th>
+                <th>Setting</th>
+                <th>New Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((entry, i) => (
+                <tr key={`${entry.key}-${entry.changedAt}-${i}`}>
+                  <td>{formatChangedAt(entry.changedAt)}</td>
+                  <td>{entry.label}</td>
+                  <td>{entry.value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GroupSettings;
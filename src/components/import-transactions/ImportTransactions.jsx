@@ -0,0 +1,282 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import {
+  TRANSACTION_FIELDS,
+  parseImportFile,
+  autoMapColumns,
+  buildImportRows,
+} from "../../utils/importer";
+import "./ImportTransactions.css";
+
+const REQUIRED_FIELDS = ["Date", "Name"];
+const PREVIEW_LIMIT = 200;
+
+function ImportTransactions() {
+  const [members, setMembers] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [closedYears, setClosedYears] = useState([]);
+
+  // Wizard: UPLOAD -> MAP -> PREVIEW -> DONE
+  const [step, setStep] = useState("UPLOAD");
+  const [file, setFile] = useState({ name: "", headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [progress, setProgress] = useState(null);
+
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ================= LOAD MEMBERS & TRANSACTIONS (CACHED) ================= */
+  useEffect(() => {
+    dataManager.getMembers().then(setMembers);
+    dataManager.getTransactions().then(setTransactions);
+    dataManager
+      .getYearEnds()
+      .then(setClosedYears)
+      .catch((error) => console.error("Could not load closed years:", error));
+
+    const unsubMembers = dataManager.onMembersUpdate(setMembers);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+
+    return () => {
+      unsubMembers();
+      unsubTxns();
+    };
+  }, []);
+
+  /* ================= STEP 1: UPLOAD ================= */
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    try {
+      const parsed = await parseImportFile(selected);
+      if (parsed.rows.length === 0) {
+        setMessage("The file has no data rows.");
+        setMessageType("error");
+        return;
+      }
+
+      setFile({ name: selected.name, ...parsed });
+      setMapping(autoMapColumns(parsed.headers));
+      setMessage("");
+      setStep("MAP");
+    } catch (error) {
+      console.error(error);
+      setMessage("Could not read the file. Use a .csv or .xlsx file.");
+      setMessageType("error");
+    }
+  };
+
+  /* ================= STEP 3: PREVIEW ================= */
+  const importRows =
+    step === "PREVIEW"
+      ? buildImportRows(file.rows, mapping, {
+          members,
+          transactions,
+          closedYears,
+        })
+      : [];
+  const invalid = importRows.filter((r) => r.errors.length > 0);
+  const duplicates = importRows.filter(
+    (r) => r.duplicate && r.errors.length === 0
+  );
+  const toImport = importRows.filter(
+    (r) => r.errors.length === 0 && !(skipDuplicates && r.duplicate)
+  );
+
+  /* ================= STEP 4: POST IN BATCHES ================= */
+  const handleImport = async () => {
+    try {
+      setProgress({ done: 0, total: toImport.length });
+
+      const result = await dataManager.addTransactions(
+        toImport.map((r) => r.data),
+        {
+          onProgress: (done, total) => setProgress({ done, total }),
+        }
+      );
+
+      setMessage(
+        result.queued > 0
+          ? `${result.created} rows imported, ${result.queued} saved on this device and pending sync.`
+          : `${result.created} rows imported successfully.`
+      );
+      setMessageType("success");
+      setStep("DONE");
+    } catch (error) {
+      console.error(error);
+      setMessage(
+        `Import failed: ${error.message}. Rows already posted were kept.`
+      );
+      setMessageType("error");
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const reset = () => {
+    setFile({ name: "", headers: [], rows: [] });
+    setMapping({});
+    setStep("UPLOAD");
+  };
+
+  const missingRequired = REQUIRED_FIELDS.filter((f) => !(mapping[f] >= 0));
+
+  /* ================= UI ================= */
+  return (
+    <div className="import-container">
+      <h1>Import Transactions</h1>
+
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      {step === "UPLOAD" && (
+        <div className="import-step">
+          <p>
+            Choose a .csv or .xlsx file. The first row must contain column
+            headings.
+          </p>
+          <input type="file" accept=".csv,.xlsx,.xls" onChange={handleFile} />
+        </div>
+      )}
+
+      {step === "MAP" && (
+        <div className="import-step">
+          <p>
+            <strong>{file.name}</strong>: {file.rows.length} rows. Match each
+            field to a column of the file.
+          </p>
+
+          <div className="mapping-grid">
+            {TRANSACTION_FIELDS.map((field) => (
+              <React.Fragment key={field}>
+                <label>
+                  {field}
+                  {REQUIRED_FIELDS.includes(field) && " *"}
+                </label>
+                <select
+                  value={mapping[field] ?? -1}
+                  onChange={(e) =>
+                    setMapping({ ...mapping, [field]: Number(e.target.value) })
+                  }
+                >
+                  <option value={-1}>(not in file)</option>
+                  {file.headers.map((header, i) => (
+                    <option key={i} value={i}>
+                      {header || `Column ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </React.Fragment>
+            ))}
+          </div>
+
+          <div className="import-actions">
+            <button onClick={reset} className="cancel-btn">
+              Back
+            </button>
+            <button
+              onClick={() => setStep("PREVIEW")}
+              className="submit-btn"
+              disabled={missingRequired.length > 0}
+            >
+              Preview
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === "PREVIEW" && (
+        <div className="import-step">
+          <p>
+            {importRows.length} rows: {toImport.length} ready, {invalid.length}{" "}
+            with errors, {duplicates.length} already in the register.
+          </p>
+
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={skipDuplicates}
+              onChange={(e) => setSkipDuplicates(e.target.checked)}
+            />
+            Skip rows that already exist
+          </label>
+
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  {TRANSACTION_FIELDS.map((field) => (
+                    <th key={field}>{field}</th>
+                  ))}
+                  <th>Check</th>
+                </tr>
+              </thead>
+              <tbody>
+                {importRows.slice(0, PREVIEW_LIMIT).map((row) => (
+                  <tr
+                    key={row.line}
+                    className={
+                      row.errors.length
+                        ? "row-error"
+                        : row.duplicate
+                          ? "row-duplicate"
+                          : ""
+                    }
+                  >
+                    <td>{row.line}</td>
+                    {TRANSACTION_FIELDS.map((field) => (
+                      <td key={field}>{row.data[field]}</td>
+                    ))}
+                    <td>
+                      {row.errors.length
+                        ? row.errors.join("; ")
+                        : row.duplicate
+                          ? "Duplicate"
+                          : "OK"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {importRows.length > PREVIEW_LIMIT && (
+            <p>Showing the first {PREVIEW_LIMIT} rows.</p>
+          )}
+
+          <div className="import-actions">
+            <button
+              onClick={() => setStep("MAP")}
+              className="cancel-btn"
+              disabled={Boolean(progress)}
+            >
+              Back
+            </button>
+            <button
+              onClick={handleImport}
+              className="submit-btn"
+              disabled={toImport.length === 0 || Boolean(progress)}
+            >
+              {progress
+                ? `Importing ${progress.done} / ${progress.total}...`
+                : `Import ${toImport.length} rows`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {step === "DONE" && (
+        <button onClick={reset} className="submit-btn">
+          Import another file
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ImportTransactions;
@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import {
+  FEE_TYPES,
+  APPLIES_TO,
+  DEFAULT_RULE,
+  findRule,
+} from "../../utils/lateFeeRules";
+import { today } from "../../utils/dates";
+import SelectDropdown from "../SelectDropdown";
+import "./LateFeeRules.css";
+
+const FEE_TYPE_LABELS = {
+  [FEE_TYPES.FLAT]: "Flat fee once late",
+  [FEE_TYPES.PER_DAY]: "Per day late",
+  [FEE_TYPES.PER_WEEK]: "Per started week late",
+};
+
+const initialFormData = () => ({
+  EffectiveFrom: today(),
+  AppliesTo: APPLIES_TO.BOTH,
+  DueDay: DEFAULT_RULE.DueDay,
+  GraceDays: "0",
+  FeeType: FEE_TYPES.PER_WEEK,
+  FeeAmount: DEFAULT_RULE.FeeAmount,
+  Cap: DEFAULT_RULE.Cap,
+});
+
+const describeFee = (rule) => {
+  const fee = `₹${rule.FeeAmount} ${FEE_TYPE_LABELS[rule.FeeType] || ""}`;
+  return Number(rule.Cap) > 0 ? `${fee}, max ₹${rule.Cap}` : fee;
+};
+
+function LateFeeRules() {
+  const [rules, setRules] = useState([]);
+  const [formData, setFormData] = useState(initialFormData());
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ===================== LOAD RULES (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getLateFeeRules().then((data) => setRules(data || []));
+    return dataManager.onLateFeeRulesUpdate(setRules);
+  }, []);
+
+  const sorted = [...rules].sort((a, b) =>
+    String(b.EffectiveFrom).localeCompare(String(a.EffectiveFrom))
+  );
+
+  // Rules in force today, for each kind of due
+  const current = [APPLIES_TO.SAVING, APPLIES_TO.EMI].map((kind) =>
+    findRule(rules, today(), kind)
+  );
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== SAVE / DELETE ===================== */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const day = Number(formData.DueDay);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      setMessage("Due day must be between 1 and 31.");
+      setMessageType("error");
+      return;
+    }
+
+    // Rules already applied to past dues stay as they are
+    if (formData.EffectiveFrom < today()) {
+      setMessage("New rules can only take effect from today onwards.");
+      setMessageType("error");
+      return;
+    }
+
+    try {
+      const result = await dataManager.addLateFeeRule(formData);
+
+      setMessage(
+        result?.queued
+          ? "No connection - rule saved on this device and pending sync."
+          : "Late fee rule saved."
+      );
+      setMessageType("success");
+      setFormData(initialFormData());
+      dataManager.getLateFeeRules(true).then((data) => setRules(data || []));
+    } catch (error) {
+      console.error("Error saving late fee rule:", error);
+      setMessage("Error saving late fee rule.");
+      setMessageType("error");
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule effective ${rule.EffectiveFrom}?`)) {
+      return;
+    }
+
+    try {
+      await dataManager.deleteLateFeeRule(rule.Id);
+      setRules(rules.filter((r) => r.Id !== rule.Id));
+    } catch (error) {
+      console.error("Error deleting late fee rule:", error);
+      setMessage("Error deleting late fee rule.");
+      setMessageType("error");
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="late-fee-rules-container">
+      <h1>Late Fee Rules</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <p className="rules-note">
+        Each month&apos;s dues use the rule in force on the 1st of that month,
+        so a change only affects dues from its effective date onwards.
+      </p>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Effective From</th>
+              <th>Applies To</th>
+              <th>Due Day</th>
+              <th>Grace Days</th>
+              <th>Fee</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...sorted, DEFAULT_RULE].map((rule) => (
+              <tr
+                key={rule.Id || rule.EffectiveFrom}
+                className={current.includes(rule) ? "rule-current" : ""}
+              >
+                <td>
+                  {rule === DEFAULT_RULE ? "Default" : rule.EffectiveFrom}
+                </td>
+                <td>{rule.AppliesTo}</td>
+                <td>{rule.DueDay}</td>
+                <td>{rule.GraceDays || 0}</td>
+                <td>{describeFee(rule)}</td>
+                <td>
+                  {rule.Id && rule.EffectiveFrom > today() && (
+                    <button
+                      className="delete-rule-btn"
+                      onClick={() => handleDelete(rule)}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h2>New Rule</h2>
+      <form className="rule-form" onSubmit={handleSubmit}>
+        <label>Effective From</label>
+        <input
+          type="date"
+          name="EffectiveFrom"
+          value={formData.EffectiveFrom}
+          min={today()}
+          onChange={handleChange}
+          required
+        />
+
+        <SelectDropdown
+          label="Applies To"
+          name="AppliesTo"
+          value={formData.AppliesTo}
+          options={Object.values(APPLIES_TO)}
+          onChange={handleChange}
+          required
+        />
+
+        <label>Due Day of Month</label>
+        <input
+          type="number"
+          name="DueDay"
+          min="1"
+          max="31"
+          value={formData.DueDay}
+          onChange={handleChange}
+          required
+        />
+
+        <label>Grace Days</label>
+        <input
+          type="number"
+          name="GraceDays"
+          min="0"
+          value={formData.GraceDays}
+          onChange={handleChange}
+        />
+
+        <label>Fee Type</label>
+        <select name="FeeType" value={formData.FeeType} onChange={handleChange}>
+          {Object.values(FEE_TYPES).map((type) => (
+            <option key={type} value={type}>
+              {FEE_TYPE_LABELS[type]}
+            </option>
+          ))}
+        </select>
+
+        <label>Fee Amount (₹)</label>
+        <input
+          type="number"
+          name="FeeAmount"
+          min="0"
+          value={formData.FeeAmount}
+          onChange={handleChange}
+          required
+        />
+
+        <label>Cap (₹, blank for none)</label>
+        <input
+          type="number"
+          name="Cap"
+          min="0"
+          value={formData.Cap}
+          onChange={handleChange}
+        />
+
+        <button type="submit" className="submit-btn">
+          Save Rule
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LateFeeRules;
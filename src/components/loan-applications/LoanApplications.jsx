@@ -0,0 +1,265 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import {
+  LOAN_STATES,
+  NEXT_STATES,
+  isPending,
+  loanStage,
+} from "../../utils/loanWorkflow";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+import { today } from "../../utils/dates";
+import "./LoanApplications.css";
+
+// Button label and confirmation message per decision
+const ACTIONS = {
+  [LOAN_STATES.APPROVED]: { label: "Approve", done: "Loan approved." },
+  [LOAN_STATES.DISBURSED]: { label: "Disburse", done: "Loan disbursed." },
+  [LOAN_STATES.REJECTED]: { label: "Reject", done: "Application rejected." },
+};
+
+const initialDetails = () => ({
+  date: today(),
+  approvers: "",
+  resolutionNo: "",
+  reason: "",
+  paymentMode: "",
+});
+
+function LoanApplications() {
+  const [loans, setLoans] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [decision, setDecision] = useState(null); // { loan, to }
+  const [details, setDetails] = useState(initialDetails());
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getLoans().then(setLoans);
+    dataManager.getSettings().then(setSettings);
+
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+
+    return () => {
+      unsubLoans();
+      unsubSettings();
+    };
+  }, []);
+
+  // Oldest application first
+  const queue = loans
+    .filter((l) => l.Name && isPending(l))
+    .sort((a, b) => String(a.Date).localeCompare(String(b.Date)));
+
+  const openDecision = (loan, to) => {
+    setDecision({ loan, to });
+    setDetails({ ...initialDetails(), resolutionNo: loan.ResolutionNo || "" });
+    setError("");
+    setMessage("");
+  };
+
+  const handleChange = (e) => {
+    setDetails({ ...details, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== APPROVE / DISBURSE / REJECT ===================== */
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+
+    try {
+      const result = await dataManager.advanceLoan(
+        decision.loan.Id,
+        decision.to,
+        details
+      );
+      setMessage(
+        result?.queued
+          ? "No connection - decision saved on this device and pending sync."
+          : ACTIONS[decision.to].done
+      );
+      setDecision(null);
+      dataManager.getLoans(true).then(setLoans);
+    } catch (err) {
+      console.error("Error updating loan application:", err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="loan-applications-container">
+      <h1>Loan Applications</h1>
+      {message && <p className="success-msg">{message}</p>}
+
+      <p className="applications-note">
+        New loans wait here until the meeting passes a resolution. Approved
+        loans count towards the balances once the money is disbursed.
+      </p>
+
+      {queue.length === 0 ? (
+        <p>No applications are waiting.</p>
+      ) : (
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Member</th>
+                <th>Product</th>
+                <th>Amount</th>
+                <th>Tenure</th>
+                <th>Guarantors</th>
+                <th>Applied On</th>
+                <th>Stage</th>
+                <th>Resolution</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {queue.map((loan) => (
+                <tr key={loan.Id}>
+                  <td>{loan.Name}</td>
+                  <td>{loan.Product || "Regular"}</td>
+                  <td>₹{loan.LoanAmount}</td>
+                  <td>{loan.Tenure} months</td>
+                  <td>{loan.Guarantors || "-"}</td>
+                  <td>{loan.AppliedOn || loan.Date}</td>
+                  <td>{loanStage(loan)}</td>
+                  <td>
+                    {loan.ResolutionNo
+                      ? `${loan.ResolutionNo} (${loan.ApprovedBy})`
+                      : "-"}
+                  </td>
+                  <td className="application-actions">
+                    {NEXT_STATES[loanStage(loan)].map((to) => (
+                      <button
+                        key={to}
+                        className={
+                          to === LOAN_STATES.REJECTED
+                            ? "reject-btn"
+                            : "link-btn"
+                        }
+                        onClick={() => openDecision(loan, to)}
+                      >
+                        {ACTIONS[to].label}
+                      </button>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {decision && (
+        <div className="modal-overlay">
+          <form className="modal" onSubmit={handleConfirm}>
+            <h3>
+              {ACTIONS[decision.to].label} loan #{decision.loan.Id}
+            </h3>
+            <p>
+              {decision.loan.Name} · ₹{decision.loan.LoanAmount} ·{" "}
+              {decision.loan.Tenure} months
+            </p>
+            {error && <p className="error-msg">{error}</p>}
+
+            <div className="decision-grid">
+              <label>Date</label>
+              <input
+                type="date"
+                name="date"
+                value={details.date}
+                onChange={handleChange}
+                required
+              />
+
+              {decision.to === LOAN_STATES.APPROVED && (
+                <>
+                  <label>Approved by</label>
+                  <input
+                    name="approvers"
+                    value={details.approvers}
+                    onChange={handleChange}
+                    placeholder="Names, comma separated"
+                    required
+                  />
+                </>
+              )}
+
+              {decision.to !== LOAN_STATES.DISBURSED && (
+                <>
+                  <label>Resolution No.</label>
+                  <input
+                    name="resolutionNo"
+                    value={details.resolutionNo}
+                    onChange={handleChange}
+                    required={decision.to === LOAN_STATES.APPROVED}
+                  />
+                </>
+              )}
+
+              {decision.to === LOAN_STATES.REJECTED && (
+                <>
+                  <label>Reason</label>
+                  <textarea
+                    name="reason"
+                    value={details.reason}
+                    onChange={handleChange}
+                    rows="2"
+                    required
+                  />
+                </>
+              )}
+
+              {decision.to === LOAN_STATES.DISBURSED && (
+                <>
+                  <label>Payment Mode</label>
+                  <select
+                    name="paymentMode"
+                    value={details.paymentMode}
+                    onChange={handleChange}
+                    required
+                  >
+                    <option value="">Select</option>
+                    {settings.paymentMethods.map((method) => (
+                      <option key={method} value={method}>
+                        {method}
+                      </option>
+                    ))}
+                  </select>
+                </>
+              )}
+            </div>
+
+            {decision.to === LOAN_STATES.DISBURSED && (
+              <p className="applications-note">
+                Repayments are scheduled from the disbursement date.
+              </p>
+            )}
+
+            <div className="modal-actions">
+              <button type="submit" className="confirm-btn" disabled={saving}>
+                {saving ? "Saving..." : ACTIONS[decision.to].label}
+              </button>
+              <button
+                type="button"
+                className="cancel-btn"
+                onClick={() => setDecision(null)}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LoanApplications;
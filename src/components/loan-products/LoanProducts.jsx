@@ -0,0 +1,253 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { PRODUCT_STATUS, DEFAULT_PRODUCT } from "../../utils/loanProducts";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+import "./LoanProducts.css";
+
+const initialFormData = () => ({
+  Name: "",
+  MinAmount: "",
+  MaxAmount: "",
+  InterestRate: "",
+  InterestMethod: "",
+  MaxTenure: "",
+});
+
+const describeAmounts = (product) => {
+  if (product.MinAmount && product.MaxAmount) {
+    return `₹${product.MinAmount} - ₹${product.MaxAmount}`;
+  }
+  if (product.MaxAmount) return `Up to ₹${product.MaxAmount}`;
+  if (product.MinAmount) return `From ₹${product.MinAmount}`;
+  return "Any";
+};
+
+function LoanProducts() {
+  const [products, setProducts] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [formData, setFormData] = useState(initialFormData());
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ===================== LOAD PRODUCTS (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getLoanProducts().then((data) => setProducts(data || []));
+    dataManager.getSettings().then(setSettings);
+
+    const unsubProducts = dataManager.onLoanProductsUpdate(setProducts);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+
+    return () => {
+      unsubProducts();
+      unsubSettings();
+    };
+  }, []);
+
+  const listed = products.filter((p) => p.Name);
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== SAVE / RETIRE ===================== */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = formData.Name.trim();
+    if (listed.some((p) => p.Name.toLowerCase() === name.toLowerCase())) {
+      setMessage(`A product named "${name}" already exists.`);
+      setMessageType("error");
+      return;
+    }
+
+    if (
+      formData.MinAmount &&
+      formData.MaxAmount &&
+      Number(formData.MinAmount) > Number(formData.MaxAmount)
+    ) {
+      setMessage("The minimum amount is above the maximum.");
+      setMessageType("error");
+      return;
+    }
+
+    try {
+      const result = await dataManager.addLoanProduct({
+        ...formData,
+        Name: name,
+        Status: PRODUCT_STATUS.ACTIVE,
+      });
+
+      setMessage(
+        result?.queued
+          ? "No connection - product saved on this device and pending sync."
+          : "Loan product saved."
+      );
+      setMessageType("success");
+      setFormData(initialFormData());
+      dataManager.getLoanProducts(true).then((data) => setProducts(data || []));
+    } catch (error) {
+      console.error("Error saving loan product:", error);
+      setMessage("Error saving loan product.");
+      setMessageType("error");
+    }
+  };
+
+  // Products are retired rather than deleted: loans keep their product name
+  const handleToggle = async (product) => {
+    const Status =
+      product.Status === PRODUCT_STATUS.RETIRED
+        ? PRODUCT_STATUS.ACTIVE
+        : PRODUCT_STATUS.RETIRED;
+
+    try {
+      await dataManager.updateLoanProduct(product.Id, { Status });
+      setProducts(
+        products.map((p) => (p.Id === product.Id ? { ...p, Status } : p))
+      );
+    } catch (error) {
+      console.error("Error updating loan product:", error);
+      setMessage("Error updating loan product.");
+      setMessageType("error");
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="loan-products-container">
+      <h1>Loan Products</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <p className="products-note">
+        Blank terms are open to the values on the settings screen. Members may
+        hold up to {settings.maxConcurrentLoans[0]} loan
+        {Number(settings.maxConcurrentLoans[0]) === 1 ? "" : "s"} at once.
+      </p>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Amount</th>
+              <th>Rate (% per month)</th>
+              <th>Method</th>
+              <th>Max Tenure</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {(listed.length > 0 ? listed : [DEFAULT_PRODUCT]).map((product) => (
+              <tr
+                key={product.Id || product.Name}
+                className={
+                  product.Status === PRODUCT_STATUS.RETIRED
+                    ? "product-retired"
+                    : ""
+                }
+              >
+                <td>{product.Name}</td>
+                <td>{describeAmounts(product)}</td>
+                <td>{product.InterestRate || "Any"}</td>
+                <td>{product.InterestMethod || "Any"}</td>
+                <td>
+                  {product.MaxTenure ? `${product.MaxTenure} months` : "Any"}
+                </td>
+                <td>{product.Status}</td>
+                <td>
+                  {product.Id && (
+                    <button
+                      className="link-btn"
+                      onClick={() => handleToggle(product)}
+                    >
+                      {product.Status === PRODUCT_STATUS.RETIRED
+                        ? "Reinstate"
+                        : "Retire"}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h2>New Product</h2>
+      <form className="product-form" onSubmit={handleSubmit}>
+        <label>Name</label>
+        <input
+          type="text"
+          name="Name"
+          value={formData.Name}
+          onChange={handleChange}
+          required
+        />
+
+        <label>Minimum Amount (₹)</label>
+        <input
+          type="number"
+          name="MinAmount"
+          min="0"
+          value={formData.MinAmount}
+          onChange={handleChange}
+        />
+
+        <label>Maximum Amount (₹)</label>
+        <input
+          type="number"
+          name="MaxAmount"
+          min="0"
+          value={formData.MaxAmount}
+          onChange={handleChange}
+        />
+
+        <label>Interest Rate (% per month)</label>
+        <select
+          name="InterestRate"
+          value={formData.InterestRate}
+          onChange={handleChange}
+        >
+          <option value="">Any</option>
+          {settings.interestRateOptions.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate}
+            </option>
+          ))}
+        </select>
+
+        <label>Interest Method</label>
+        <select
+          name="InterestMethod"
+          value={formData.InterestMethod}
+          onChange={handleChange}
+        >
+          <option value="">Any</option>
+          {settings.interestMethods.map((method) => (
+            <option key={method} value={method}>
+              {method}
+            </option>
+          ))}
+        </select>
+
+        <label>Maximum Tenure (months)</label>
+        <input
+          type="number"
+          name="MaxTenure"
+          min="1"
+          value={formData.MaxTenure}
+          onChange={handleChange}
+        />
+
+        <button type="submit" className="submit-btn">
+          Save Product
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoanProducts;
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { findBalanceMismatches } from "../../utils/loanBalances";
+import "./LoanReconciliation.css";
+
+function LoanReconciliation() {
+  const [loans, setLoans] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [fixing, setFixing] = useState(false);
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getLoans().then(setLoans);
+    dataManager.getTransactions().then(setTransactions);
+
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+
+    return () => {
+      unsubLoans();
+      unsubTxns();
+    };
+  }, []);
+
+  const mismatches = findBalanceMismatches(loans, transactions);
+
+  /* ===================== FIX ===================== */
+  const handleFix = async (loanIds = null) => {
+    setFixing(true);
+
+    try {
+      const fixed = await dataManager.reconcileLoans(loanIds);
+      setMessage(`${fixed} loan${fixed === 1 ? "" : "s"} updated.`);
+      setMessageType("success");
+      dataManager.getLoans(true).then(setLoans);
+    } catch (error) {
+      console.error("Error reconciling loans:", error);
+      setMessage("Error updating loan balances.");
+      setMessageType("error");
+    } finally {
+      setFixing(false);
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="loan-reconciliation-container">
+      <h1>Loan Reconciliation</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <p className="reconcile-note">
+        Loan balances are worked out from each loan&apos;s disbursement and the
+        EMIs paid on it. Loans listed here have a stored Remaining Loan or
+        Status that disagrees; fixing copies the ledger figures into the sheet.
+      </p>
+
+      {mismatches.length === 0 ? (
+        <p className="success-msg">All loan balances match the ledger.</p>
+      ) : (
+        <>
+          <button
+            className="fix-all-btn"
+            onClick={() => handleFix()}
+            disabled={fixing}
+          >
+            Fix all ({mismatches.length})
+          </button>
+
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Member</th>
+                  <th>Loan</th>
+                  <th>Taken On</th>
+                  <th>EMIs Paid</th>
+                  <th>Interest Paid</th>
+                  <th>Stored Remaining</th>
+                  <th>Ledger Remaining</th>
+                  <th>Stored Status</th>
+                  <th>Ledger Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {mismatches.map(({ loan, stored, derived }, i) => (
+                  <tr key={loan.Id || i}>
+                    <td>{loan.Name}</td>
+                    <td>₹{derived.principal}</td>
+                    <td>{loan.Date}</td>
+                    <td>₹{derived.principalPaid}</td>
+                    <td>₹{derived.interestPaid}</td>
+                    <td className="stored-value">₹{stored.RemainingLoan}</td>
+                    <td>₹{derived.outstanding}</td>
+                    <td className="stored-value">{stored.Status || "-"}</td>
+                    <td>{derived.status}</td>
+                    <td>
+                      {loan.Id && (
+                        <button
+                          className="link-btn"
+                          onClick={() => handleFix([loan.Id])}
+                          disabled={fixing}
+                        >
+                          Fix
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LoanReconciliation;
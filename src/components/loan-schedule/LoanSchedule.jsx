@@ -0,0 +1,51 @@
+import React from "react";
+import { summarizeSchedule } from "../../utils/loanSchedule";
+import "./LoanSchedule.css";
+
+const LoanSchedule = ({ schedule }) => {
+  if (!schedule || schedule.length === 0) {
+    return <p className="schedule-empty">No repayment schedule recorded.</p>;
+  }
+
+  const totals = summarizeSchedule(schedule);
+
+  return (
+    <div className="schedule-scroll">
+      <table className="schedule-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Due Date</th>
+            <th>EMI</th>
+            <th>Principal</th>
+            <th>Interest</th>
+            <th>Balance</th>
+          </tr>
+        </thead>
+        <tbody>
+          {schedule.map((row) => (
+            <tr key={row.installment}>
+              <td>{row.installment}</td>
+              <td>{row.dueDate}</td>
+              <td>₹{row.emi}</td>
+              <td>₹{row.principal}</td>
+              <td>₹{row.interest}</td>
+              <td>₹{row.balance}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colSpan="2">Total</th>
+            <th>₹{totals.total}</th>
+            <th>₹{totals.principal}</th>
+            <th>₹{totals.interest}</th>
+            <th></th>
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+};
+
+export default LoanSchedule;
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { MIN_PIN_LENGTH, ROLES, validatePin } from "../../utils/auth";
+import "./Login.css";
+
+function Login() {
+  const group = dataManager.getActiveGroup();
+
+  const [users, setUsers] = useState(null);
+  const [formData, setFormData] = useState({ Name: "", Pin: "", Confirm: "" });
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+
+  /* ===================== LOAD USERS (CACHED) ===================== */
+  useEffect(() => {
+    dataManager
+      .getUsers()
+      .then((data) => setUsers(data || []))
+      .catch((error) => {
+        console.error("Error loading users:", error);
+        setMessage("Could not load user accounts. Check your connection.");
+        setUsers([]);
+      });
+  }, []);
+
+  // A group without accounts starts by creating its President
+  const isSetup = users !== null && users.length === 0;
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== SIGN IN / SET UP ===================== */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage("");
+
+    if (isSetup) {
+      const pinError = validatePin(formData.Pin);
+      if (pinError) {
+        setMessage(pinError);
+        return;
+      }
+      if (formData.Pin !== formData.Confirm) {
+        setMessage("The PINs do not match.");
+        return;
+      }
+    }
+
+    setBusy(true);
+    try {
+      if (isSetup) {
+        await dataManager.addUser({
+          Name: formData.Name,
+          Role: ROLES.PRESIDENT,
+          Pin: formData.Pin,
+        });
+      }
+      await dataManager.login(formData.Name, formData.Pin);
+    } catch (error) {
+      setMessage(error.message);
+      setFormData({ ...formData, Pin: "", Confirm: "" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /* ===================== UI ===================== */
+  if (users === null) {
+    return <p className="login-container">Loading...</p>;
+  }
+
+  return (
+    <div className="login-container">
+      <h2>{group.name}</h2>
+      <p>
+        {isSetup
+          ? "No accounts yet. Create the President's account to get started."
+          : "Sign in with your name and PIN."}
+      </p>
+      {message && <p className="error-msg">{message}</p>}
+
+      <form className="login-form" onSubmit={handleSubmit}>
+        <label>Name</label>
+        <input
+          name="Name"
+          value={formData.Name}
+          onChange={handleChange}
+          autoComplete="username"
+          required
+        />
+
+        <label>PIN</label>
+        <input
+          type="password"
+          name="Pin"
+          inputMode="numeric"
+          minLength={isSetup ? MIN_PIN_LENGTH : undefined}
+          value={formData.Pin}
+          onChange={handleChange}
+          autoComplete={isSetup ? "new-password" : "current-password"}
+          required
+        />
+
+        {isSetup && (
+          <>
+            <label>Confirm PIN</label>
+            <input
+              type="password"
+              name="Confirm"
+              inputMode="numeric"
+              minLength={MIN_PIN_LENGTH}
+              value={formData.Confirm}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+            />
+          </>
+        )}
+
+        <button type="submit" className="submit-btn" disabled={busy}>
+          {busy ? "Please wait..." : isSetup ? "Create Account" : "Sign In"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,347 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { dataManager } from "../../utils/dataManager";
+import { auth, can } from "../../utils/auth";
+import { buildMemberLedger, filterLedger } from "../../utils/ledger";
+import { toISODate } from "../../utils/dates";
+import { getLoanSchedule } from "../../utils/loanSchedule";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+import { canReverse } from "../../utils/corrections";
+import { withDerivedBalances } from "../../utils/loanBalances";
+import { guaranteedLoans, parseGuarantors } from "../../utils/guarantors";
+import { buildArrearsReport } from "../../utils/arrears";
+import ExportButtons from "../ExportButtons";
+import LoanSchedule from "../loan-schedule/LoanSchedule";
+import ReverseTransaction from "../reverse-transaction/ReverseTransaction";
+import "./MemberLedger.css";
+
+const formatAmount = (value) => (value ? `₹${value}` : "");
+
+const EXPORT_COLUMNS = [
+  { key: "day", label: "Date" },
+  { key: "type", label: "Entry" },
+  { key: "saving", label: "Saving", type: "amount" },
+  { key: "emi", label: "EMI", type: "amount" },
+  { key: "interest", label: "Interest", type: "amount" },
+  { key: "lateFee", label: "Late Fee", type: "amount" },
+  { key: "loanAmount", label: "Loan", type: "amount" },
+  { key: "paymentMethod", label: "Method" },
+  { key: "savingsBalance", label: "Savings Balance", type: "amount" },
+  { key: "loanOutstanding", label: "Loan Outstanding", type: "amount" },
+  { key: "notes", label: "Notes" },
+];
+
+const rowClass = (row) => {
+  if (row.reversed) return "reversed-row";
+  if (row.type === "Reversal") return "reversal-row";
+  return row.type !== "Payment" ? "loan-row" : "";
+};
+
+function MemberLedger() {
+  const { name } = useParams();
+
+  const [members, setMembers] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [openLoanId, setOpenLoanId] = useState(null);
+  const [reversing, setReversing] = useState(null);
+  const [message, setMessage] = useState("");
+  const [filters, setFilters] = useState({
+    from: "",
+    to: "",
+    paymentMethod: "",
+  });
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getMembers().then(setMembers);
+    dataManager.getTransactions().then(setTransactions);
+    dataManager.getLoans().then(setLoans);
+    dataManager.getSettings().then(setSettings);
+
+    const unsubMembers = dataManager.onMembersUpdate(setMembers);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+
+    return () => {
+      unsubMembers();
+      unsubTxns();
+      unsubLoans();
+      unsubSettings();
+    };
+  }, []);
+
+  /* ===================== LEDGER ===================== */
+  const ledger = useMemo(
+    () => buildMemberLedger(name, transactions, loans),
+    [name, transactions, loans]
+  );
+
+  const rows = filterLedger(ledger, filters);
+  const latest = ledger[ledger.length - 1];
+  const member = members.find((m) => m.Name?.trim() === name.trim());
+  const balances = withDerivedBalances(loans, transactions);
+  const memberLoans = balances.filter((l) => l.Name?.trim() === name.trim());
+
+  // Installments the member is behind on, per loan
+  const arrears = buildArrearsReport({ loans, transactions }).rows.filter(
+    (row) => row.loan.Name.trim() === name.trim() && row.daysOverdue > 0
+  );
+  const arrearsOf = (loan) => arrears.find((row) => row.loan.Id === loan.Id);
+  const overdue = arrears.reduce((sum, row) => sum + row.overdue, 0);
+
+  // Loans of other members this member stands guarantor for
+  const guaranteed = guaranteedLoans(name, balances);
+  const exposure = guaranteed.reduce(
+    (sum, l) => sum + Number(l.RemainingLoan),
+    0
+  );
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+  };
+
+  const handleReversed = (text) => {
+    setReversing(null);
+    setMessage(text);
+  };
+
+  // Members may only open their own ledger
+  const user = auth.getUser();
+  const canViewAll = can(user, "viewAllLedgers");
+  const canCorrect = can(user, "recordPayments");
+  if (!canViewAll && user?.MemberName?.trim() !== name.trim()) {
+    return (
+      <div className="member-ledger-container">
+        <p className="error-msg">You can only view your own ledger.</p>
+      </div>
+    );
+  }
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="member-ledger-container">
+      {canViewAll && (
+        <Link to="/" className="back-link">
+          ← Dashboard
+        </Link>
+      )}
+      <h1>{name}</h1>
+      {member && <p className="member-status">Status: {member.Status}</p>}
+      {message && <p className="success-msg">{message}</p>}
+
+      <div className="summary-cards">
+        <div className="card">
+          Savings Balance
+          <br />₹{latest?.savingsBalance || 0}
+        </div>
+        <div className="card">
+          Outstanding Loan
+          <br />₹{latest?.loanOutstanding || 0}
+        </div>
+        {overdue > 0 && (
+          <div className="card arrears-card">
+            Arrears
+            <br />₹{overdue}
+            <br />
+            <small>{arrears[0].daysOverdue} days overdue</small>
+          </div>
+        )}
+        {exposure > 0 && (
+          <div className="card">
+            Guarantee Exposure
+            <br />₹{exposure}
+          </div>
+        )}
+      </div>
+
+      {memberLoans.length > 0 && (
+        <>
+          <h2>Loans</h2>
+          <ul className="loan-list">
+            {memberLoans.map((loan, i) => {
+              const key = loan.Id || i;
+              return (
+                <li key={key}>
+                  <div className="loan-summary">
+                    <span>
+                      <strong>₹{loan.LoanAmount}</strong>{" "}
+                      {loan.Product || "Regular"} loan on {loan.Date} ·{" "}
+                      {loan.Status} · ₹{loan.RemainingLoan} outstanding, ₹
+                      {loan.InterestPaid} interest paid
+                      {loan.InterestRate &&
+                        ` · ${loan.InterestRate}% per month (${loan.InterestMethod}), ${loan.Tenure} months, EMI ₹${loan.Emi}`}
+                      {parseGuarantors(loan).length > 0 &&
+                        ` · Guaranteed by ${parseGuarantors(loan).join(", ")}`}
+                      {arrearsOf(loan) && (
+                        <span className="arrears-text">
+                          {" "}
+                          · ₹{arrearsOf(loan).overdue} overdue (
+                          {arrearsOf(loan).daysOverdue} days,{" "}
+                          {arrearsOf(loan).installments.length} installments)
+                        </span>
+                      )}
+                    </span>
+                    <button
+                      className="link-btn"
+                      onClick={() =>
+                        setOpenLoanId(openLoanId === key ? null : key)
+                      }
+                    >
+                      {openLoanId === key ? "Hide schedule" : "Schedule"}
+                    </button>
+                  </div>
+                  {openLoanId === key && (
+                    <LoanSchedule schedule={getLoanSchedule(loan)} />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+
+      {guaranteed.length > 0 && (
+        <>
+          <h2>Guarantor For</h2>
+          <ul className="loan-list">
+            {guaranteed.map((loan) => (
+              <li key={loan.Id}>
+                <strong>{loan.Name}</strong> · ₹{loan.LoanAmount} loan on{" "}
+                {loan.Date} · ₹{loan.RemainingLoan} outstanding
+                {parseGuarantors(loan).length > 1 &&
+                  ` · with ${parseGuarantors(loan)
+                    .filter((g) => g !== name.trim())
+                    .join(", ")}`}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="ledger-filters">
+        <label>
+          From
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            onChange={handleFilterChange}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            onChange={handleFilterChange}
+          />
+        </label>
+        <label>
+          Payment Method
+          <select
+            name="paymentMethod"
+            value={filters.paymentMethod}
+            onChange={handleFilterChange}
+          >
+            <option value="">All</option>
+            {settings.paymentMethods.map((method) => (
+              <option key={method} value={method}>
+                {method}
+              </option>
+            ))}
+          </select>
+        </label>
+        <ExportButtons
+          basename={`ledger-${name}`}
+          columns={EXPORT_COLUMNS}
+          rows={rows.map((row) => ({
+            ...row,
+            day: row.date ? toISODate(row.date) : "",
+          }))}
+          sheetName="Ledger"
+        />
+      </div>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Entry</th>
+              <th>Saving</th>
+              <th>EMI</th>
+              <th>Interest</th>
+              <th>Late Fee</th>
+              <th>Loan</th>
+              <th>Method</th>
+              <th>Savings Balance</th>
+              <th>Loan Outstanding</th>
+              <th>Notes</th>
+              {canCorrect && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={canCorrect ? 12 : 11} className="empty-row">
+                  No entries found.
+                </td>
+              </tr>
+            )}
+            {rows.map((row, i) => (
+              <tr key={i} className={rowClass(row)}>
+                <td>{row.date ? toISODate(row.date) : "-"}</td>
+                <td>{row.type}</td>
+                <td>{formatAmount(row.saving)}</td>
+                <td>{formatAmount(row.emi)}</td>
+                <td>{formatAmount(row.interest)}</td>
+                <td>{formatAmount(row.lateFee)}</td>
+                <td>{formatAmount(row.loanAmount)}</td>
+                <td>{row.paymentMethod}</td>
+                <td>₹{row.savingsBalance}</td>
+                <td>₹{row.loanOutstanding}</td>
+                <td>
+                  {row.notes}
+                  {row.reversed && (
+                    <span className="reversed-tag">Reversed</span>
+                  )}
+                </td>
+                {canCorrect && (
+                  <td>
+                    {row.type === "Payment" &&
+                      canReverse(row.source, transactions) && (
+                        <button
+                          className="link-btn"
+                          onClick={() => {
+                            setMessage("");
+                            setReversing(row.source);
+                          }}
+                        >
+                          Correct / Reverse
+                        </button>
+                      )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {reversing && (
+        <ReverseTransaction
+          transaction={reversing}
+          paymentMethods={settings.paymentMethods}
+          onClose={() => setReversing(null)}
+          onDone={handleReversed}
+        />
+      )}
+    </div>
+  );
+}
+
+export default MemberLedger;
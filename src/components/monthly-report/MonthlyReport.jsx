@@ -0,0 +1,158 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { buildMonthlyCollection } from "../../utils/reports";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+import { toMonthKey } from "../../utils/dates";
+import ExportButtons from "../ExportButtons";
+import "./MonthlyReport.css";
+
+const COLUMNS = [
+  { key: "name", label: "Name" },
+  { key: "expectedSaving", label: "Expected Saving", type: "amount" },
+  { key: "saving", label: "Saving Received", type: "amount" },
+  { key: "expectedEmi", label: "Expected EMI", type: "amount" },
+  { key: "emi", label: "EMI Received", type: "amount" },
+  { key: "interest", label: "Interest", type: "amount" },
+  { key: "lateFee", label: "Late Fee", type: "amount" },
+  { key: "missingSaving", label: "Missing Saving", type: "amount" },
+  { key: "missingEmi", label: "Missing EMI", type: "amount" },
+  { key: "status", label: "Status" },
+];
+
+const STATUS_CLASS = {
+  Paid: "status-paid",
+  Partial: "status-partial",
+  "Not paid": "status-missing",
+};
+
+function MonthlyReport() {
+  const [members, setMembers] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [month, setMonth] = useState(toMonthKey(new Date()));
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getMembers().then(setMembers);
+    dataManager.getTransactions().then(setTransactions);
+    dataManager.getLoans().then(setLoans);
+    dataManager.getSettings().then(setSettings);
+
+    const unsubMembers = dataManager.onMembersUpdate(setMembers);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+    const unsubLoans = dataManager.onLoansUpdate(setLoans);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+
+    return () => {
+      unsubMembers();
+      unsubTxns();
+      unsubLoans();
+      unsubSettings();
+    };
+  }, []);
+
+  /* ===================== REPORT ===================== */
+  const report = useMemo(
+    () =>
+      buildMonthlyCollection({
+        month,
+        members,
+        transactions,
+        loans,
+        expectedSaving: Number(settings.savingOptions[0] || 0),
+        paymentMethods: settings.paymentMethods,
+      }),
+    [month, members, transactions, loans, settings]
+  );
+
+  const exportRows = [
+    ...report.rows,
+    { ...report.totals, name: "Total", status: "" },
+  ];
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="monthly-report-container">
+      <h1>Monthly Collection Report</h1>
+
+      <div className="report-actions no-print">
+        <label>
+          Month
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => setMonth(e.target.value)}
+          />
+        </label>
+        <button onClick={() => window.print()} className="submit-btn">
+          Print
+        </button>
+        <ExportButtons
+          basename={`collection-${month}`}
+          columns={COLUMNS}
+          rows={exportRows}
+          sheetName={`Collection ${month}`}
+        />
+      </div>
+
+      <h2 className="print-only">Meeting sheet: {month}</h2>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              {COLUMNS.map((c) => (
+                <th key={c.key}>{c.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {report.rows.map((row) => (
+              <tr key={row.name}>
+                <td>{row.name}</td>
+                <td>₹{row.expectedSaving}</td>
+                <td>₹{row.saving}</td>
+                <td>₹{row.expectedEmi}</td>
+                <td>₹{row.emi}</td>
+                <td>₹{row.interest}</td>
+                <td>₹{row.lateFee}</td>
+                <td>{row.missingSaving ? `₹${row.missingSaving}` : "-"}</td>
+                <td>{row.missingEmi ? `₹${row.missingEmi}` : "-"}</td>
+                <td className={STATUS_CLASS[row.status]}>{row.status}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th>Total</th>
+              <th>₹{report.totals.expectedSaving || 0}</th>
+              <th>₹{report.totals.saving || 0}</th>
+              <th>₹{report.totals.expectedEmi || 0}</th>
+              <th>₹{report.totals.emi || 0}</th>
+              <th>₹{report.totals.interest || 0}</th>
+              <th>₹{report.totals.lateFee || 0}</th>
+              <th>₹{report.totals.missingSaving || 0}</th>
+              <th>₹{report.totals.missingEmi || 0}</th>
+              <th></th>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <h2>Received by Payment Method</h2>
+      <table className="method-table">
+        <tbody>
+          {Object.entries(report.byMethod).map(([method, total]) => (
+            <tr key={method}>
+              <td>{method}</td>
+              <td>₹{total}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default MonthlyReport;
@@ -0,0 +1,31 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import "./QuotaBanner.css";
+
+const MESSAGES = {
+  warning: "SheetDB usage is getting high this month.",
+  critical: "SheetDB usage is close to the monthly limit. Avoid refreshing.",
+  readOnly:
+    "SheetDB monthly limit nearly reached. Showing saved data; new entries are kept on this device until synced.",
+};
+
+function QuotaBanner() {
+  const [usage, setUsage] = useState(dataManager.getApiUsage());
+
+  useEffect(() => dataManager.onApiUsageUpdate(setUsage), []);
+
+  if (usage.level === "ok" || dataManager.getStorageName() !== "sheetdb") {
+    return null;
+  }
+
+  return (
+    <div className={`quota-banner no-print ${usage.level}`} role="status">
+      <strong>
+        API calls: {usage.used} / {usage.budget}
+      </strong>{" "}
+      (projected {usage.projected} by month end). {MESSAGES[usage.level]}
+    </div>
+  );
+}
+
+export default QuotaBanner;
@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { AMOUNT_FIELDS } from "../../utils/corrections";
+import "./ReverseTransaction.css";
+
+const FIELD_LABELS = {
+  Saving: "Saving",
+  LoanEmi: "Loan EMI",
+  Interest: "Interest",
+  LateFee: "Late Fee",
+};
+
+// Modal to reverse a payment entry, optionally re-entering it correctly
+const ReverseTransaction = ({
+  transaction,
+  paymentMethods,
+  onClose,
+  onDone,
+}) => {
+  const [reason, setReason] = useState("");
+  const [correct, setCorrect] = useState(false);
+  const [correction, setCorrection] = useState({
+    Date: transaction.Date,
+    ...Object.fromEntries(
+      AMOUNT_FIELDS.map((field) => [field, transaction[field] || ""])
+    ),
+    PaymentMethod: transaction.PaymentMethod || "",
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleCorrectionChange = (e) => {
+    setCorrection({ ...correction, [e.target.name]: e.target.value });
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError("");
+
+    try {
+      const result = await dataManager.reverseTransaction(transaction.Id, {
+        reason,
+        correction: correct ? correction : null,
+      });
+      onDone(
+        result?.queued
+          ? "No connection - reversal saved on this device and pending sync."
+          : correct
+            ? "Entry reversed and corrected."
+            : "Entry reversed."
+      );
+    } catch (err) {
+      console.error("Reversal failed:", err);
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal modal-wide" onSubmit={handleConfirm}>
+        <h3>Reverse Entry #{transaction.Id}</h3>
+        <p>
+          {transaction.Date} · {transaction.Name} ·{" "}
+          {AMOUNT_FIELDS.filter((field) => Number(transaction[field]))
+            .map((field) => `${FIELD_LABELS[field]} ₹${transaction[field]}`)
+            .join(", ")}
+        </p>
+        <p className="reverse-note">
+          The entry stays in the records; a reversal cancels its amounts.
+        </p>
+        {error && <p className="error-msg">{error}</p>}
+
+        <label>Reason</label>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows="2"
+          required
+        />
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={correct}
+            onChange={(e) => setCorrect(e.target.checked)}
+          />
+          Enter the corrected payment
+        </label>
+
+        {correct && (
+          <div className="correction-grid">
+            <label>Date</label>
+            <input
+              type="date"
+              name="Date"
+              value={correction.Date}
+              onChange={handleCorrectionChange}
+              required
+            />
+            {AMOUNT_FIELDS.map((field) => (
+              <React.Fragment key={field}>
+                <label>{FIELD_LABELS[field]}</label>
+                <input
+                  type="number"
+                  min="0"
+                  name={field}
+                  value={correction[field]}
+                  onChange={handleCorrectionChange}
+                />
+              </React.Fragment>
+            ))}
+            <label>Payment Method</label>
+            <select
+              name="PaymentMethod"
+              value={correction.PaymentMethod}
+              onChange={handleCorrectionChange}
+            >
+              <option value="">Select</option>
+              {paymentMethods.map((method) => (
+                <option key={method} value={method}>
+                  {method}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button type="submit" className="confirm-btn" disabled={saving}>
+            {saving ? "Saving..." : correct ? "Reverse & Correct" : "Reverse"}
+          </button>
+          <button type="button" className="cancel-btn" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReverseTransaction;
@@ -0,0 +1,74 @@
+import React from "react";
+import { dataManager } from "../../utils/dataManager";
+import "./SettlementLetter.css";
+
+// Printable letter confirming a member's exit settlement
+const SettlementLetter = ({ settlement, date, paymentMethod, onClose }) => {
+  const group = dataManager.getActiveGroup();
+  const { net } = settlement;
+
+  return (
+    <div className="settlement-letter">
+      <h2>{group?.name}</h2>
+      <h3>Member Exit Settlement</h3>
+      <p>
+        <strong>Member:</strong> {settlement.name}
+        <br />
+        <strong>Date:</strong> {date}
+      </p>
+
+      <table className="settlement-table">
+        <tbody>
+          <tr>
+            <td>Savings</td>
+            <td>₹{settlement.savings}</td>
+          </tr>
+          <tr>
+            <td>Share of interest income</td>
+            <td>₹{settlement.interestShare}</td>
+          </tr>
+          {settlement.loans.map(({ loan, principal, interest }) => (
+            <tr key={loan.Id}>
+              <td>
+                Less loan #{loan.Id}
+                {interest > 0 && ` (incl. ₹${interest} overdue interest)`}
+              </td>
+              <td>-₹{principal + interest}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th>{net >= 0 ? "Paid to member" : "Recovered from member"}</th>
+            <th>₹{Math.abs(net)}</th>
+          </tr>
+        </tfoot>
+      </table>
+
+      <p>
+        {net >= 0
+          ? `${settlement.name} has received ₹${net}`
+          : `${settlement.name} has paid ₹${-net}`}
+        {paymentMethod && ` by ${paymentMethod}`} in full and final settlement
+        of their account, and has left the group. Their loans are closed.
+      </p>
+
+      <div className="signatures">
+        <span>Member</span>
+        <span>Treasurer</span>
+        <span>President</span>
+      </div>
+
+      <div className="modal-actions no-print">
+        <button onClick={() => window.print()} className="confirm-btn">
+          Print
+        </button>
+        <button onClick={onClose} className="cancel-btn">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SettlementLetter;
@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { syncQueue } from "../../utils/syncQueue";
+import "./SyncStatus.css";
+
+const describeEntry = (entry) => {
+  const row = Array.isArray(entry.data) ? entry.data[0] : entry.data;
+  const who = row?.Name || entry.value || "";
+  return `${entry.op} · ${entry.collection}${who ? ` · ${who}` : ""}`;
+};
+
+function SyncStatus() {
+  const [entries, setEntries] = useState(syncQueue.getAll());
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [expanded, setExpanded] = useState(false);
+
+  /* ================= OUTBOX & CONNECTIVITY ================= */
+  useEffect(() => {
+    const unsubscribe = syncQueue.onChange(setEntries);
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  if (entries.length === 0 && isOnline) return null;
+
+  const pending = entries.filter((e) => e.status === "pending").length;
+  const needsAttention = entries.length - pending;
+
+  /* ================= UI ================= */
+  return (
+    <div className={`sync-status no-print ${needsAttention ? "attention" : ""}`}>
+      <div className="sync-summary">
+        <span>
+          {!isOnline && "Offline. "}
+          {pending > 0 && `${pending} change(s) pending sync. `}
+          {needsAttention > 0 && `${needsAttention} change(s) need attention.`}
+          {entries.length === 0 && "New entries will sync when back online."}
+        </span>
+
+        {entries.length > 0 && (
+          <span className="sync-actions">
+            <button
+              onClick={() => dataManager.syncPending({ force: true })}
+              disabled={!isOnline}
+            >
+              Sync now
+            </button>
+            <button onClick={() => setExpanded(!expanded)}>
+              {expanded ? "Hide" : "Details"}
+            </button>
+          </span>
+        )}
+      </div>
+
+      {expanded && (
+        <ul className="sync-list">
+          {entries.map((entry) => (
+            <li key={entry.id}>
+              <span>
+                {describeEntry(entry)}
+                <em> ({entry.status})</em>
+                {entry.status === "conflict" &&
+                  " - changed on the server since this was saved"}
+                {entry.error && ` - ${entry.error}`}
+              </span>
+
+              {entry.status !== "pending" && (
+                <span className="sync-actions">
+                  <button
+                    onClick={() =>
+                      dataManager.retrySyncEntry(entry.id, { overwrite: true })
+                    }
+                  >
+                    Keep mine
+                  </button>
+                  <button onClick={() => dataManager.discardSyncEntry(entry.id)}>
+                    Discard
+                  </button>
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,28 @@
+import React, { useEffect, useState } from "react";
+import {
+  onUpdateAvailable,
+  applyUpdate,
+} from "../../serviceWorkerRegistration";
+import "./UpdatePrompt.css";
+
+function UpdatePrompt() {
+  const [registration, setRegistration] = useState(null);
+
+  useEffect(() => onUpdateAvailable(setRegistration), []);
+
+  if (!registration) return null;
+
+  return (
+    <div className="update-prompt no-print" role="status">
+      <span>A new version of the app is available.</span>
+      <div className="update-actions">
+        <button onClick={() => applyUpdate(registration)}>Update now</button>
+        <button className="later-btn" onClick={() => setRegistration(null)}>
+          Later
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
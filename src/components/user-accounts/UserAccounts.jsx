@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import { auth, MIN_PIN_LENGTH, ROLES, validatePin } from "../../utils/auth";
+import SelectDropdown from "../SelectDropdown";
+import "./UserAccounts.css";
+
+const initialFormData = () => ({
+  Name: "",
+  Role: ROLES.TREASURER,
+  MemberName: "",
+  Pin: "",
+});
+
+function UserAccounts() {
+  const currentUser = auth.getUser();
+
+  const [users, setUsers] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [formData, setFormData] = useState(initialFormData());
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  const loadUsers = (forceRefresh = false) =>
+    dataManager.getUsers(forceRefresh).then((data) => setUsers(data || []));
+
+  useEffect(() => {
+    loadUsers();
+    dataManager
+      .getMembers()
+      .then((data) =>
+        setMembers(data.filter((m) => m.Name && m.Status !== "Inactive"))
+      );
+  }, []);
+
+  const showResult = (result, done) => {
+    setMessage(
+      result?.queued
+        ? "No connection - change saved on this device and pending sync."
+        : done
+    );
+    setMessageType("success");
+    loadUsers(true);
+  };
+
+  const showError = (error) => {
+    console.error("User account change failed:", error);
+    setMessage(error.message);
+    setMessageType("error");
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  /* ===================== ADD / CHANGE USERS ===================== */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const pinError = validatePin(formData.Pin);
+    if (pinError) {
+      setMessage(pinError);
+      setMessageType("error");
+      return;
+    }
+    if (formData.Role === ROLES.MEMBER && !formData.MemberName) {
+      setMessage("Choose the member whose ledger this account can see.");
+      setMessageType("error");
+      return;
+    }
+
+    try {
+      const result = await dataManager.addUser({
+        ...formData,
+        MemberName: formData.Role === ROLES.MEMBER ? formData.MemberName : "",
+      });
+      showResult(result, `Account for ${formData.Name} created.`);
+      setFormData(initialFormData());
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleResetPin = async (user) => {
+    const pin = window.prompt(
+      `New PIN for ${user.Name} (at least ${MIN_PIN_LENGTH} digits):`
+    );
+    if (!pin) return;
+    const pinError = validatePin(pin);
+    if (pinError) {
+      setMessage(pinError);
+      setMessageType("error");
+      return;
+    }
+
+    try {
+      const result = await dataManager.updateUser(user.Id, { Pin: pin });
+      showResult(result, `PIN for ${user.Name} changed.`);
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  const handleToggleStatus = async (user) => {
+    const Status = user.Status === "Inactive" ? "Active" : "Inactive";
+
+    try {
+      const result = await dataManager.updateUser(user.Id, { Status });
+      showResult(
+        result,
+        `${user.Name} ${Status === "Active" ? "re-activated" : "deactivated"}.`
+      );
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="user-accounts-container">
+      <h1>User Accounts</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Member Ledger</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((user) => (
+              <tr
+                key={user.Id || user.Name}
+                className={user.Status === "Inactive" ? "user-inactive" : ""}
+              >
+                <td>{user.Name}</td>
+                <td>{user.Role}</td>
+                <td>{user.MemberName}</td>
+                <td>{user.Status || "Active"}</td>
+                <td className="user-actions">
+                  <button onClick={() => handleResetPin(user)}>
+                    Reset PIN
+                  </button>
+                  {user.Id !== currentUser?.Id && (
+                    <button onClick={() => handleToggleStatus(user)}>
+                      {user.Status === "Inactive" ? "Activate" : "Deactivate"}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h2>Add User</h2>
+      <form className="user-form" onSubmit={handleSubmit}>
+        <label>Name</label>
+        <input
+          name="Name"
+          value={formData.Name}
+          onChange={handleChange}
+          required
+        />
+
+        <SelectDropdown
+          label="Role"
+          name="Role"
+          value={formData.Role}
+          options={Object.values(ROLES)}
+          onChange={handleChange}
+          required
+        />
+
+        {formData.Role === ROLES.MEMBER && (
+          <SelectDropdown
+            label="Member"
+            name="MemberName"
+            value={formData.MemberName}
+            options={members.map((m) => m.Name.trim())}
+            onChange={handleChange}
+            required
+          />
+        )}
+
+        <label>PIN</label>
+        <input
+          type="password"
+          name="Pin"
+          inputMode="numeric"
+          minLength={MIN_PIN_LENGTH}
+          value={formData.Pin}
+          onChange={handleChange}
+          autoComplete="new-password"
+          required
+        />
+
+        <button type="submit" className="submit-btn">
+          Add User
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default UserAccounts;
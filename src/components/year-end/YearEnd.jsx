@@ -0,0 +1,302 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { dataManager } from "../../utils/dataManager";
+import {
+  DIVIDEND_METHODS,
+  computeDistribution,
+  financialYear,
+  findClosedYear,
+  validateShares,
+} from "../../utils/dividends";
+import { today } from "../../utils/dates";
+import { DEFAULT_SETTINGS } from "../../utils/settings";
+import ExportButtons from "../ExportButtons";
+import "./YearEnd.css";
+
+const COLUMNS = [
+  { key: "name", label: "Member" },
+  { key: "basis", label: "Savings Basis", type: "amount" },
+  { key: "computed", label: "Computed Share", type: "amount" },
+  { key: "share", label: "Final Share", type: "amount" },
+];
+
+// The financial year that ended most recently
+const lastYearStart = (startMonth) => {
+  const now = new Date();
+  const started = now.getMonth() + 1 >= startMonth;
+  return now.getFullYear() - (started ? 1 : 2);
+};
+
+function YearEnd() {
+  const [members, setMembers] = useState([]);
+  const [transactions, setTransactions] = useState([]);
+  const [yearEnds, setYearEnds] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [startYear, setStartYear] = useState(null);
+  const [method, setMethod] = useState("");
+  const [adjusted, setAdjusted] = useState({}); // name -> share typed in
+  const [confirming, setConfirming] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [messageType, setMessageType] = useState("success");
+
+  // Includes years closed offline, so a queued close can't be posted twice
+  const loadYearEnds = (forceRefresh = false) =>
+    dataManager
+      .getYearEnds(forceRefresh)
+      .then((data) => setYearEnds(data || []))
+      .catch((err) => console.error("Error loading year-end snapshots:", err));
+
+  /* ===================== LOAD DATA (CACHED) ===================== */
+  useEffect(() => {
+    dataManager.getMembers().then(setMembers);
+    dataManager.getTransactions().then(setTransactions);
+    loadYearEnds();
+    dataManager.getSettings().then(setSettings);
+
+    const unsubMembers = dataManager.onMembersUpdate(setMembers);
+    const unsubTxns = dataManager.onTransactionsUpdate(setTransactions);
+    const unsubSettings = dataManager.onSettingsUpdate(setSettings);
+
+    return () => {
+      unsubMembers();
+      unsubTxns();
+      unsubSettings();
+    };
+  }, []);
+
+  const startMonth = Number(settings.yearStartMonth[0]) || 4;
+  const year = startYear ?? lastYearStart(startMonth);
+  const chosenMethod =
+    method ||
+    Object.values(DIVIDEND_METHODS).find(
+      (m) => m === settings.dividendMethod[0]
+    ) ||
+    DIVIDEND_METHODS.SAVINGS_BALANCE;
+
+  /* ===================== DISTRIBUTION ===================== */
+  const distribution = useMemo(
+    () =>
+      computeDistribution({
+        members,
+        transactions,
+        startYear: year,
+        startMonth,
+        method: chosenMethod,
+      }),
+    [members, transactions, year, startMonth, chosenMethod]
+  );
+
+  const closed = findClosedYear(
+    yearEnds,
+    financialYear(year, startMonth).label
+  );
+
+  // Locked years show what was posted; open years the proposal with edits
+  const rows = closed
+    ? JSON.parse(closed.Shares || "[]")
+    : distribution.rows.map((row) => ({
+        name: row.name,
+        basis: row.basis,
+        computed: row.share,
+        share: adjusted[row.name] ?? row.share,
+      }));
+
+  const total = rows.reduce((s, row) => s + Number(row.share || 0), 0);
+  // A year still running can be previewed but not closed
+  const error = closed
+    ? null
+    : distribution.to > today()
+      ? `${distribution.label} has not ended yet; it can be closed after ${distribution.to}.`
+      : validateShares(distribution, rows);
+
+  const changeYear = (value) => {
+    setStartYear(Number(value));
+    setAdjusted({});
+    setMessage("");
+  };
+
+  /* ===================== POST & LOCK ===================== */
+  const handlePost = async () => {
+    setSaving(true);
+
+    try {
+      const result = await dataManager.closeYear(
+        distribution,
+        rows.map((row) => ({ name: row.name, share: Number(row.share) }))
+      );
+      setMessage(
+        result?.queued
+          ? "No connection - distribution saved on this device and pending sync."
+          : `Dividends for ${distribution.label} posted and the year closed.`
+      );
+      setMessageType("success");
+      setAdjusted({});
+      loadYearEnds(true);
+    } catch (err) {
+      console.error("Error closing the year:", err);
+      setMessage(err.message);
+      setMessageType("error");
+    } finally {
+      setSaving(false);
+      setConfirming(false);
+    }
+  };
+
+  /* ===================== UI ===================== */
+  return (
+    <div className="year-end-container">
+      <h1>Year-End Closing</h1>
+      {message && (
+        <p className={messageType === "error" ? "error-msg" : "success-msg"}>
+          {message}
+        </p>
+      )}
+
+      <div className="report-actions no-print">
+        <label>
+          Financial year starting
+          <input
+            type="number"
+            max={lastYearStart(startMonth)}
+            value={year}
+            onChange={(e) => changeYear(e.target.value)}
+          />
+        </label>
+        {!closed && (
+          <label>
+            Share by
+            <select
+              value={chosenMethod}
+              onChange={(e) => {
+                setMethod(e.target.value);
+                setAdjusted({});
+              }}
+            >
+              {Object.values(DIVIDEND_METHODS).map((m) => (
+                <option key={m} value={m}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <ExportButtons
+          basename={`dividends-${distribution.label}`}
+          columns={COLUMNS}
+          rows={rows}
+          sheetName={`Dividends ${distribution.label}`}
+        />
+      </div>
+
+      <div className="summary-cards">
+        <div className="card">
+          {distribution.label}
+          <br />
+          {distribution.from} to {distribution.to}
+        </div>
+        <div className="card">
+          Income to Distribute
+          <br />₹{closed ? closed.Income : distribution.income}
+        </div>
+        <div className="card">
+          Distributed
+          <br />₹{total}
+        </div>
+      </div>
+
+      {closed ? (
+        <p className="year-locked">
+          Closed on {closed.PostedOn}
+          {closed.PostedBy && ` by ${closed.PostedBy}`} ({closed.Method}). The
+          shares below are locked.
+          {closed.Queued && " Saved on this device and pending sync."}
+        </p>
+      ) : (
+        <p className="year-note">
+          Interest and late fees earned in the year, shared by{" "}
+          {chosenMethod.toLowerCase()}. Adjust any share before posting; each is
+          credited to the member&apos;s savings on {distribution.to}.
+        </p>
+      )}
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              {COLUMNS.map((c) => (
+                <th key={c.key}>{c.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.name}>
+                <td>{row.name}</td>
+                <td>₹{row.basis}</td>
+                <td>₹{row.computed}</td>
+                <td>
+                  {closed ? (
+                    `₹${row.share}`
+                  ) : (
+                    <input
+                      type="number"
+                      min="0"
+                      className="share-input"
+                      value={row.share}
+                      onChange={(e) =>
+                        setAdjusted({ ...adjusted, [row.name]: e.target.value })
+                      }
+                    />
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {!closed && (
+        <>
+          {error && <p className="error-msg">{error}</p>}
+          <button
+            className="submit-btn"
+            onClick={() => setConfirming(true)}
+            disabled={Boolean(error) || total === 0}
+          >
+            Post Dividends &amp; Close Year
+          </button>
+        </>
+      )}
+
+      {confirming && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <h3>Close {distribution.label}?</h3>
+            <p>
+              ₹{total} will be credited to{" "}
+              {rows.filter((r) => Number(r.share) > 0).length} members. The
+              year&apos;s snapshot is locked once posted.
+            </p>
+            <div className="modal-actions">
+              <button
+                onClick={handlePost}
+                className="confirm-btn"
+                disabled={saving}
+              >
+                {saving ? "Posting..." : "Yes, Post"}
+              </button>
+              <button
+                onClick={() => setConfirming(false)}
+                className="cancel-btn"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default YearEnd;
@@ -1,3 +1,6 @@
+// Default group settings; each group can change them on the Settings screen
+// (see utils/settings.js)
+
 export const savingOptions = ["500"];
 
 export const loanEMIOptions = ["1000", "1500", "2000"];
@@ -6,4 +9,14 @@ export const interestOptions = ["100", "200"]; // as per your request
 
 export const lateFeeOptions = ["20", "40", "60", "80", "100"];
 
-export const paymentMethods = ["Gpay", "PhonePe", "Cash"];
\ No newline at end of file
+export const paymentMethods = ["Gpay", "PhonePe", "Cash"];
+
+// Loan terms: interest rate is % per month, tenure in months
+export const interestRateOptions = ["1", "1.5", "2"];
+
+export const interestMethods = ["Flat", "Reducing"];
+
+export const tenureOptions = ["6", "10", "12", "18", "24"];
+
+// Day of the month of the group meeting; payments after it are late
+export const meetingDay = 10;
@@ -8,14 +8,19 @@ import * as serviceWorkerRegistration from "./serviceWorkerRegistration";
 
 const root = ReactDOM.createRoot(document.getElementById("root"));
 
-// Pre-load critical data at app startup
-dataManager.preloadData().finally(() => {
-  root.render(
-    <React.StrictMode>
-      <App />
-    </React.StrictMode>
-  );
-});
+// Render straight away: screens read the persisted cache and update
+// through their onUpdate listeners when fresher data arrives
+root.render(
+  <React.StrictMode>
+    <App />
+  </React.StrictMode>
+);
+
+// Warm the cache in the background (revalidates only what is past its TTL)
+dataManager.preloadData();
+
+// Replay writes saved while offline, now and whenever we reconnect
+dataManager.startBackgroundSync();
 
 // 🔑 THIS IS THE PWA SWITCH (VERY IMPORTANT)
 serviceWorkerRegistration.register();
@@ -0,0 +1,56 @@
+/* eslint-disable no-restricted-globals */
+
+// src/service-worker.js
+// Built by react-scripts (Workbox InjectManifest) into /service-worker.js.
+// Precaches the app shell and keeps the last SheetDB responses for offline use.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { NetworkFirst, StaleWhileRevalidate } from "workbox-strategies";
+
+clientsClaim();
+
+// Hashed JS/CSS bundles, index.html and public assets from the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+/* ================= APP SHELL ================= */
+// All page navigations (/, /add-payment, ...) are served by index.html
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+/* ================= SHEET DATA ================= */
+// Members / Transactions / Loan Details: always try the network first,
+// fall back to the last successful response when offline
+registerRoute(
+  ({ url, request }) =>
+    url.origin === "https://sheetdb.io" && request.method === "GET",
+  new NetworkFirst({
+    cacheName: "sheet-data",
+    networkTimeoutSeconds: 10,
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+/* ================= IMAGES ================= */
+registerRoute(
+  ({ url }) =>
+    url.origin === self.location.origin && url.pathname.endsWith(".png"),
+  new StaleWhileRevalidate({
+    cacheName: "images",
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Sent by the "update available" prompt to activate a new version
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
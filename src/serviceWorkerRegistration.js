@@ -8,8 +8,42 @@ const isLocalhost = Boolean(
     )
 );
 
+// Registration holding a new version that waits to be activated
+let waitingRegistration = null;
+const updateListeners = [];
+
+const announceUpdate = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach((callback) => callback(registration));
+};
+
+/**
+ * Listen for a new app version. Fires immediately if one is already waiting.
+ */
+export function onUpdateAvailable(callback) {
+  updateListeners.push(callback);
+  if (waitingRegistration) callback(waitingRegistration);
+
+  return () => {
+    const index = updateListeners.indexOf(callback);
+    if (index !== -1) updateListeners.splice(index, 1);
+  };
+}
+
+/**
+ * Activate the waiting version and reload once it has taken over
+ */
+export function applyUpdate(registration = waitingRegistration) {
+  if (!registration || !registration.waiting) return;
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    window.location.reload();
+  });
+  registration.waiting.postMessage({ type: "SKIP_WAITING" });
+}
+
 export function register() {
-  if ("serviceWorker" in navigator) {
+  if (process.env.NODE_ENV === "production" && "serviceWorker" in navigator) {
     window.addEventListener("load", () => {
       const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
 
@@ -25,8 +59,29 @@ export function register() {
 function registerValidSW(swUrl) {
   navigator.serviceWorker
     .register(swUrl)
-    .then(() => {
+    .then((registration) => {
       console.log("Service Worker registered");
+
+      // A new version finished installing while the page was closed
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        announceUpdate(registration);
+      }
+
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== "installed") return;
+
+          if (navigator.serviceWorker.controller) {
+            // Old version still controls the page: offer the update
+            announceUpdate(registration);
+          } else {
+            console.log("App shell cached for offline use");
+          }
+        };
+      };
     })
     .catch((error) => {
       console.error("Service Worker registration failed:", error);
@@ -51,3 +106,11 @@ function checkValidServiceWorker(swUrl) {
       console.log("No internet connection. App running in offline mode.");
     });
 }
+
+export function unregister() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}
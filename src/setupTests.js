@@ -2,4 +2,11 @@
 // allows you to do things like:
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
-import '@testing-library/jest-dom';
+import "@testing-library/jest-dom";
+
+// jsdom has no WebCrypto (used for PIN hashing); use Node's implementation
+import { webcrypto } from "crypto";
+import { TextEncoder } from "util";
+
+Object.defineProperty(window, "crypto", { value: webcrypto });
+global.TextEncoder = TextEncoder;
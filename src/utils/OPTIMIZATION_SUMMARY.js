@@ -53,12 +53,16 @@
  *   1. Fetch Members (cached for 30 minutes)
  *   2. Fetch Transactions (cached for 15 minutes)
  *   3. Fetch Loans (cached for 15 minutes)
+ * - Reloads within the TTL: 0 API calls (cache persisted in IndexedDB)
  *
  * ALL OPERATIONS USE CACHE:
  * 
  * AddPaymentEntry form submission: 1 API call
  *   1. POST new transaction (cache invalidation only, no searches)
- *   2. PATCH loan (reads from cache, no initial fetch)
+ *   - No loan PATCH: loan balances are derived from the transactions
+ *     (utils/loanBalances.js); "Reconcile Loans" writes them back on demand
+ *   - Each EMI carries the LoanId it repays; loan products come from the
+ *     "Loan Products" sheet (cached like the settings)
  *   
  *   ELIMINATED REDUNDANT CALLS:
  *   - No member search (members loaded at startup)
@@ -69,9 +73,11 @@
  *   - Reads from transaction cache
  *   - Automatically updates when transactions change
  *
- * DeleteUser: 2 API calls
- *   1. DELETE member
- *   2. DELETE transactions
+ * DeleteUser (exit settlement, utils/settlement.js): 3 API calls plus one
+ * PATCH per loan closed
+ *   1. POST settlement transactions (one batch)
+ *   2. PATCH member to Inactive
+ *   3. POST snapshot to "Deleted Members"
  *   
  *   ELIMINATED:
  *   - No member fetch (loaded at startup)
@@ -82,6 +88,8 @@
  *
  * AddLoanEntry: 1-2 API calls
  *   1. POST/PATCH loan
+ *   - Loans start as "Applied"; each approval, disbursement or rejection
+ *     on the Loan Applications screen is one PATCH (utils/loanWorkflow.js)
  *   
  *   ELIMINATED:
  *   - No member fetch (loaded at startup)
@@ -127,7 +135,9 @@
 
 /*
  * /src/utils/apiCache.js
- *   - Implements memory cache with TTL
+ *   - Implements memory cache with TTL, persisted to IndexedDB (idbStore.js)
+ *   - Survives page reloads: expired entries are served immediately and
+ *     revalidated in the background (stale-while-revalidate)
  *   - Provides fetch(), invalidate(), getCached() methods
  *   - Tracks cache expiration times
  *   - Includes fallback to stale cache on network errors
@@ -138,13 +148,25 @@
  *   - Provides: search methods (searchMembers, searchTransactions, etc.)
  *   - Provides: write methods (addMember, addTransaction, updateLoan, etc.)
  *   - Manages cache invalidation for writes
+ *   - Appends each applied write to the "Audit Log" sheet (utils/audit.js):
+ *     one extra insert call per write, batched for multi-row writes
  *   - Exposes onUpdate() listeners for cache changes
  *   - Single entry point for all API needs
  *
+ * /src/utils/storage/
+ *   - Storage adapters behind dataManager: SheetDB, localStorage, in-memory
+ *   - Selected with REACT_APP_STORAGE_BACKEND (defaults to sheetdb)
+ *   - The local and in-memory backends make no SheetDB calls at all
+ *
+ * /src/utils/groups.js
+ *   - Group profiles, each with its own backend (switcher in Navigation)
+ *   - Cache keys and the offline outbox are namespaced per group
+ *   - The .env group (REACT_APP_GROUP_NAME) is always available as "default"
+ *
  * /src/index.js
  *   - Calls dataManager.preloadData() at app startup
  *   - Loads Members, Transactions, Loans in parallel
- *   - Ensures cache is ready before rendering app
+ *   - Does not block first render: screens show persisted data right away
  *
  * Components updated:
  *   - /src/components/dashboard/Dashboard.jsx
@@ -175,6 +197,18 @@ console.log(dataManager.getCacheStats());
 // }
 */
 
+// Check SheetDB usage for the current month (logged by utils/apiUsage.js):
+/*
+console.log(dataManager.getApiUsage());
+
+// Output:
+// { used: 212, projected: 410, budget: 500, remaining: 288, level: "ok", ... }
+//
+// Levels: warning (70%), critical (90%) and readOnly (95%). In readOnly,
+// reads come from cache only and writes wait in the sync outbox.
+// Each group is metered against its own quota.
+*/
+
 // Clear cache if needed:
 /*
 dataManager.clearCache();
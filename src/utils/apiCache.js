@@ -1,30 +1,73 @@
 /**
  * apiCache.js - Intelligent API response caching with TTL (time-to-live)
  * Reduces SheetDB API calls by caching responses and providing invalidation hooks
+ *
+ * Responses are persisted to IndexedDB, so a page reload serves the last
+ * data straight away. Entries past their TTL are served stale while a
+ * background request revalidates them (stale-while-revalidate); listeners
+ * registered with onUpdate() receive the fresher data when it lands.
+ *
+ * Keys are namespaced per group (see groups.js), so groups sharing a
+ * backend never see each other's data. The default group keeps the
+ * un-namespaced keys of earlier versions.
  */
 
+import { idbStore } from './idbStore';
+
 const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
 const CACHE_KEY_PREFIX = 'api_cache_';
+const DEFAULT_NAMESPACE = 'default';
 
 class ApiCache {
   constructor() {
-    this.memory = {}; // In-memory cache (fast)
+    this.memory = {}; // In-memory cache (fast), mirrored to IndexedDB
     this.listeners = {}; // Event listeners for cache updates
+    this.inflight = {}; // Pending requests per cache key (deduplication)
+    this.namespace = DEFAULT_NAMESPACE; // Active group
+    this.ready = this.hydrate();
+  }
+
+  /**
+   * Load persisted entries from IndexedDB into memory
+   */
+  async hydrate() {
+    try {
+      const stored = await idbStore.getAll();
+      Object.entries(stored).forEach(([key, entry]) => {
+        // Anything fetched since startup is newer than what was stored
+        if (!this.memory[key]) this.memory[key] = entry;
+      });
+      console.log(`[Cache HYDRATE] ${Object.keys(stored).length} entries restored`);
+    } catch (error) {
+      console.error('[Cache HYDRATE] Failed to read persisted cache:', error);
+    }
+  }
+
+  /**
+   * Switch the group whose entries getCacheKey() addresses
+   */
+  setNamespace(namespace = DEFAULT_NAMESPACE) {
+    this.namespace = namespace;
+    console.log(`[Cache NAMESPACE] ${namespace}`);
   }
 
   /**
    * Generate a cache key from endpoint and optional filters
    */
-  getCacheKey(endpoint, filters = {}) {
+  getCacheKey(endpoint, filters = {}, namespace = this.namespace) {
     const filterStr = Object.entries(filters)
       .sort()
       .map(([k, v]) => `${k}=${v}`)
       .join('&');
-    return `${CACHE_KEY_PREFIX}${endpoint}${filterStr ? '_' + filterStr : ''}`;
+    const group = namespace === DEFAULT_NAMESPACE ? '' : `${namespace}__`;
+    return `${CACHE_KEY_PREFIX}${group}${endpoint}${filterStr ? '_' + filterStr : ''}`;
   }
 
   /**
    * Fetch data with automatic caching and TTL
+   * Pass a `loader` to read through a storage adapter instead of fetching the endpoint
+   * With `cacheOnly`, cached data is returned without any request when present
+   * `namespace` reads another group's entries (cross-group overview)
    */
   async fetch(endpoint, options = {}) {
     const { 
@@ -32,46 +75,41 @@ class ApiCache {
       forceRefresh = false, 
       filters = {}, 
       method = 'GET',
-      body = null 
+      body = null,
+      loader = null,
+      cacheOnly = false,
+      namespace = this.namespace
     } = options;
 
-    const cacheKey = this.getCacheKey(endpoint, filters);
+    await this.ready;
 
-    // Return cached data if valid and not forced refresh
-    if (!forceRefresh && this.isValidCache(cacheKey)) {
-      console.log(`[Cache HIT] ${endpoint}`);
-      return this.getCached(cacheKey);
-    }
-
-    console.log(`[Cache MISS] ${endpoint} - Fetching from API...`);
+    const cacheKey = this.getCacheKey(endpoint, filters, namespace);
+    const load = loader || (() => this.request(endpoint, method, body));
+    const entry = this.memory[cacheKey];
 
-    try {
-      const fetchOptions = {
-        method,
-        headers: { 'Content-Type': 'application/json' }
-      };
-      if (body) {
-        fetchOptions.body = JSON.stringify(body);
-      }
+    // Quota saving mode: any cached copy will do, however old
+    if (cacheOnly && entry) {
+      console.log(`[Cache ONLY] ${endpoint}`);
+      return entry.data;
+    }
 
-      const response = await fetch(endpoint, fetchOptions);
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.statusText}`);
+    // Invalidated entries (after a write) must be re-read before use
+    if (!forceRefresh && entry && !entry.invalidated) {
+      if (this.isValidCache(cacheKey)) {
+        console.log(`[Cache HIT] ${endpoint}`);
+        return entry.data;
       }
 
-      const data = await response.json();
-
-      // Cache the response with timestamp and TTL
-      this.setCached(cacheKey, data, ttl);
-      console.log(`[Cache SET] ${endpoint}`);
+      console.log(`[Cache STALE] ${endpoint} - Revalidating in background...`);
+      this.load(cacheKey, endpoint, load, ttl).catch(() => {});
+      return entry.data;
+    }
 
-      // Notify listeners
-      this.notifyListeners(cacheKey, data);
+    console.log(`[Cache MISS] ${endpoint} - Fetching from API...`);
 
-      return data;
+    try {
+      return await this.load(cacheKey, endpoint, load, ttl);
     } catch (error) {
-      console.error(`[Cache ERROR] ${endpoint}:`, error);
-      
       // Fall back to stale cache if available
       const staleData = this.memory[cacheKey];
       if (staleData) {
@@ -83,19 +121,64 @@ class ApiCache {
     }
   }
 
+  /**
+   * Run the loader once per key at a time, cache and broadcast the result
+   */
+  load(cacheKey, endpoint, load, ttl) {
+    if (this.inflight[cacheKey]) return this.inflight[cacheKey];
+
+    this.inflight[cacheKey] = (async () => {
+      try {
+        const data = await load();
+
+        // Cache the response with timestamp and TTL
+        this.setCached(cacheKey, data, ttl);
+        console.log(`[Cache SET] ${endpoint}`);
+
+        // Notify listeners
+        this.notifyListeners(cacheKey, data);
+
+        return data;
+      } catch (error) {
+        console.error(`[Cache ERROR] ${endpoint}:`, error);
+        throw error;
+      } finally {
+        delete this.inflight[cacheKey];
+      }
+    })();
+
+    return this.inflight[cacheKey];
+  }
+
+  /**
+   * Plain HTTP request for callers that don't supply a loader
+   */
+  async request(endpoint, method, body) {
+    const fetchOptions = {
+      method,
+      headers: { 'Content-Type': 'application/json' }
+    };
+    if (body) {
+      fetchOptions.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(endpoint, fetchOptions);
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
   /**
    * Check if cache entry exists and is not expired
+   * Expired entries are kept: they are still served while revalidating
    */
   isValidCache(key) {
-    if (!this.memory[key]) return false;
-    
-    const { expiresAt } = this.memory[key];
-    if (expiresAt && Date.now() > expiresAt) {
-      delete this.memory[key];
-      return false;
-    }
+    const entry = this.memory[key];
+    if (!entry || entry.invalidated) return false;
 
-    return true;
+    return !entry.expiresAt || Date.now() <= entry.expiresAt;
   }
 
   /**
@@ -116,14 +199,27 @@ class ApiCache {
       data,
       expiresAt: Date.now() + ttl
     };
+    this.persist(key);
+  }
+
+  /**
+   * Mirror one memory entry to IndexedDB (fire and forget)
+   */
+  persist(key) {
+    const entry = this.memory[key];
+    const write = entry ? idbStore.set(key, entry) : idbStore.delete(key);
+    Promise.resolve(write).catch((error) =>
+      console.error(`[Cache PERSIST] ${key}:`, error)
+    );
   }
 
   /**
    * Invalidate specific cache entry
+   * The data stays available as an offline fallback until it is re-read
    */
   invalidate(endpoint, filters = {}) {
     const cacheKey = this.getCacheKey(endpoint, filters);
-    delete this.memory[cacheKey];
+    this.markInvalid(cacheKey);
     console.log(`[Cache INVALIDATE] ${cacheKey}`);
   }
 
@@ -133,17 +229,26 @@ class ApiCache {
   invalidatePattern(pattern) {
     Object.keys(this.memory).forEach(key => {
       if (key.includes(pattern)) {
-        delete this.memory[key];
+        this.markInvalid(key);
         console.log(`[Cache INVALIDATE PATTERN] ${key}`);
       }
     });
   }
 
+  markInvalid(key) {
+    if (!this.memory[key]) return;
+    this.memory[key] = { ...this.memory[key], invalidated: true };
+    this.persist(key);
+  }
+
   /**
    * Clear all cache
    */
   clear() {
     this.memory = {};
+    idbStore.clear().catch((error) =>
+      console.error('[Cache CLEAR] Failed to clear persisted cache:', error)
+    );
     console.log('[Cache CLEAR] All cache cleared');
   }
 
@@ -178,10 +283,11 @@ class ApiCache {
    */
   getStats() {
     const stats = {};
-    Object.entries(this.memory).forEach(([key, { expiresAt }]) => {
+    Object.entries(this.memory).forEach(([key, { expiresAt, invalidated }]) => {
       const expired = expiresAt && Date.now() > expiresAt;
       stats[key] = {
         expired,
+        invalidated: Boolean(invalidated),
         expiresIn: expiresAt ? Math.round((expiresAt - Date.now()) / 1000) : 'never'
       };
     });
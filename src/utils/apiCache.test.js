@@ -0,0 +1,65 @@
+import { apiCache } from "./apiCache";
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  apiCache.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test("serves expired entries immediately and revalidates in the background", async () => {
+  const loader = jest.fn().mockResolvedValueOnce(["old"]).mockResolvedValueOnce(["new"]);
+  const listener = jest.fn();
+  apiCache.onUpdate(apiCache.getCacheKey("members"), listener);
+
+  await apiCache.fetch("members", { loader, ttl: -1 });
+  const stale = await apiCache.fetch("members", { loader, ttl: -1 });
+
+  expect(stale).toEqual(["old"]);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  expect(loader).toHaveBeenCalledTimes(2);
+  expect(listener).toHaveBeenLastCalledWith(["new"]);
+});
+
+test("re-reads invalidated entries but keeps them as an offline fallback", async () => {
+  const loader = jest
+    .fn()
+    .mockResolvedValueOnce(["first"])
+    .mockRejectedValueOnce(new TypeError("Failed to fetch"));
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  await apiCache.fetch("loans", { loader });
+  apiCache.invalidate("loans");
+
+  expect(await apiCache.fetch("loans", { loader })).toEqual(["first"]);
+  expect(loader).toHaveBeenCalledTimes(2);
+});
+
+test("deduplicates concurrent requests for the same key", async () => {
+  const loader = jest.fn().mockResolvedValue([]);
+
+  await Promise.all([
+    apiCache.fetch("transactions", { loader }),
+    apiCache.fetch("transactions", { loader }),
+  ]);
+
+  expect(loader).toHaveBeenCalledTimes(1);
+});
+
+test("keeps each group's entries under its own namespace", async () => {
+  expect(apiCache.getCacheKey("members")).toBe("api_cache_members");
+
+  apiCache.setNamespace("mahila-gat");
+  await apiCache.fetch("members", { loader: async () => ["Asha"] });
+  expect(apiCache.getCacheKey("members")).toBe("api_cache_mahila-gat__members");
+
+  apiCache.setNamespace();
+  const loader = jest.fn().mockResolvedValue(["Sunita"]);
+  expect(await apiCache.fetch("members", { loader })).toEqual(["Sunita"]);
+  expect(
+    await apiCache.fetch("members", { loader, namespace: "mahila-gat" })
+  ).toEqual(["Asha"]);
+  expect(loader).toHaveBeenCalledTimes(1);
+});
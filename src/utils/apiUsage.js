@@ -0,0 +1,128 @@
+// apiUsage.js - Persistent meter of outgoing SheetDB requests
+// SheetDB allows 500 calls a month; every request made by the SheetDB
+// adapter is logged here so we can see, project and cap monthly usage
+// Each group's backend has its own quota, so each group has its own log;
+// the default group keeps the original key
+
+const USAGE_KEY = 'apiUsageLog';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let activeNamespace = 'default';
+
+const usageKey = (namespace) =>
+  namespace === 'default' ? USAGE_KEY : `${USAGE_KEY}:${namespace}`;
+
+// Configured through .env; thresholds are fractions of the monthly budget
+export const USAGE_CONFIG = {
+  budget: Number(process.env.REACT_APP_API_MONTHLY_BUDGET) || 500,
+  warnAt: 0.7, // show a warning banner
+  criticalAt: 0.9, // show an urgent banner
+  readOnlyAt: 0.95, // serve reads from cache only and queue writes
+};
+
+const read = (namespace = activeNamespace) => {
+  try {
+    const stored = localStorage.getItem(usageKey(namespace));
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading API usage log:', error);
+    return [];
+  }
+};
+
+const save = (log, namespace = activeNamespace) => {
+  try {
+    localStorage.setItem(usageKey(namespace), JSON.stringify(log));
+    window.dispatchEvent(new CustomEvent('apiUsageUpdated'));
+  } catch (error) {
+    console.error('Error writing API usage log:', error);
+  }
+};
+
+const monthStart = (now) => new Date(now.getFullYear(), now.getMonth(), 1);
+
+const daysInMonth = (now) =>
+  new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+
+export const apiUsage = {
+  // Switch to the log of another group
+  setNamespace(namespace = 'default') {
+    activeNamespace = namespace;
+    window.dispatchEvent(new CustomEvent('apiUsageUpdated'));
+  },
+
+  /**
+   * Log one outgoing request against a group (by default the active one).
+   * Entries older than last month are pruned.
+   */
+  record(method, sheet, namespace = activeNamespace) {
+    const now = new Date();
+    const cutoff = new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime();
+
+    const log = read(namespace).filter((e) => new Date(e.timestamp).getTime() >= cutoff);
+    log.push({ method, sheet, timestamp: now.toISOString() });
+    save(log, namespace);
+  },
+
+  /**
+   * Requests made since the 1st of the current month
+   */
+  getMonthToDate(now = new Date(), namespace = activeNamespace) {
+    const start = monthStart(now).getTime();
+    return read(namespace).filter((e) => {
+      const time = new Date(e.timestamp).getTime();
+      return time >= start && time <= now.getTime();
+    });
+  },
+
+  /**
+   * Month-to-date usage, projected month-end total and budget status
+   */
+  getUsage(now = new Date(), namespace = activeNamespace) {
+    const entries = this.getMonthToDate(now, namespace);
+    const used = entries.length;
+    const { budget } = USAGE_CONFIG;
+
+    // Linear projection from the average daily rate so far
+    const elapsedDays = Math.max((now - monthStart(now)) / DAY_MS, 1);
+    const projected = Math.round((used / elapsedDays) * daysInMonth(now));
+
+    const ratio = used / budget;
+    let level = 'ok';
+    if (ratio >= USAGE_CONFIG.readOnlyAt) level = 'readOnly';
+    else if (ratio >= USAGE_CONFIG.criticalAt) level = 'critical';
+    else if (ratio >= USAGE_CONFIG.warnAt) level = 'warning';
+
+    const bySheet = {};
+    const byMethod = {};
+    entries.forEach((e) => {
+      bySheet[e.sheet] = (bySheet[e.sheet] || 0) + 1;
+      byMethod[e.method] = (byMethod[e.method] || 0) + 1;
+    });
+
+    return {
+      used,
+      projected,
+      budget,
+      remaining: Math.max(budget - used, 0),
+      level,
+      bySheet,
+      byMethod,
+    };
+  },
+
+  /**
+   * True once the budget is nearly exhausted: reads come from cache only
+   * and writes wait in the outbox
+   */
+  isReadOnly(now = new Date(), namespace = activeNamespace) {
+    return this.getUsage(now, namespace).level === 'readOnly';
+  },
+
+  // Attach listener for usage changes
+  onChange(callback) {
+    const listener = () => callback(this.getUsage());
+    window.addEventListener('apiUsageUpdated', listener);
+    return () => window.removeEventListener('apiUsageUpdated', listener);
+  }
+};
@@ -0,0 +1,54 @@
+import { apiUsage, USAGE_CONFIG } from "./apiUsage";
+
+const logRequests = (count, timestamp) => {
+  const log = Array.from({ length: count }, () => ({
+    method: "GET",
+    sheet: "Transactions",
+    timestamp,
+  }));
+  localStorage.setItem("apiUsageLog", JSON.stringify(log));
+};
+
+beforeEach(() => localStorage.clear());
+
+test("counts month-to-date requests and projects the month-end total", () => {
+  logRequests(100, "2024-06-05T10:00:00");
+  localStorage.setItem(
+    "apiUsageLog",
+    JSON.stringify([
+      ...JSON.parse(localStorage.getItem("apiUsageLog")),
+      { method: "GET", sheet: "Loan Details", timestamp: "2024-05-31T10:00:00" },
+    ])
+  );
+
+  const usage = apiUsage.getUsage(new Date("2024-06-11T00:00:00"));
+
+  expect(usage.used).toBe(100);
+  expect(usage.projected).toBe(300); // 10 per day over 30 days
+  expect(usage.bySheet).toEqual({ Transactions: 100 });
+  expect(usage.level).toBe("ok");
+});
+
+test("switches to read-only mode when the budget is nearly exhausted", () => {
+  logRequests(Math.ceil(USAGE_CONFIG.budget * USAGE_CONFIG.readOnlyAt), "2024-06-05T10:00:00");
+
+  expect(apiUsage.isReadOnly(new Date("2024-06-20T00:00:00"))).toBe(true);
+  expect(apiUsage.isReadOnly(new Date("2024-07-01T00:00:01"))).toBe(false);
+});
+
+test("meters each group against its own quota", () => {
+  const now = new Date();
+  logRequests(Math.ceil(USAGE_CONFIG.budget * USAGE_CONFIG.readOnlyAt), now.toISOString());
+  apiUsage.record("GET", "Transactions", "second");
+  apiUsage.record("POST", "Transactions", "second");
+
+  expect(apiUsage.isReadOnly(now)).toBe(true);
+  expect(apiUsage.getUsage(new Date(), "second").used).toBe(2);
+  expect(apiUsage.isReadOnly(new Date(), "second")).toBe(false);
+
+  // Switching groups switches the log read by default
+  apiUsage.setNamespace("second");
+  expect(apiUsage.getUsage().used).toBe(2);
+  apiUsage.setNamespace();
+  expect(localStorage.getItem("apiUsageLog:second")).not.toBeNull();
+});
@@ -0,0 +1,145 @@
+// arrears.js - Overdue loans and arrears aging
+// Compares each disbursed loan with its repayment schedule: installments
+// whose due date has passed without being covered by the EMIs paid are in
+// arrears, aged from the oldest one. Loans without terms (recorded before
+// schedules) have nothing to compare with and count as current.
+
+import { parseDate, toISODate } from "./dates";
+import { getLoanSchedule } from "./loanSchedule";
+import { loanForTransaction, withDerivedBalances } from "./loanBalances";
+import { isOpenLoan } from "./loanWorkflow";
+
+const amount = (value) => Number(value || 0);
+const DAY = 24 * 60 * 60 * 1000;
+
+export const AGING_BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "1-30", label: "1-30 days", maxDays: 30 },
+  { key: "31-60", label: "31-60 days", maxDays: 60 },
+  { key: "61-90", label: "61-90 days", maxDays: 90 },
+  { key: "90+", label: "90+ days", maxDays: Infinity },
+];
+
+// Loans this far behind are in default
+export const DEFAULT_DAYS = 90;
+
+// Portfolio at risk counts loans more than this many days overdue (PAR30)
+export const PAR_DAYS = 30;
+
+/**
+ * Aging bucket for a number of days overdue
+ */
+export function agingBucket(daysOverdue) {
+  return AGING_BUCKETS.find((b) => daysOverdue <= b.maxDays);
+}
+
+/**
+ * Arrears on one loan as of `asOf`, from the payments made on it:
+ * { overduePrincipal, overdueInterest, overdue, installments,
+ *   daysOverdue, bucket }
+ */
+export function loanArrears(loan, loanTransactions = [], asOf = new Date()) {
+  const cutoff = toISODate(asOf);
+  const due = getLoanSchedule(loan).filter((row) => row.dueDate < cutoff);
+
+  const principalPaid = loanTransactions.reduce(
+    (s, t) => s + amount(t.LoanEmi),
+    0
+  );
+  const interestPaid = loanTransactions.reduce(
+    (s, t) => s + amount(t.Interest),
+    0
+  );
+
+  // Installments not yet covered by what was paid, oldest first
+  let covered = principalPaid;
+  const installments = due.filter((row) => {
+    covered -= row.principal;
+    return covered < 0;
+  });
+
+  const overduePrincipal = Math.max(
+    due.reduce((s, row) => s + row.principal, 0) - principalPaid,
+    0
+  );
+  const overdueInterest = Math.max(
+    due.reduce((s, row) => s + row.interest, 0) - interestPaid,
+    0
+  );
+  const daysOverdue = installments.length
+    ? Math.round((parseDate(cutoff) - parseDate(installments[0].dueDate)) / DAY)
+    : 0;
+
+  return {
+    overduePrincipal,
+    overdueInterest,
+    overdue: overduePrincipal + overdueInterest,
+    installments,
+    daysOverdue,
+    bucket: agingBucket(daysOverdue),
+  };
+}
+
+/**
+ * Arrears across the group:
+ * { rows, buckets, outstanding, portfolioAtRisk, defaulters }
+ * rows: every loan being repaid with its arrears, most overdue first
+ * buckets: AGING_BUCKETS with { loans, outstanding, overdue } each
+ * portfolioAtRisk: { amount, ratio } of loans over PAR_DAYS overdue
+ * defaulters: rows over DEFAULT_DAYS overdue
+ */
+export function buildArrearsReport({
+  loans = [],
+  transactions = [],
+  asOf = new Date(),
+}) {
+  const balances = withDerivedBalances(loans, transactions);
+
+  const rows = balances
+    .filter((l) => l.Name && isOpenLoan(l))
+    .map((loan) => ({
+      loan,
+      ...loanArrears(
+        loan,
+        transactions.filter(
+          (t) =>
+            t.Name?.trim() === loan.Name.trim() &&
+            loanForTransaction(t, balances) === loan
+        ),
+        asOf
+      ),
+    }))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+  const buckets = AGING_BUCKETS.map((bucket) => {
+    const inBucket = rows.filter((row) => row.bucket === bucket);
+    return {
+      ...bucket,
+      loans: inBucket.length,
+      outstanding: inBucket.reduce(
+        (s, row) => s + amount(row.loan.RemainingLoan),
+        0
+      ),
+      overdue: inBucket.reduce((s, row) => s + row.overdue, 0),
+    };
+  });
+
+  const outstanding = rows.reduce(
+    (s, row) => s + amount(row.loan.RemainingLoan),
+    0
+  );
+  const atRisk = rows
+    .filter((row) => row.daysOverdue > PAR_DAYS)
+    .reduce((s, row) => s + amount(row.loan.RemainingLoan), 0);
+
+  return {
+    rows,
+    buckets,
+    outstanding,
+    portfolioAtRisk: {
+      amount: atRisk,
+      ratio: outstanding > 0 ? atRisk / outstanding : 0,
+    },
+    defaulters: rows.filter((row) => row.daysOverdue > DEFAULT_DAYS),
+  };
+}
@@ -0,0 +1,79 @@
+import { agingBucket, loanArrears, buildArrearsReport } from "./arrears";
+
+// ₹12000 over 12 months at 1% flat: ₹1000 principal + ₹120 interest,
+// due on the 1st from February
+const behind = {
+  Id: "1",
+  Name: "Sunita",
+  Date: "2024-01-01",
+  LoanAmount: "12000",
+  InterestRate: "1",
+  InterestMethod: "Flat",
+  Tenure: "12",
+  Status: "Disbursed",
+};
+const onTime = {
+  Id: "2",
+  Name: "Asha",
+  Date: "2024-05-01",
+  LoanAmount: "6000",
+  InterestRate: "1",
+  InterestMethod: "Flat",
+  Tenure: "6",
+  Status: "Disbursed",
+};
+const transactions = [
+  { Name: "Sunita", Date: "2024-02-01", LoanEmi: "1000", Interest: "120" },
+  { Name: "Sunita", Date: "2024-03-01", LoanEmi: "1000", Interest: "120" },
+  { Name: "Asha", Date: "2024-06-01", LoanEmi: "1000", Interest: "60" },
+];
+const asOf = new Date(2024, 5, 15);
+
+test("ages arrears from the oldest unpaid installment", () => {
+  const arrears = loanArrears(behind, transactions.slice(0, 2), asOf);
+
+  // April, May and June unpaid; April 1st was 75 days ago
+  expect(arrears).toMatchObject({
+    overduePrincipal: 3000,
+    overdueInterest: 360,
+    overdue: 3360,
+    daysOverdue: 75,
+  });
+  expect(arrears.installments).toHaveLength(3);
+  expect(arrears.bucket.key).toBe("61-90");
+
+  expect(agingBucket(0).key).toBe("current");
+  expect(agingBucket(30).key).toBe("1-30");
+  expect(agingBucket(91).key).toBe("90+");
+});
+
+test("reports the buckets, portfolio at risk and defaulters", () => {
+  const report = buildArrearsReport({
+    loans: [onTime, behind],
+    transactions,
+    asOf,
+  });
+
+  expect(report.rows.map((row) => [row.loan.Id, row.daysOverdue])).toEqual([
+    ["1", 75],
+    ["2", 0],
+  ]);
+  expect(report.buckets.find((b) => b.key === "61-90")).toMatchObject({
+    loans: 1,
+    outstanding: 10000,
+    overdue: 3360,
+  });
+  expect(report.outstanding).toBe(15000);
+  expect(report.portfolioAtRisk).toEqual({
+    amount: 10000,
+    ratio: 10000 / 15000,
+  });
+  expect(report.defaulters).toEqual([]);
+
+  const later = buildArrearsReport({
+    loans: [onTime, behind],
+    transactions,
+    asOf: new Date(2024, 6, 5),
+  });
+  expect(later.defaulters.map((row) => row.loan.Id)).toEqual(["1"]);
+});
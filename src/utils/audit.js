@@ -0,0 +1,100 @@
+// audit.js - Entries of the append-only "Audit Log" sheet
+// dataManager builds entries for every create, update and delete and
+// appends them once the write has been applied. Rows are never edited.
+
+import { parseDate, toISODate } from "./dates";
+
+export const AUDIT_ACTIONS = {
+  insert: "Create",
+  update: "Update",
+  remove: "Delete",
+};
+
+// Never copied into the log
+const REDACTED_FIELDS = ["PinHash", "Salt"];
+
+const snapshot = (row) => {
+  if (!row) return "";
+  const copy = { ...row };
+  REDACTED_FIELDS.forEach((field) => {
+    if (field in copy) copy[field] = "(changed)";
+  });
+  return JSON.stringify(copy);
+};
+
+const pick = (row, fields) =>
+  row ? Object.fromEntries(fields.map((f) => [f, row[f] ?? ""])) : null;
+
+/**
+ * Audit entries for a write request ({ op, collection, key, value, data, base }).
+ * `rows` are the collection's cached rows, used to capture what an update or
+ * delete replaces. One entry per affected row:
+ * { Timestamp, User, Action, Entity, Key, Member, Before, After }
+ */
+export function buildAuditEntries(
+  request,
+  { user = "", timestamp, rows = [] }
+) {
+  const { op, collection, key, value, data } = request;
+  const entry = (row, before, after) => ({
+    Timestamp: timestamp,
+    User: user,
+    Action: AUDIT_ACTIONS[op] || op,
+    Entity: collection,
+    Key: key ? `${key}=${value}` : row?.Id ? `Id=${row.Id}` : "",
+    Member: (row?.Name || "").trim(),
+    Before: snapshot(before),
+    After: snapshot(after),
+  });
+
+  const matching = (rows || []).filter(
+    (row) => key && String(row[key]) === String(value)
+  );
+
+  switch (op) {
+    case "insert":
+      return data.map((row) => entry(row, null, row));
+    case "update": {
+      const current = request.base || matching[0] || null;
+      const fields = Object.keys(data);
+      return [
+        entry(current || data, pick(current, fields), pick(data, fields)),
+      ];
+    }
+    case "remove":
+      return matching.length > 0
+        ? matching.map((row) => entry(row, row, null))
+        : [entry(null, null, null)];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse a stored Before / After value back into an object
+ */
+export function parseAuditValue(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { value };
+  }
+}
+
+/**
+ * Filter entries by member, entity and date range ("YYYY-MM-DD"), newest first
+ */
+export function filterAuditLog(entries, { member, entity, from, to } = {}) {
+  return (entries || [])
+    .filter((e) => !member || e.Member === member)
+    .filter((e) => !entity || e.Entity === entity)
+    .filter((e) => {
+      if (!from && !to) return true;
+      const date = parseDate(e.Timestamp);
+      if (!date) return false;
+      const day = toISODate(date);
+      return (!from || day >= from) && (!to || day <= to);
+    })
+    .sort((a, b) => String(b.Timestamp).localeCompare(String(a.Timestamp)));
+}
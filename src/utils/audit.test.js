@@ -0,0 +1,88 @@
+import { buildAuditEntries, filterAuditLog, parseAuditValue } from "./audit";
+
+const context = { user: "Meena", timestamp: "2024-03-10T10:00:00.000Z" };
+
+test("logs one entry per created row", () => {
+  const entries = buildAuditEntries(
+    {
+      op: "insert",
+      collection: "Transactions",
+      data: [{ Name: "Sunita", Saving: "500" }, { Name: "Asha" }],
+    },
+    context
+  );
+
+  expect(entries).toHaveLength(2);
+  expect(entries[0]).toEqual({
+    Timestamp: context.timestamp,
+    User: "Meena",
+    Action: "Create",
+    Entity: "Transactions",
+    Key: "",
+    Member: "Sunita",
+    Before: "",
+    After: JSON.stringify({ Name: "Sunita", Saving: "500" }),
+  });
+});
+
+test("keeps the replaced values of updates and deletes", () => {
+  const rows = [
+    { Id: "4", Name: "Sunita", RemainingLoan: "5000", Status: "Active" },
+  ];
+
+  const [update] = buildAuditEntries(
+    {
+      op: "update",
+      collection: "Loan Details",
+      key: "Id",
+      value: "4",
+      data: { RemainingLoan: 4000 },
+    },
+    { ...context, rows }
+  );
+  expect(update).toMatchObject({ Key: "Id=4", Member: "Sunita" });
+  expect(parseAuditValue(update.Before)).toEqual({ RemainingLoan: "5000" });
+  expect(parseAuditValue(update.After)).toEqual({ RemainingLoan: 4000 });
+
+  const [remove] = buildAuditEntries(
+    { op: "remove", collection: "Loan Details", key: "Id", value: "4" },
+    { ...context, rows }
+  );
+  expect(parseAuditValue(remove.Before)).toEqual(rows[0]);
+  expect(remove.After).toBe("");
+});
+
+test("never copies PIN hashes into the log", () => {
+  const [entry] = buildAuditEntries(
+    {
+      op: "insert",
+      collection: "Users",
+      data: [{ Name: "Lata", PinHash: "abc", Salt: "def" }],
+    },
+    context
+  );
+
+  expect(parseAuditValue(entry.After)).toEqual({
+    Name: "Lata",
+    PinHash: "(changed)",
+    Salt: "(changed)",
+  });
+});
+
+test("filters by member, entity and date, newest first", () => {
+  const entries = [
+    { Timestamp: "2024-03-01T10:00:00Z", Member: "Sunita", Entity: "Loans" },
+    { Timestamp: "2024-03-05T10:00:00Z", Member: "Sunita", Entity: "Loans" },
+    { Timestamp: "2024-03-05T11:00:00Z", Member: "Asha", Entity: "Loans" },
+    { Timestamp: "2024-04-01T10:00:00Z", Member: "Sunita", Entity: "Users" },
+  ];
+
+  const filtered = filterAuditLog(entries, {
+    member: "Sunita",
+    entity: "Loans",
+    from: "2024-03-02",
+    to: "2024-03-31",
+  });
+  expect(filtered).toEqual([entries[1]]);
+  expect(filterAuditLog(entries)[0]).toBe(entries[3]);
+});
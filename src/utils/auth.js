@@ -0,0 +1,166 @@
+// auth.js - Roles, permissions and the signed-in user
+// Users live in each group's "Users" sheet (see dataManager.login). PINs are
+// stored as salted PBKDF2 hashes; the session lasts until the tab is closed
+// and is kept per group, like the offline outbox.
+//
+// The PIN check runs in the browser only. Anyone who can reach the sheet
+// can read the hashes (and the data itself) without signing in, so roles
+// keep honest officers from mistakes; they are not access control. The slow
+// hash and the PIN length only make a leaked hash costly to guess.
+
+export const ROLES = {
+  PRESIDENT: "President",
+  SECRETARY: "Secretary",
+  TREASURER: "Treasurer",
+  MEMBER: "Member",
+};
+
+const OFFICERS = [ROLES.PRESIDENT, ROLES.SECRETARY, ROLES.TREASURER];
+const COMMITTEE = [ROLES.PRESIDENT, ROLES.SECRETARY];
+
+// Permission -> roles allowed
+export const PERMISSIONS = {
+  viewDashboard: OFFICERS,
+  viewReports: OFFICERS,
+  viewAllLedgers: OFFICERS,
+  recordPayments: [ROLES.TREASURER],
+  manageLoans: COMMITTEE,
+  manageMembers: COMMITTEE,
+  manageSettings: COMMITTEE,
+  viewGroups: COMMITTEE,
+  manageUsers: [ROLES.PRESIDENT],
+  viewAuditLog: OFFICERS,
+};
+
+const SESSION_KEY = "authSession";
+
+// New and reset PINs need at least this many digits
+export const MIN_PIN_LENGTH = 6;
+
+// PBKDF2 rounds for new hashes; stored with each hash so it can be raised
+const PIN_ITERATIONS = 600000;
+const PBKDF2_PREFIX = "pbkdf2";
+
+let sessionKey = SESSION_KEY;
+
+/**
+ * Whether `user` may do `permission` (see PERMISSIONS)
+ */
+export function can(user, permission) {
+  return Boolean(user) && (PERMISSIONS[permission] || []).includes(user.Role);
+}
+
+/**
+ * Random hex salt for a new PIN
+ */
+export function createSalt() {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), (b) =>
+    b.toString(16).padStart(2, "0")
+  ).join("");
+
+/**
+ * PBKDF2-SHA-256 hash of a PIN: "pbkdf2:<iterations>:<hex>"
+ */
+export async function hashPin(pin, salt, iterations = PIN_ITERATIONS) {
+  const encoder = new TextEncoder();
+  const key = await window.crypto.subtle.importKey(
+    "raw",
+    encoder.encode(pin),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: encoder.encode(salt), iterations },
+    key,
+    256
+  );
+  return `${PBKDF2_PREFIX}:${iterations}:${toHex(bits)}`;
+}
+
+/**
+ * Message for a PIN too weak to set, or null
+ */
+export function validatePin(pin) {
+  if (!/^\d+$/.test(pin || "")) return "PIN must be digits only.";
+  if (pin.length < MIN_PIN_LENGTH) {
+    return `PIN must have at least ${MIN_PIN_LENGTH} digits.`;
+  }
+  return null;
+}
+
+/**
+ * Whether `pin` matches the user's stored hash. Hashes from before PBKDF2
+ * (plain salted SHA-256) are still accepted; see needsRehash.
+ */
+export async function verifyPin(pin, { Salt, PinHash } = {}) {
+  if (!PinHash) return false;
+
+  const [prefix, iterations] = String(PinHash).split(":");
+  if (prefix === PBKDF2_PREFIX) {
+    return (await hashPin(pin, Salt, Number(iterations))) === PinHash;
+  }
+
+  const data = new TextEncoder().encode(`${Salt}:${pin}`);
+  return toHex(await window.crypto.subtle.digest("SHA-256", data)) === PinHash;
+}
+
+/**
+ * Whether a stored hash is weaker than new ones and should be replaced
+ * the next time its PIN is entered
+ */
+export function needsRehash(pinHash) {
+  const [prefix, iterations] = String(pinHash || "").split(":");
+  return prefix !== PBKDF2_PREFIX || Number(iterations) < PIN_ITERATIONS;
+}
+
+const read = () => {
+  try {
+    const stored = sessionStorage.getItem(sessionKey);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("Error reading session:", error);
+    return null;
+  }
+};
+
+const save = (user) => {
+  if (user) sessionStorage.setItem(sessionKey, JSON.stringify(user));
+  else sessionStorage.removeItem(sessionKey);
+  window.dispatchEvent(new CustomEvent("authChanged", { detail: user }));
+};
+
+export const auth = {
+  // Switch to the session of another group
+  setNamespace(namespace = "default") {
+    sessionKey =
+      namespace === "default" ? SESSION_KEY : `${SESSION_KEY}:${namespace}`;
+    window.dispatchEvent(new CustomEvent("authChanged", { detail: read() }));
+  },
+
+  // { Id, Name, Role, MemberName } of the signed-in user, or null
+  getUser() {
+    return read();
+  },
+
+  signIn(user) {
+    const { Id, Name, Role, MemberName } = user;
+    save({ Id, Name, Role, MemberName: MemberName || "" });
+  },
+
+  signOut() {
+    save(null);
+  },
+
+  // Attach listener for sign in / sign out
+  onChange(callback) {
+    const listener = (event) => callback(event.detail);
+    window.addEventListener("authChanged", listener);
+    return () => window.removeEventListener("authChanged", listener);
+  },
+};
@@ -0,0 +1,72 @@
+import {
+  auth,
+  can,
+  createSalt,
+  hashPin,
+  needsRehash,
+  ROLES,
+  validatePin,
+  verifyPin,
+} from "./auth";
+
+afterEach(() => {
+  sessionStorage.clear();
+  auth.setNamespace();
+});
+
+test("grants permissions by role", () => {
+  const treasurer = { Name: "Meena", Role: ROLES.TREASURER };
+  const member = { Name: "Asha", Role: ROLES.MEMBER, MemberName: "Asha" };
+
+  expect(can(treasurer, "recordPayments")).toBe(true);
+  expect(can(treasurer, "manageLoans")).toBe(false);
+  expect(can(member, "viewDashboard")).toBe(false);
+  expect(can(null, "viewDashboard")).toBe(false);
+});
+
+test("hashes PINs with a salt", async () => {
+  const salt = createSalt();
+  const hash = await hashPin("123456", salt);
+
+  expect(salt).toMatch(/^[0-9a-f]{32}$/);
+  expect(hash).toMatch(/^pbkdf2:600000:[0-9a-f]{64}$/);
+  expect(await hashPin("123456", "x")).not.toBe(hash);
+  expect(await verifyPin("123456", { Salt: salt, PinHash: hash })).toBe(true);
+  expect(await verifyPin("654321", { Salt: salt, PinHash: hash })).toBe(false);
+  expect(needsRehash(hash)).toBe(false);
+  expect(needsRehash(await hashPin("123456", salt, 1000))).toBe(true);
+});
+
+test("still accepts PINs hashed before PBKDF2", async () => {
+  const legacy = {
+    Salt: "abc",
+    PinHash: "ee17fc27860546c56dbcd761ed3bccd2738021c652fd6af180a0a00504d996f0",
+  };
+
+  expect(await verifyPin("1111", legacy)).toBe(true);
+  expect(await verifyPin("1112", legacy)).toBe(false);
+  expect(needsRehash(legacy.PinHash)).toBe(true);
+});
+
+test("requires PINs of at least six digits", () => {
+  expect(validatePin("123456")).toBeNull();
+  expect(validatePin("1234")).toBe("PIN must have at least 6 digits.");
+  expect(validatePin("12345a")).toBe("PIN must be digits only.");
+});
+
+test("keeps a separate session per group", () => {
+  auth.signIn({ Id: "1", Name: "Meena", Role: ROLES.TREASURER, PinHash: "x" });
+  expect(auth.getUser()).toEqual({
+    Id: "1",
+    Name: "Meena",
+    Role: ROLES.TREASURER,
+    MemberName: "",
+  });
+
+  auth.setNamespace("mahila-gat");
+  expect(auth.getUser()).toBeNull();
+
+  auth.setNamespace();
+  auth.signOut();
+  expect(auth.getUser()).toBeNull();
+});
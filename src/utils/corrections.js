@@ -0,0 +1,64 @@
+// corrections.js - Reversing and correcting payment entries
+// Wrong entries are never deleted: a reversal row with negated amounts and
+// `ReversalOf` pointing at the original cancels it, dated like the original
+// so monthly totals net out. A corrected entry may be posted alongside.
+
+const amount = (value) => Number(value || 0);
+
+export const AMOUNT_FIELDS = ["Saving", "LoanEmi", "Interest", "LateFee"];
+
+// Marks a reversal keeps, so it is treated like what it cancels (a
+// dividend or exit payout is neither income nor money collected)
+const KEPT_FIELDS = ["LoanId", "Payout", "DividendYear", "Settlement"];
+
+export const isReversal = (transaction) => Boolean(transaction.ReversalOf);
+
+/**
+ * Ids of transactions that have been reversed
+ */
+export function reversedIds(transactions = []) {
+  return new Set(
+    transactions.filter(isReversal).map((t) => String(t.ReversalOf))
+  );
+}
+
+/**
+ * Whether a transaction can still be reversed (saved, not a reversal,
+ * not reversed already)
+ */
+export function canReverse(transaction, transactions = []) {
+  return (
+    Boolean(transaction.Id) &&
+    !isReversal(transaction) &&
+    !reversedIds(transactions).has(String(transaction.Id))
+  );
+}
+
+/**
+ * Reversal row cancelling `transaction`
+ */
+export function buildReversal(transaction, { reason, reversedOn }) {
+  const negated = Object.fromEntries(
+    AMOUNT_FIELDS.map((field) => {
+      const value = amount(transaction[field]);
+      return [field, value ? String(-value) : ""];
+    })
+  );
+
+  return {
+    Date: transaction.Date,
+    Name: transaction.Name,
+    ...negated,
+    PaymentMethod: transaction.PaymentMethod || "",
+    ...Object.fromEntries(
+      KEPT_FIELDS.filter((field) => transaction[field]).map((field) => [
+        field,
+        transaction[field],
+      ])
+    ),
+    Notes: `Reversal of #${transaction.Id}: ${reason}`,
+    ReversalOf: String(transaction.Id),
+    Reason: reason,
+    ReversedOn: reversedOn,
+  };
+}
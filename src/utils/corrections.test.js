@@ -0,0 +1,76 @@
+import { buildReversal, canReverse } from "./corrections";
+import { computeDistribution, distributionEntries } from "./dividends";
+import { buildMonthlyCollection } from "./reports";
+
+const payment = {
+  Id: "7",
+  Date: "2024-03-10",
+  Name: "Sunita",
+  Saving: "500",
+  LoanEmi: "1000",
+  Interest: "",
+  LateFee: "20",
+  PaymentMethod: "Gpay",
+};
+
+test("builds a linked reversal with negated amounts on the original date", () => {
+  expect(
+    buildReversal(payment, { reason: "Typed twice", reversedOn: "2024-03-15" })
+  ).toEqual({
+    Date: "2024-03-10",
+    Name: "Sunita",
+    Saving: "-500",
+    LoanEmi: "-1000",
+    Interest: "",
+    LateFee: "-20",
+    PaymentMethod: "Gpay",
+    Notes: "Reversal of #7: Typed twice",
+    ReversalOf: "7",
+    Reason: "Typed twice",
+    ReversedOn: "2024-03-15",
+  });
+});
+
+test("allows a single reversal per entry", () => {
+  const reversal = { Id: "8", ReversalOf: "7" };
+
+  expect(canReverse(payment, [payment])).toBe(true);
+  expect(canReverse(payment, [payment, reversal])).toBe(false);
+  expect(canReverse(reversal, [payment, reversal])).toBe(false);
+});
+
+test("keeps a reversed dividend out of income and collections", () => {
+  const members = [{ Name: "Sunita", Status: "Active" }];
+  const transactions = [
+    { Name: "Sunita", Date: "2024-05-10", Saving: "1000", Interest: "300" },
+  ];
+  const distribution = computeDistribution({
+    members,
+    transactions,
+    startYear: 2024,
+  });
+  const dividend = {
+    Id: "2",
+    ...distributionEntries(distribution, distribution.rows)[0],
+  };
+  const reversal = buildReversal(dividend, {
+    reason: "Posted by mistake",
+    reversedOn: "2025-04-02",
+  });
+
+  expect(reversal).toMatchObject({
+    Saving: "-300",
+    Interest: "300",
+    Payout: "Dividend",
+    DividendYear: "2024-25",
+  });
+  const after = [...transactions, dividend, reversal];
+  expect(
+    computeDistribution({ members, transactions: after, startYear: 2024 })
+      .income
+  ).toBe(300);
+  expect(
+    buildMonthlyCollection({ month: "2025-03", members, transactions: after })
+      .rows[0]
+  ).toMatchObject({ saving: 0, interest: 0 });
+});
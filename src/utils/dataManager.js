@@ -4,59 +4,378 @@
  */
 
 import { apiCache } from "./apiCache";
+import { syncQueue } from "./syncQueue";
+import { apiUsage } from "./apiUsage";
+import { COLLECTIONS, createStorageAdapter } from "./storage";
+import { resolveSettings, settingsHistory } from "./settings";
+import { groups, storageConfigFor } from "./groups";
+import { summarizeGroup } from "./reports";
+import {
+  auth,
+  can,
+  createSalt,
+  hashPin,
+  needsRehash,
+  ROLES,
+  validatePin,
+  verifyPin,
+} from "./auth";
+import { buildAuditEntries } from "./audit";
+import { buildReversal, canReverse } from "./corrections";
+import {
+  findBalanceMismatches,
+  isPayout,
+  withDerivedBalances,
+} from "./loanBalances";
+import {
+  LOAN_STATES,
+  isPending,
+  transitionFields,
+  validateTransition,
+} from "./loanWorkflow";
+import { guaranteedLoans } from "./guarantors";
+import {
+  EXIT_REASON,
+  buildSettlement,
+  isSettlementEntry,
+  settlementEntries,
+  settlementSnapshot,
+} from "./settlement";
+import {
+  closedYearOn,
+  distributionEntries,
+  findClosedYear,
+  validateShares,
+  yearEndSnapshot,
+} from "./dividends";
+import { parseDate, today } from "./dates";
 
-const BASE_URL = "https://sheetdb.io/api/v1/254cxsbebm3n7";
+// Active group and its storage backend (SheetDB by default, see storage/index.js)
+let activeGroup = groups.getActive();
+let storage = createStorageAdapter(storageConfigFor(activeGroup));
+apiCache.setNamespace(activeGroup.id);
+syncQueue.setNamespace(activeGroup.id);
+auth.setNamespace(activeGroup.id);
+apiUsage.setNamespace(activeGroup.id);
 
-// API endpoints
-const ENDPOINTS = {
-  MEMBERS: `${BASE_URL}?sheet=Member List`,
-  TRANSACTIONS: `${BASE_URL}?sheet=Transactions`,
-  LOANS: `${BASE_URL}?sheet=Loan Details`,
-};
+// Cache endpoint for a collection on the active backend
+const endpoint = (collection) => storage.describe(collection);
 
 // Cache TTLs (time-to-live)
 const CACHE_TTL = {
   MEMBERS: 30 * 60 * 1000, // 30 minutes - members change infrequently
   TRANSACTIONS: 15 * 60 * 1000, // 15 minutes - moderate change frequency
   LOANS: 15 * 60 * 1000, // 15 minutes - moderate change frequency
+  SETTINGS: 60 * 60 * 1000, // 1 hour - changed by admins only
+};
+
+// Near the monthly quota, remote data is served from cache only
+const isQuotaSaving = () => Boolean(storage.remote) && apiUsage.isReadOnly();
+
+// Cached read of a whole collection through any group's adapter
+const readCollection = (adapter, namespace, collection, ttl, forceRefresh) =>
+  apiCache.fetch(adapter.describe(collection), {
+    ttl,
+    forceRefresh,
+    namespace,
+    cacheOnly:
+      Boolean(adapter.remote) && apiUsage.isReadOnly(new Date(), namespace),
+    loader: () => adapter.list(collection),
+  });
+
+// Cached read of a whole collection through the active adapter
+const listCollection = (collection, ttl, forceRefresh) =>
+  readCollection(storage, activeGroup.id, collection, ttl, forceRefresh);
+
+const getCachedCollection = (collection) =>
+  apiCache.getCached(apiCache.getCacheKey(endpoint(collection)));
+
+const TTL_BY_COLLECTION = {
+  [COLLECTIONS.MEMBERS]: CACHE_TTL.MEMBERS,
+  [COLLECTIONS.TRANSACTIONS]: CACHE_TTL.TRANSACTIONS,
+  [COLLECTIONS.LOANS]: CACHE_TTL.LOANS,
+  [COLLECTIONS.LATE_FEE_RULES]: CACHE_TTL.SETTINGS,
+  [COLLECTIONS.LOAN_PRODUCTS]: CACHE_TTL.SETTINGS,
+  [COLLECTIONS.SETTINGS]: CACHE_TTL.SETTINGS,
+  [COLLECTIONS.USERS]: CACHE_TTL.SETTINGS,
+  [COLLECTIONS.AUDIT_LOG]: CACHE_TTL.TRANSACTIONS,
+  [COLLECTIONS.YEAR_END]: CACHE_TTL.SETTINGS,
+};
+
+const findRow = (rows, key, value) =>
+  (rows || []).find((row) => String(row[key]) === String(value));
+
+/* ===================== WRITES & OFFLINE OUTBOX ===================== */
+
+// fetch() rejects with a TypeError when there is no network at all; the
+// message differs per browser. Other TypeErrors are bugs and must surface.
+const NETWORK_FAILURE =
+  /failed to fetch|networkerror|load failed|network request failed/i;
+
+const isOfflineError = (error) =>
+  !navigator.onLine ||
+  (error instanceof TypeError && NETWORK_FAILURE.test(error.message));
+
+const executeWrite = ({ op, collection, key, value, data }) => {
+  switch (op) {
+    case "insert":
+      return storage.insert(collection, data);
+    case "update":
+      return storage.update(collection, key, value, data);
+    case "remove":
+      return storage.remove(collection, key, value);
+    default:
+      throw new Error(`Unknown write operation "${op}"`);
+  }
+};
+
+// Rows inserted into `collection` that are still waiting in the outbox
+const queuedInserts = (collection) =>
+  syncQueue
+    .getAll()
+    .filter((entry) => entry.op === "insert" && entry.collection === collection)
+    .flatMap((entry) => entry.data.map((row) => ({ ...row, Queued: true })));
+
+// A closed year's income is already shared out, so entries dated inside
+// it can't be added or removed; payouts (a dividend or its reversal)
+// leave income alone
+const assertYearsOpen = async (rows) => {
+  let snapshots = queuedInserts(COLLECTIONS.YEAR_END);
+  try {
+    const stored = await listCollection(
+      COLLECTIONS.YEAR_END,
+      CACHE_TTL.SETTINGS
+    );
+    snapshots = [...(stored || []), ...snapshots];
+  } catch (error) {
+    console.warn("Could not read closed years:", error);
+  }
+
+  rows
+    .filter((row) => !isPayout(row))
+    .forEach((row) => {
+      const closed = closedYearOn(snapshots, row.Date);
+      if (closed) {
+        throw new Error(
+          `${closed.Year} is closed; entries dated ${row.Date} can't change`
+        );
+      }
+    });
+};
+
+const queueWrite = (request) => {
+  const entry = syncQueue.enqueue(request);
+  console.log(`[DataManager] Offline - queued ${request.op} on ${request.collection}`);
+  return { queued: true, id: entry.id };
 };
 
+// Stamp new rows with RecordedBy and changes with UpdatedBy
+const attribute = (request) => {
+  const user = auth.getUser();
+  if (!user) return request;
+
+  switch (request.op) {
+    case "insert":
+      return {
+        ...request,
+        data: request.data.map((row) => ({ ...row, RecordedBy: user.Name })),
+      };
+    case "update":
+      return { ...request, data: { ...request.data, UpdatedBy: user.Name } };
+    default:
+      return request;
+  }
+};
+
+// Audit entries describing the write, taken before it changes anything
+const withAudit = (request) => ({
+  ...request,
+  audit: buildAuditEntries(request, {
+    user: auth.getUser()?.Name || "",
+    timestamp: new Date().toISOString(),
+    rows: getCachedCollection(request.collection),
+  }),
+});
+
+/**
+ * Append a write's entries to the audit log; never fails the write itself.
+ * Without a network the entries wait in the outbox like any other write.
+ */
+const recordAudit = async (entries) => {
+  if (!entries?.length) return;
+
+  try {
+    await storage.insert(COLLECTIONS.AUDIT_LOG, entries);
+  } catch (error) {
+    if (isOfflineError(error)) {
+      queueWrite({
+        op: "insert",
+        collection: COLLECTIONS.AUDIT_LOG,
+        data: entries,
+      });
+    } else {
+      console.error("[DataManager] Audit log write failed:", error);
+    }
+  }
+
+  apiCache.invalidate(endpoint(COLLECTIONS.AUDIT_LOG));
+};
+
+// Apply a write, then log it
+const applyWrite = async (request) => {
+  const result = await executeWrite(request);
+  await recordAudit(request.audit);
+  return result;
+};
+
+/**
+ * Run a write against the backend, or park it in the outbox when offline
+ * or when the monthly quota is nearly used up.
+ * Once anything is queued, later writes queue behind it to keep their order.
+ * Every write is attributed to the signed-in user and, once applied,
+ * recorded in the audit log.
+ */
+const performWrite = async (unattributed) => {
+  const request = withAudit(attribute(unattributed));
+  if (!storage.remote) return applyWrite(request);
+
+  if (!navigator.onLine || syncQueue.hasPending() || isQuotaSaving()) {
+    return queueWrite(request);
+  }
+
+  try {
+    return await applyWrite(request);
+  } catch (error) {
+    if (!isOfflineError(error)) throw error;
+    return queueWrite(request);
+  }
+};
+
+/**
+ * A queued update/remove conflicts when the remote row no longer
+ * matches the snapshot (`base`) taken when the write was made
+ */
+const hasRemoteChanged = async ({ collection, key, value, base }) => {
+  if (!base) return false;
+
+  const current = findRow(await storage.list(collection), key, value);
+  if (!current) return true;
+
+  return Object.keys(base).some(
+    (field) => String(current[field] ?? "") !== String(base[field] ?? "")
+  );
+};
+
+let syncInProgress = false;
+
 export const dataManager = {
   /**
    * Fetch all members with caching
    */
   async getMembers(forceRefresh = false) {
-    return apiCache.fetch(ENDPOINTS.MEMBERS, {
-      ttl: CACHE_TTL.MEMBERS,
-      forceRefresh,
-    });
+    return listCollection(COLLECTIONS.MEMBERS, CACHE_TTL.MEMBERS, forceRefresh);
   },
 
   /**
    * Fetch all transactions with caching
    */
   async getTransactions(forceRefresh = false) {
-    return apiCache.fetch(ENDPOINTS.TRANSACTIONS, {
-      ttl: CACHE_TTL.TRANSACTIONS,
-      forceRefresh,
-    });
+    return listCollection(
+      COLLECTIONS.TRANSACTIONS,
+      CACHE_TTL.TRANSACTIONS,
+      forceRefresh
+    );
   },
 
   /**
    * Fetch all loan details with caching
    */
   async getLoans(forceRefresh = false) {
-    return apiCache.fetch(ENDPOINTS.LOANS, {
-      ttl: CACHE_TTL.LOANS,
-      forceRefresh,
-    });
+    return listCollection(COLLECTIONS.LOANS, CACHE_TTL.LOANS, forceRefresh);
+  },
+
+  /**
+   * Fetch the group's late-fee rules with caching
+   */
+  async getLateFeeRules(forceRefresh = false) {
+    return listCollection(
+      COLLECTIONS.LATE_FEE_RULES,
+      CACHE_TTL.SETTINGS,
+      forceRefresh
+    );
+  },
+
+  /**
+   * Fetch the group's loan products with caching
+   */
+  async getLoanProducts(forceRefresh = false) {
+    return listCollection(
+      COLLECTIONS.LOAN_PRODUCTS,
+      CACHE_TTL.SETTINGS,
+      forceRefresh
+    );
+  },
+
+  /**
+   * Snapshots of the closed financial years, including years closed
+   * offline whose snapshot is still in the outbox (marked `Queued`)
+   */
+  async getYearEnds(forceRefresh = false) {
+    const rows = await listCollection(
+      COLLECTIONS.YEAR_END,
+      CACHE_TTL.SETTINGS,
+      forceRefresh
+    );
+    return [...(rows || []), ...queuedInserts(COLLECTIONS.YEAR_END)];
+  },
+
+  /**
+   * Current group settings (defaults for anything never saved)
+   */
+  async getSettings(forceRefresh = false) {
+    const rows = await listCollection(
+      COLLECTIONS.SETTINGS,
+      CACHE_TTL.SETTINGS,
+      forceRefresh
+    );
+    return resolveSettings(rows);
+  },
+
+  /**
+   * Settings change history, newest first
+   */
+  async getSettingsHistory(forceRefresh = false) {
+    const rows = await listCollection(
+      COLLECTIONS.SETTINGS,
+      CACHE_TTL.SETTINGS,
+      forceRefresh
+    );
+    return settingsHistory(rows);
+  },
+
+  /**
+   * Fetch the group's user accounts with caching
+   */
+  async getUsers(forceRefresh = false) {
+    return listCollection(COLLECTIONS.USERS, CACHE_TTL.SETTINGS, forceRefresh);
+  },
+
+  /**
+   * Fetch the audit log with caching
+   */
+  async getAuditLog(forceRefresh = false) {
+    return listCollection(
+      COLLECTIONS.AUDIT_LOG,
+      CACHE_TTL.TRANSACTIONS,
+      forceRefresh
+    );
   },
 
   /**
    * Search members locally (no API call)
    */
   searchMembers(query = "") {
-    const data = apiCache.getCached(apiCache.getCacheKey(ENDPOINTS.MEMBERS));
+    const data = getCachedCollection(COLLECTIONS.MEMBERS);
     if (!data) return [];
 
     if (!query) return data;
@@ -69,9 +388,7 @@ export const dataManager = {
    * Search transactions locally (no API call)
    */
   searchTransactions(memberName) {
-    const data = apiCache.getCached(
-      apiCache.getCacheKey(ENDPOINTS.TRANSACTIONS)
-    );
+    const data = getCachedCollection(COLLECTIONS.TRANSACTIONS);
     if (!data) return [];
 
     if (!memberName) return data;
@@ -83,7 +400,7 @@ export const dataManager = {
    * Find loan by member name locally (no API call)
    */
   getLoanByMember(memberName) {
-    const data = apiCache.getCached(apiCache.getCacheKey(ENDPOINTS.LOANS));
+    const data = getCachedCollection(COLLECTIONS.LOANS);
     if (!data) return null;
 
     return data.find((l) => l.Name === memberName);
@@ -93,139 +410,683 @@ export const dataManager = {
    * Get all loans for member (can have multiple)
    */
   getLoansByMember(memberName) {
-    const data = apiCache.getCached(apiCache.getCacheKey(ENDPOINTS.LOANS));
+    const data = getCachedCollection(COLLECTIONS.LOANS);
     if (!data) return [];
 
     return data.filter((l) => l.Name === memberName);
   },
 
   /**
-   * Add new member (POST + cache update)
+   * Add new member (insert + cache invalidation)
    */
   async addMember(memberData) {
-    const response = await fetch(ENDPOINTS.MEMBERS, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ data: [memberData] }),
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.MEMBERS,
+      data: [memberData],
     });
 
-    if (!response.ok) throw new Error("Failed to add member");
-
     // Invalidate members cache to force refresh on next fetch
-    apiCache.invalidate(ENDPOINTS.MEMBERS);
+    apiCache.invalidate(endpoint(COLLECTIONS.MEMBERS));
 
-    return response.json();
+    return result;
   },
 
   /**
-   * Add new transaction (POST + cache invalidation)
+   * Add new transaction (insert + cache invalidation)
    */
   async addTransaction(transactionData) {
-    const response = await fetch(`${ENDPOINTS.TRANSACTIONS}&mode=append`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ data: [transactionData] }),
+    await assertYearsOpen([transactionData]);
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.TRANSACTIONS,
+      data: [transactionData],
     });
 
-    if (!response.ok) throw new Error("Failed to add transaction");
+    // Invalidate transactions cache
+    apiCache.invalidate(endpoint(COLLECTIONS.TRANSACTIONS));
+
+    return result;
+  },
+
+  /**
+   * Add many transactions (batched inserts + cache invalidation)
+   * SheetDB accepts an array in `data`, so each batch costs one API call
+   */
+  async addTransactions(transactions, { batchSize = 100, onProgress } = {}) {
+    await assertYearsOpen(transactions);
+    let created = 0;
+    let queued = 0;
+
+    for (let i = 0; i < transactions.length; i += batchSize) {
+      const batch = transactions.slice(i, i + batchSize);
+      const result = await performWrite({
+        op: "insert",
+        collection: COLLECTIONS.TRANSACTIONS,
+        data: batch,
+      });
+
+      if (result?.queued) queued += batch.length;
+      else created += batch.length;
+
+      if (onProgress) onProgress(created + queued, transactions.length);
+    }
 
     // Invalidate transactions cache
-    apiCache.invalidate(ENDPOINTS.TRANSACTIONS);
+    apiCache.invalidate(endpoint(COLLECTIONS.TRANSACTIONS));
 
-    return response.json();
+    return { created, queued };
   },
 
   /**
-   * Update loan (PATCH + cache invalidation)
+   * Update loan (update by Id + cache invalidation)
    */
   async updateLoan(loanId, loanData) {
-    const url = `${BASE_URL}/Id/${loanId}?sheet=Loan Details`;
-    const response = await fetch(url, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ data: loanData }),
+    const result = await performWrite({
+      op: "update",
+      collection: COLLECTIONS.LOANS,
+      key: "Id",
+      value: loanId,
+      data: loanData,
+      base: findRow(getCachedCollection(COLLECTIONS.LOANS), "Id", loanId),
     });
 
-    if (!response.ok) throw new Error("Failed to update loan");
-
     // Invalidate loans cache
-    apiCache.invalidate(ENDPOINTS.LOANS);
+    apiCache.invalidate(endpoint(COLLECTIONS.LOANS));
 
-    return response.json();
+    return result;
   },
 
   /**
-   * Add new loan (POST + cache invalidation)
+   * Copy the ledger-derived balance into the stored RemainingLoan / Status
+   * of the given loans (all mismatched loans when no ids are passed)
+   * Returns the number of loans updated
+   */
+  async reconcileLoans(loanIds = null) {
+    const [loans, transactions] = await Promise.all([
+      this.getLoans(),
+      this.getTransactions(),
+    ]);
+
+    const fixes = findBalanceMismatches(loans, transactions).filter(
+      ({ loan }) =>
+        loan.Id && (!loanIds || loanIds.map(String).includes(String(loan.Id)))
+    );
+
+    for (const { loan, derived } of fixes) {
+      await this.updateLoan(loan.Id, {
+        RemainingLoan: derived.outstanding,
+        Status: derived.status,
+      });
+    }
+
+    return fixes.length;
+  },
+
+  /**
+   * Move a loan to the next workflow stage (see utils/loanWorkflow.js)
+   * `details` holds the meeting's decision or the disbursement
+   */
+  async advanceLoan(loanId, to, details = {}) {
+    const loan = findRow(await this.getLoans(), "Id", loanId);
+    if (!loan) throw new Error(`Loan #${loanId} not found`);
+
+    const error = validateTransition(loan, to, details);
+    if (error) throw new Error(error);
+
+    return this.updateLoan(loan.Id, transitionFields(loan, to, details));
+  },
+
+  /**
+   * Add new loan (insert + cache invalidation)
    */
   async addLoan(loanData) {
-    const response = await fetch(ENDPOINTS.LOANS, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ data: [loanData] }),
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.LOANS,
+      data: [loanData],
     });
 
-    if (!response.ok) throw new Error("Failed to add loan");
-
     // Invalidate loans cache
-    apiCache.invalidate(ENDPOINTS.LOANS);
+    apiCache.invalidate(endpoint(COLLECTIONS.LOANS));
 
-    return response.json();
+    return result;
   },
 
   /**
-   * Delete member (DELETE + cache invalidation)
+   * Delete member (remove + cache invalidation)
    */
   async deleteMember(memberName) {
-    const url = `${BASE_URL}/Name/${memberName}?sheet=Member List`;
-    const response = await fetch(url, { method: "DELETE" });
-
-    if (!response.ok) throw new Error("Failed to delete member");
+    const result = await performWrite({
+      op: "remove",
+      collection: COLLECTIONS.MEMBERS,
+      key: "Name",
+      value: memberName,
+    });
 
     // Invalidate both members and transactions
-    apiCache.invalidate(ENDPOINTS.MEMBERS);
-    apiCache.invalidate(ENDPOINTS.TRANSACTIONS);
+    apiCache.invalidate(endpoint(COLLECTIONS.MEMBERS));
+    apiCache.invalidate(endpoint(COLLECTIONS.TRANSACTIONS));
 
-    return response.json();
+    return result;
   },
 
   /**
-   * Delete all transactions for member (DELETE + cache invalidation)
+   * Delete all transactions for member (remove + cache invalidation)
    */
   async deleteTransactions(memberName) {
-    const url = `${BASE_URL}/Name/${memberName}?sheet=Transactions`;
-    const response = await fetch(url, { method: "DELETE" });
-
-    if (!response.ok) throw new Error("Failed to delete transactions");
+    const result = await performWrite({
+      op: "remove",
+      collection: COLLECTIONS.TRANSACTIONS,
+      key: "Name",
+      value: memberName,
+    });
 
     // Invalidate transactions cache
-    apiCache.invalidate(ENDPOINTS.TRANSACTIONS);
+    apiCache.invalidate(endpoint(COLLECTIONS.TRANSACTIONS));
 
-    return response.json();
+    return result;
   },
+
   async deleteTransactionById(id) {
-    const url = `${BASE_URL}?sheet=Transactions&Id=${id}`;
-    const response = await fetch(url, {
-      method: "DELETE",
+    const base = findRow(
+      getCachedCollection(COLLECTIONS.TRANSACTIONS),
+      "Id",
+      id
+    );
+    await assertYearsOpen(base ? [base] : []);
+    const result = await performWrite({
+      op: "remove",
+      collection: COLLECTIONS.TRANSACTIONS,
+      key: "Id",
+      value: id,
+      base,
     });
 
-    if (!response.ok) {
-      throw new Error("Failed to delete transaction");
+    apiCache.invalidate(endpoint(COLLECTIONS.TRANSACTIONS));
+
+    return result;
+  },
+
+  /**
+   * Cancel a payment entry with a linked reversal row, optionally posting
+   * the corrected entry with it. Loan balances follow from the rows
+   * (see utils/loanBalances.js), so no loan is written.
+   */
+  async reverseTransaction(transactionId, { reason, correction = null }) {
+    if (!reason?.trim()) throw new Error("A reason is required");
+
+    const transactions = await this.getTransactions();
+    const original = findRow(transactions, "Id", transactionId);
+    if (!original) throw new Error(`Transaction #${transactionId} not found`);
+    if (!canReverse(original, transactions)) {
+      throw new Error("This entry is a reversal or has already been reversed");
+    }
+
+    const rows = [
+      buildReversal(original, { reason: reason.trim(), reversedOn: today() }),
+    ];
+    if (correction) {
+      rows.push({
+        ...correction,
+        Name: original.Name,
+        Notes: correction.Notes || `Correction of #${original.Id}: ${reason}`,
+        CorrectionOf: String(original.Id),
+      });
+    }
+    await assertYearsOpen(rows);
+
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.TRANSACTIONS,
+      data: rows,
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.TRANSACTIONS));
+
+    return result;
+  },
+
+  /**
+   * Settle a leaving member's account (see utils/settlement.js): record
+   * the loan clearances and payout as transactions, close their loans,
+   * reject pending applications, deactivate them and archive a snapshot
+   * in Deleted Members. Running it again after a failure part-way
+   * finishes the exit without posting the entries twice. Returns the
+   * settlement.
+   */
+  async settleMember(memberName, { date = today(), paymentMethod = "" } = {}) {
+    const [members, transactions, loans] = await Promise.all([
+      this.getMembers(true),
+      this.getTransactions(),
+      this.getLoans(),
+    ]);
+
+    const member = members.find((m) => m.Name === memberName);
+    if (!member || member.Status === "Inactive") {
+      throw new Error(`${memberName} is not an active member`);
+    }
+    const balances = withDerivedBalances(loans, transactions);
+    if (guaranteedLoans(memberName, balances).length > 0) {
+      throw new Error(`${memberName} guarantees a loan still being repaid`);
+    }
+
+    // A settlement cut short after its entries were posted is resumed:
+    // worked out again from the ledger as it was, without posting twice
+    const posted = transactions.filter(
+      (t) => t.Name === memberName && isSettlementEntry(t)
+    );
+    if (posted.length > 0) {
+      date = posted[0].Date;
+      paymentMethod = posted[0].PaymentMethod || "";
+    }
+    const settlement = buildSettlement({
+      memberName,
+      transactions: transactions.filter((t) => !posted.includes(t)),
+      loans: loans.map((l) =>
+        l.Name === memberName && l.CloseReason === EXIT_REASON
+          ? { ...l, Status: LOAN_STATES.DISBURSED, CloseReason: "" }
+          : l
+      ),
+      asOf: parseDate(date),
+    });
+
+    if (posted.length === 0) {
+      await this.addTransactions(
+        settlementEntries(settlement, { date, paymentMethod })
+      );
+    }
+    for (const { loan } of settlement.loans) {
+      await this.updateLoan(loan.Id, {
+        RemainingLoan: 0,
+        Status: LOAN_STATES.CLOSED,
+        ClosedOn: date,
+        CloseReason: EXIT_REASON,
+      });
+    }
+    for (const loan of balances.filter(
+      (l) => l.Name === memberName && isPending(l)
+    )) {
+      await this.advanceLoan(loan.Id, LOAN_STATES.REJECTED, {
+        date,
+        reason: EXIT_REASON,
+      });
+    }
+
+    await this.updateMember(memberName, {
+      Status: "Inactive",
+      DeactivatedOn: date,
+    });
+    await this.addDeletedMember(
+      settlementSnapshot(member, settlement, {
+        date,
+        paymentMethod,
+        settledBy: auth.getUser()?.Name,
+      })
+    );
+
+    return settlement;
+  },
+
+  /**
+   * Close a financial year: credit the reviewed dividend shares
+   * ([{ name, share }]) to the members and lock the year's snapshot
+   * (see utils/dividends.js). A closed year cannot be posted again.
+   */
+  async closeYear(distribution, shares) {
+    const closed = findClosedYear(
+      await this.getYearEnds(true),
+      distribution.label
+    );
+    if (closed) throw new Error(`${distribution.label} is already closed`);
+    if (distribution.to > today()) {
+      throw new Error(`${distribution.label} has not ended yet`);
     }
 
-    return response.json();
+    const error = validateShares(distribution, shares);
+    if (error) throw new Error(error);
+
+    await this.addTransactions(distributionEntries(distribution, shares));
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.YEAR_END,
+      data: [
+        yearEndSnapshot(distribution, shares, {
+          postedOn: today(),
+          postedBy: auth.getUser()?.Name,
+        }),
+      ],
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.YEAR_END));
+
+    return result;
   },
 
   async addDeletedMember(data) {
-    const url = `${BASE_URL}?sheet=Deleted Members`;
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ data: [data] }),
+    return performWrite({
+      op: "insert",
+      collection: COLLECTIONS.DELETED_MEMBERS,
+      data: [data],
+    });
+  },
+
+  /**
+   * Sign in with name and PIN
+   */
+  async login(name, pin) {
+    const user = await this.findUserByPin(name, pin);
+    if (!user) throw new Error("Wrong name or PIN");
+
+    auth.signIn(user);
+    return auth.getUser();
+  },
+
+  /**
+   * The active user account with this name and PIN, or null. Checks the
+   * cached users first and re-reads them once for accounts created on
+   * another device. A PIN stored with an older, weaker hash is re-hashed
+   * once it has been entered correctly.
+   */
+  async findUserByPin(name, pin) {
+    const matches = async (forceRefresh) => {
+      const users = await this.getUsers(forceRefresh);
+      const user = (users || []).find(
+        (u) => u.Name?.trim().toLowerCase() === name.trim().toLowerCase()
+      );
+      if (!user || user.Status === "Inactive") return null;
+      return (await verifyPin(pin, user)) ? user : null;
+    };
+
+    const user = (await matches(false)) || (await matches(true));
+    if (user && needsRehash(user.PinHash)) {
+      const Salt = createSalt();
+      try {
+        await performWrite({
+          op: "update",
+          collection: COLLECTIONS.USERS,
+          key: "Id",
+          value: user.Id,
+          data: { Salt, PinHash: await hashPin(pin, Salt) },
+          base: user,
+        });
+        apiCache.invalidate(endpoint(COLLECTIONS.USERS));
+      } catch (error) {
+        console.warn("Could not upgrade the PIN hash:", error);
+      }
+    }
+    return user;
+  },
+
+  /**
+   * Confirm a second approver by PIN without changing who is signed in.
+   * The approver must be someone else with `permission`; returns their name.
+   */
+  async verifyApprover(name, pin, permission) {
+    const approver = await this.findUserByPin(name, pin);
+    if (!approver) throw new Error("Wrong approver name or PIN");
+
+    if (approver.Name === auth.getUser()?.Name) {
+      throw new Error("The approver must be someone other than you");
+    }
+    if (!can(approver, permission)) {
+      throw new Error(`${approver.Name} is not allowed to approve this`);
+    }
+
+    return approver.Name;
+  },
+
+  logout() {
+    auth.signOut();
+  },
+
+  /**
+   * Add a user account: { Name, Role, Pin, MemberName? }
+   * The very first account of a group must be its President.
+   */
+  async addUser({ Pin, ...user }) {
+    const users = await this.getUsers(true);
+
+    if (users.length === 0 && user.Role !== ROLES.PRESIDENT) {
+      throw new Error("The first account must be the President");
+    }
+    if (users.length > 0 && !can(auth.getUser(), "manageUsers")) {
+      throw new Error("Only the President can add users");
+    }
+    if (
+      users.some(
+        (u) => u.Name?.trim().toLowerCase() === user.Name.trim().toLowerCase()
+      )
+    ) {
+      throw new Error(`A user named "${user.Name}" already exists`);
+    }
+    const pinError = validatePin(Pin);
+    if (pinError) throw new Error(pinError);
+
+    const Salt = createSalt();
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.USERS,
+      data: [
+        {
+          ...user,
+          Name: user.Name.trim(),
+          MemberName: user.MemberName || "",
+          Salt,
+          PinHash: await hashPin(Pin, Salt),
+          Status: "Active",
+        },
+      ],
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.USERS));
+
+    return result;
+  },
+
+  /**
+   * Update a user account by Id; a new `Pin` is re-hashed
+   */
+  async updateUser(userId, { Pin, ...changes }) {
+    if (!can(auth.getUser(), "manageUsers")) {
+      throw new Error("Only the President can change users");
+    }
+
+    const data = { ...changes };
+    if (Pin) {
+      const pinError = validatePin(Pin);
+      if (pinError) throw new Error(pinError);
+
+      data.Salt = createSalt();
+      data.PinHash = await hashPin(Pin, data.Salt);
+    }
+
+    const result = await performWrite({
+      op: "update",
+      collection: COLLECTIONS.USERS,
+      key: "Id",
+      value: userId,
+      data,
+      base: findRow(getCachedCollection(COLLECTIONS.USERS), "Id", userId),
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.USERS));
+
+    return result;
+  },
+
+  /**
+   * Add a late-fee rule (insert + cache invalidation)
+   */
+  async addLateFeeRule(rule) {
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.LATE_FEE_RULES,
+      data: [rule],
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.LATE_FEE_RULES));
+
+    return result;
+  },
+
+  /**
+   * Add a loan product (insert + cache invalidation)
+   */
+  async addLoanProduct(product) {
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.LOAN_PRODUCTS,
+      data: [product],
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.LOAN_PRODUCTS));
+
+    return result;
+  },
+
+  /**
+   * Update a loan product by Id (e.g. retire it)
+   * Products are never deleted: existing loans refer to them by name
+   */
+  async updateLoanProduct(id, data) {
+    const result = await performWrite({
+      op: "update",
+      collection: COLLECTIONS.LOAN_PRODUCTS,
+      key: "Id",
+      value: id,
+      data,
+      base: findRow(getCachedCollection(COLLECTIONS.LOAN_PRODUCTS), "Id", id),
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.LOAN_PRODUCTS));
+
+    return result;
+  },
+
+  /**
+   * Save changed settings ({ key: [values] }) as new history rows
+   */
+  async saveSettings(changes) {
+    const current = await this.getSettings();
+    const changedAt = new Date().toISOString();
+
+    const rows = Object.entries(changes)
+      .filter(([key, values]) => values.join(",") !== current[key]?.join(","))
+      .map(([key, values]) => ({
+        Key: key,
+        Value: values.join(","),
+        ChangedAt: changedAt,
+      }));
+
+    if (rows.length === 0) return { created: 0 };
+
+    const result = await performWrite({
+      op: "insert",
+      collection: COLLECTIONS.SETTINGS,
+      data: rows,
+    });
+
+    apiCache.invalidate(endpoint(COLLECTIONS.SETTINGS));
+
+    return result;
+  },
+
+  /**
+   * Delete a late-fee rule by Id (remove + cache invalidation)
+   */
+  async deleteLateFeeRule(id) {
+    const result = await performWrite({
+      op: "remove",
+      collection: COLLECTIONS.LATE_FEE_RULES,
+      key: "Id",
+      value: id,
+      base: findRow(getCachedCollection(COLLECTIONS.LATE_FEE_RULES), "Id", id),
     });
 
-    if (!response.ok) throw new Error("Failed to archive deleted member");
+    apiCache.invalidate(endpoint(COLLECTIONS.LATE_FEE_RULES));
 
-    return response.json();
+    return result;
+  },
+
+  /**
+   * Replay queued writes in order. Stops at the first network failure or
+   * conflict, so later writes never land before an earlier one; conflicting
+   * or rejected writes are kept aside for the user to resolve.
+   * Automatic syncs pause near the quota; `force` syncs anyway (Sync now).
+   */
+  async syncPending({ force = false } = {}) {
+    if (syncInProgress || !navigator.onLine) return;
+    if (!force && isQuotaSaving()) return;
+    syncInProgress = true;
+
+    const touched = new Set();
+
+    try {
+      for (const entry of syncQueue.getAll()) {
+        if (entry.status === "conflict") break;
+        if (entry.status !== "pending") continue;
+
+        try {
+          if (await hasRemoteChanged(entry)) {
+            syncQueue.update(entry.id, { status: "conflict" });
+            break;
+          }
+
+          await applyWrite(entry);
+          syncQueue.remove(entry.id);
+          touched.add(entry.collection);
+        } catch (error) {
+          if (isOfflineError(error)) break;
+          syncQueue.update(entry.id, { status: "failed", error: error.message });
+        }
+      }
+    } finally {
+      syncInProgress = false;
+    }
+
+    // Refresh what changed so listening screens pick up the synced rows
+    await Promise.all(
+      [...touched]
+        .filter((collection) => TTL_BY_COLLECTION[collection])
+        .map((collection) =>
+          listCollection(collection, TTL_BY_COLLECTION[collection], true)
+        )
+    );
+
+    console.log(`[DataManager] Sync complete (${touched.size} collections)`);
+  },
+
+  /**
+   * Re-queue a conflicting/failed write. With `overwrite`, the remote
+   * changes are ignored and the queued values win.
+   */
+  async retrySyncEntry(id, { overwrite = false } = {}) {
+    syncQueue.update(id, {
+      status: "pending",
+      error: undefined,
+      ...(overwrite ? { base: undefined } : {}),
+    });
+    return this.syncPending({ force: true });
+  },
+
+  /**
+   * Drop a queued write without applying it
+   */
+  discardSyncEntry(id) {
+    syncQueue.remove(id);
+  },
+
+  /**
+   * Replay the outbox now and whenever connectivity returns
+   */
+  startBackgroundSync() {
+    const handleOnline = () => this.syncPending();
+
+    window.addEventListener("online", handleOnline);
+    this.syncPending();
+
+    return () => window.removeEventListener("online", handleOnline);
   },
 
   /**
@@ -247,6 +1108,20 @@ export const dataManager = {
     }
   },
 
+  /**
+   * Month-to-date SheetDB usage against the monthly budget
+   */
+  getApiUsage() {
+    return apiUsage.getUsage();
+  },
+
+  /**
+   * Register listener for API usage changes
+   */
+  onApiUsageUpdate(callback) {
+    return apiUsage.onChange(callback);
+  },
+
   /**
    * Get cache statistics for debugging
    */
@@ -254,6 +1129,94 @@ export const dataManager = {
     return apiCache.getStats();
   },
 
+  /**
+   * Swap the storage backend (e.g. in-memory adapter for tests)
+   */
+  useStorage(adapter) {
+    storage = adapter;
+    apiCache.clear();
+  },
+
+  /**
+   * Name of the active storage backend
+   */
+  getStorageName() {
+    return storage.name;
+  },
+
+  /**
+   * Active group profile (see groups.js)
+   */
+  getActiveGroup() {
+    return activeGroup;
+  },
+
+  /**
+   * Switch to another group: its own backend, cache namespace and outbox.
+   * Listeners of groups.onActiveChange() reload once the switch is done.
+   */
+  switchGroup(groupId) {
+    const group = groups.get(groupId);
+    if (!group) throw new Error(`Group "${groupId}" not found`);
+    // Queued writes replay against the active backend; finish them first
+    if (syncInProgress) {
+      throw new Error("Sync in progress - try switching again in a moment");
+    }
+
+    activeGroup = group;
+    storage = createStorageAdapter(storageConfigFor(group));
+    apiCache.setNamespace(group.id);
+    syncQueue.setNamespace(group.id);
+    auth.setNamespace(group.id);
+    apiUsage.setNamespace(group.id);
+    groups.setActive(group.id);
+
+    console.log(`[DataManager] Switched to group ${group.name}`);
+    this.syncPending().catch(() => {});
+    return group;
+  },
+
+  /**
+   * Savings corpus and loans outstanding of every group, for the
+   * federation overview. Each group is read through its own cache.
+   */
+  async getGroupOverview(forceRefresh = false) {
+    return Promise.all(
+      groups.getAll().map(async (group) => {
+        const adapter =
+          group.id === activeGroup.id
+            ? storage
+            : createStorageAdapter(storageConfigFor(group));
+        const read = (collection) =>
+          readCollection(
+            adapter,
+            group.id,
+            collection,
+            TTL_BY_COLLECTION[collection],
+            forceRefresh
+          );
+
+        try {
+          const [members, transactions, loans] = await Promise.all([
+            read(COLLECTIONS.MEMBERS),
+            read(COLLECTIONS.TRANSACTIONS),
+            read(COLLECTIONS.LOANS),
+          ]);
+          return {
+            group,
+            ...summarizeGroup({ members, transactions, loans }),
+          };
+        } catch (error) {
+          console.error(
+            `[DataManager] Overview failed for ${group.name}:`,
+            error
+          );
+          return { group, error: error.message };
+        }
+      })
+    );
+  },
+
   /**
    * Clear all caches
    */
@@ -265,7 +1228,7 @@ export const dataManager = {
    * Register listener for member updates
    */
   onMembersUpdate(callback) {
-    const cacheKey = apiCache.getCacheKey(ENDPOINTS.MEMBERS);
+    const cacheKey = apiCache.getCacheKey(endpoint(COLLECTIONS.MEMBERS));
     return apiCache.onUpdate(cacheKey, callback);
   },
 
@@ -273,7 +1236,7 @@ export const dataManager = {
    * Register listener for transaction updates
    */
   onTransactionsUpdate(callback) {
-    const cacheKey = apiCache.getCacheKey(ENDPOINTS.TRANSACTIONS);
+    const cacheKey = apiCache.getCacheKey(endpoint(COLLECTIONS.TRANSACTIONS));
     return apiCache.onUpdate(cacheKey, callback);
   },
 
@@ -281,7 +1244,33 @@ export const dataManager = {
    * Register listener for loan updates
    */
   onLoansUpdate(callback) {
-    const cacheKey = apiCache.getCacheKey(ENDPOINTS.LOANS);
+    const cacheKey = apiCache.getCacheKey(endpoint(COLLECTIONS.LOANS));
+    return apiCache.onUpdate(cacheKey, callback);
+  },
+
+  /**
+   * Register listener for settings updates (receives resolved settings)
+   */
+  onSettingsUpdate(callback) {
+    const cacheKey = apiCache.getCacheKey(endpoint(COLLECTIONS.SETTINGS));
+    return apiCache.onUpdate(cacheKey, (rows) =>
+      callback(resolveSettings(rows))
+    );
+  },
+
+  /**
+   * Register listener for late-fee rule updates
+   */
+  onLateFeeRulesUpdate(callback) {
+    const cacheKey = apiCache.getCacheKey(endpoint(COLLECTIONS.LATE_FEE_RULES));
+    return apiCache.onUpdate(cacheKey, callback);
+  },
+
+  /**
+   * Register listener for loan product updates
+   */
+  onLoanProductsUpdate(callback) {
+    const cacheKey = apiCache.getCacheKey(endpoint(COLLECTIONS.LOAN_PRODUCTS));
     return apiCache.onUpdate(cacheKey, callback);
   },
 
@@ -301,26 +1290,18 @@ export const dataManager = {
     }
 
     // 3️⃣ Update using Id (SheetDB best practice)
-    const url = `${BASE_URL}/Id/${member.Id}?sheet=Member List`;
-
-    const response = await fetch(url, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        data: {
-          ...member,
-          ...updates,
-        },
-      }),
+    const result = await performWrite({
+      op: "update",
+      collection: COLLECTIONS.MEMBERS,
+      key: "Id",
+      value: member.Id,
+      data: { ...member, ...updates },
+      base: member,
     });
 
-    if (!response.ok) {
-      throw new Error("Failed to update member");
-    }
-
     // 4️⃣ Invalidate members cache
-    apiCache.invalidate(ENDPOINTS.MEMBERS);
+    apiCache.invalidate(endpoint(COLLECTIONS.MEMBERS));
 
-    return response.json();
+    return result;
   },
 };
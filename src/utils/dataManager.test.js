@@ -0,0 +1,566 @@
+import { dataManager } from "./dataManager";
+import { COLLECTIONS } from "./storage";
+import { createMemoryAdapter } from "./storage/memoryAdapter";
+import { groups } from "./groups";
+import { auth } from "./auth";
+import { computeDistribution } from "./dividends";
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  dataManager.useStorage(
+    createMemoryAdapter({
+      seed: {
+        [COLLECTIONS.MEMBERS]: [{ Id: "1", Name: "Sunita", Status: "Active" }],
+        [COLLECTIONS.LOANS]: [
+          { Id: "1", Name: "Sunita", LoanAmount: "10000", Status: "Active" },
+        ],
+      },
+    })
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test("reads collections through the storage adapter", async () => {
+  const members = await dataManager.getMembers();
+  expect(members).toEqual([{ Id: "1", Name: "Sunita", Status: "Active" }]);
+  expect(dataManager.searchMembers("sun")).toHaveLength(1);
+});
+
+test("writes invalidate the cache so the next read sees them", async () => {
+  await dataManager.getTransactions();
+  await dataManager.addTransaction({ Name: "Sunita", Saving: "500" });
+
+  const transactions = await dataManager.getTransactions();
+  expect(transactions).toHaveLength(1);
+  expect(transactions[0].Id).toBe("1");
+});
+
+test("updates loans and members by Id", async () => {
+  await dataManager.updateLoan("1", { RemainingLoan: 8000 });
+  await dataManager.updateMember("Sunita", { Status: "Inactive" });
+
+  const [loan] = await dataManager.getLoans();
+  const [member] = await dataManager.getMembers();
+  expect(loan.RemainingLoan).toBe(8000);
+  expect(member.Status).toBe("Inactive");
+});
+
+test("saves only changed settings and keeps their history", async () => {
+  expect((await dataManager.getSettings()).savingOptions).toEqual(["500"]);
+
+  await dataManager.saveSettings({
+    savingOptions: ["600"],
+    paymentMethods: ["Gpay", "PhonePe", "Cash"],
+  });
+
+  const settings = await dataManager.getSettings();
+  const history = await dataManager.getSettingsHistory();
+  expect(settings.savingOptions).toEqual(["600"]);
+  expect(history.map((h) => h.key)).toEqual(["savingOptions"]);
+});
+
+test("records every write in the audit log", async () => {
+  await dataManager.getLoans();
+  await dataManager.addTransaction({ Name: "Sunita", Saving: "500" });
+  await dataManager.updateLoan("1", { Status: "Closed" });
+  await dataManager.getTransactions();
+  await dataManager.deleteTransactionById("1");
+
+  const log = await dataManager.getAuditLog();
+  expect(log.map((e) => [e.Action, e.Entity, e.Member])).toEqual([
+    ["Create", COLLECTIONS.TRANSACTIONS, "Sunita"],
+    ["Update", COLLECTIONS.LOANS, "Sunita"],
+    ["Delete", COLLECTIONS.TRANSACTIONS, "Sunita"],
+  ]);
+  expect(JSON.parse(log[1].Before)).toEqual({ Status: "Active" });
+  expect(JSON.parse(log[1].After)).toEqual({ Status: "Closed" });
+});
+
+test("reverses a payment and reconciles the stored loan balance", async () => {
+  await dataManager.updateLoan("1", {
+    Date: "2024-01-05",
+    RemainingLoan: 9000,
+  });
+  await dataManager.addTransaction({
+    Date: "2024-02-10",
+    Name: "Sunita",
+    Saving: "500",
+    LoanEmi: "1000",
+  });
+
+  await expect(dataManager.reverseTransaction("1", {})).rejects.toThrow(
+    "reason"
+  );
+  await dataManager.reverseTransaction("1", {
+    reason: "Wrong amount",
+    correction: { Date: "2024-02-10", Saving: "500", LoanEmi: "1500" },
+  });
+
+  const transactions = await dataManager.getTransactions();
+  const [loan] = await dataManager.getLoans();
+  expect(transactions.map((t) => [t.LoanEmi, t.ReversalOf || ""])).toEqual([
+    ["1000", ""],
+    ["-1000", "1"],
+    ["1500", ""],
+  ]);
+  expect(loan.RemainingLoan).toBe(9000);
+  await expect(
+    dataManager.reverseTransaction("1", { reason: "Again" })
+  ).rejects.toThrow("already been reversed");
+
+  expect(await dataManager.reconcileLoans()).toBe(1);
+  const [reconciled] = await dataManager.getLoans();
+  expect(reconciled).toMatchObject({
+    RemainingLoan: 8500,
+    Status: "Disbursed",
+  });
+  expect(await dataManager.reconcileLoans()).toBe(0);
+});
+
+test("reopens a loan the ledger closed once its repayment is reversed", async () => {
+  await dataManager.updateLoan("1", { LoanAmount: "1000", RemainingLoan: 1000 });
+  await dataManager.addTransaction({ Name: "Sunita", LoanEmi: "1000" });
+
+  expect(await dataManager.reconcileLoans()).toBe(1);
+  expect((await dataManager.getLoans())[0]).toMatchObject({
+    Status: "Closed",
+    RemainingLoan: 0,
+  });
+
+  await dataManager.reverseTransaction("1", { reason: "Bounced cheque" });
+  expect(await dataManager.reconcileLoans()).toBe(1);
+  expect((await dataManager.getLoans())[0]).toMatchObject({
+    Status: "Disbursed",
+    RemainingLoan: 1000,
+  });
+});
+
+test("moves a loan application through approval and disbursement", async () => {
+  await dataManager.addLoan({
+    Name: "Sunita",
+    Date: "2024-03-01",
+    LoanAmount: "6000",
+    Tenure: "6",
+    Status: "Applied",
+  });
+
+  await expect(
+    dataManager.advanceLoan("2", "Approved", { date: "2024-03-10" })
+  ).rejects.toThrow("who approved");
+  await dataManager.advanceLoan("2", "Approved", {
+    date: "2024-03-10",
+    approvers: "Lata, Rekha",
+    resolutionNo: "R-4",
+  });
+  await dataManager.advanceLoan("2", "Disbursed", {
+    date: "2024-03-12",
+    paymentMode: "Cash",
+  });
+
+  const loan = (await dataManager.getLoans()).find((l) => l.Id === "2");
+  expect(loan).toMatchObject({
+    Status: "Disbursed",
+    ApprovedBy: "Lata, Rekha",
+    Date: "2024-03-12",
+    RemainingLoan: 6000,
+    Emi: 1000,
+  });
+});
+
+test("settles a leaving member and archives them", async () => {
+  const adapter = createMemoryAdapter({
+    seed: {
+      [COLLECTIONS.MEMBERS]: [
+        { Id: "1", Name: "Sunita", Status: "Active" },
+        { Id: "2", Name: "Asha", Status: "Active" },
+      ],
+      [COLLECTIONS.LOANS]: [
+        {
+          Id: "1",
+          Name: "Sunita",
+          Date: "2024-01-05",
+          LoanAmount: "2000",
+          Status: "Disbursed",
+        },
+      ],
+      [COLLECTIONS.TRANSACTIONS]: [
+        { Id: "1", Name: "Sunita", Date: "2024-01-10", Saving: "3000" },
+        { Id: "2", Name: "Asha", Date: "2024-01-10", Saving: "1000" },
+        { Id: "3", Name: "Asha", Date: "2024-02-10", Interest: "100" },
+      ],
+    },
+  });
+  dataManager.useStorage(adapter);
+
+  const settlement = await dataManager.settleMember("Sunita", {
+    date: "2024-03-01",
+    paymentMethod: "Cash",
+  });
+
+  // ₹3000 saved + ₹75 interest share - ₹2000 loan
+  expect(settlement.net).toBe(1075);
+  const [loan] = await dataManager.getLoans();
+  const [member] = await dataManager.getMembers();
+  expect(loan).toMatchObject({ Status: "Closed", RemainingLoan: 0 });
+  expect(member.Status).toBe("Inactive");
+  expect(await adapter.list(COLLECTIONS.DELETED_MEMBERS)).toEqual([
+    expect.objectContaining({ Name: "Sunita", NetSettlement: 1075 }),
+  ]);
+  await expect(dataManager.settleMember("Sunita")).rejects.toThrow(
+    "not an active member"
+  );
+});
+
+test("finishes an interrupted settlement without posting it twice", async () => {
+  dataManager.useStorage(
+    createMemoryAdapter({
+      seed: {
+        [COLLECTIONS.MEMBERS]: [{ Id: "1", Name: "Sunita", Status: "Active" }],
+        [COLLECTIONS.LOANS]: [
+          {
+            Id: "1",
+            Name: "Sunita",
+            Date: "2024-01-05",
+            LoanAmount: "2000",
+            Status: "Disbursed",
+          },
+        ],
+        [COLLECTIONS.TRANSACTIONS]: [
+          { Id: "1", Name: "Sunita", Date: "2024-01-10", Saving: "3000" },
+        ],
+      },
+    })
+  );
+  jest
+    .spyOn(dataManager, "updateMember")
+    .mockRejectedValueOnce(new Error("Sheet locked"));
+
+  await expect(
+    dataManager.settleMember("Sunita", { date: "2024-03-01" })
+  ).rejects.toThrow("Sheet locked");
+  const settlement = await dataManager.settleMember("Sunita", {
+    date: "2024-03-05",
+  });
+
+  expect(settlement.net).toBe(1000);
+  expect(await dataManager.getTransactions()).toHaveLength(3);
+  expect((await dataManager.getMembers())[0]).toMatchObject({
+    Status: "Inactive",
+    DeactivatedOn: "2024-03-01",
+  });
+});
+
+test("closes a financial year once", async () => {
+  await dataManager.addTransaction({
+    Name: "Sunita",
+    Date: "2024-05-10",
+    Saving: "1000",
+    Interest: "200",
+  });
+  const distribution = computeDistribution({
+    members: await dataManager.getMembers(),
+    transactions: await dataManager.getTransactions(),
+    startYear: 2024,
+  });
+
+  await dataManager.closeYear(distribution, [{ name: "Sunita", share: 200 }]);
+
+  const [, dividend] = await dataManager.getTransactions();
+  const [snapshot] = await dataManager.getYearEnds();
+  expect(dividend).toMatchObject({ Saving: 200, DividendYear: "2024-25" });
+  expect(snapshot).toMatchObject({ Year: "2024-25", Distributed: 200 });
+  await expect(
+    dataManager.closeYear(distribution, [{ name: "Sunita", share: 200 }])
+  ).rejects.toThrow("already closed");
+});
+
+test("refuses unfinished years and entries dated in a closed year", async () => {
+  await dataManager.addTransaction({
+    Name: "Sunita",
+    Date: "2024-05-10",
+    Saving: "1000",
+    Interest: "200",
+  });
+  const members = await dataManager.getMembers();
+  const running = computeDistribution({
+    members,
+    transactions: await dataManager.getTransactions(),
+    startYear: new Date().getFullYear(),
+  });
+  await expect(
+    dataManager.closeYear(running, [{ name: "Sunita", share: 0 }])
+  ).rejects.toThrow("has not ended yet");
+
+  const distribution = computeDistribution({
+    members,
+    transactions: await dataManager.getTransactions(),
+    startYear: 2024,
+  });
+  await dataManager.closeYear(distribution, [{ name: "Sunita", share: 200 }]);
+
+  await expect(
+    dataManager.addTransaction({
+      Name: "Sunita",
+      Date: "2025-03-31",
+      Interest: "50",
+    })
+  ).rejects.toThrow("2024-25 is closed");
+  await expect(
+    dataManager.reverseTransaction("1", { reason: "Wrong member" })
+  ).rejects.toThrow("2024-25 is closed");
+
+  // Reversing the dividend leaves the year's income as it was
+  await dataManager.reverseTransaction("2", { reason: "Posted twice" });
+  await dataManager.addTransaction({
+    Name: "Sunita",
+    Date: "2025-04-01",
+    Saving: "500",
+  });
+  expect(await dataManager.getTransactions()).toHaveLength(4);
+});
+
+describe("users", () => {
+  afterEach(() => auth.signOut());
+
+  test("signs in with a PIN and attributes writes to the user", async () => {
+    await expect(
+      dataManager.addUser({ Name: "Meena", Role: "Treasurer", Pin: "123456" })
+    ).rejects.toThrow("President");
+
+    await dataManager.addUser({
+      Name: "Lata",
+      Role: "President",
+      Pin: "111111",
+    });
+    await expect(dataManager.login("lata", "000000")).rejects.toThrow(
+      "Wrong name or PIN"
+    );
+
+    const user = await dataManager.login("lata", "111111");
+    expect(user).toMatchObject({ Name: "Lata", Role: "President" });
+
+    await dataManager.addUser({
+      Name: "Meena",
+      Role: "Treasurer",
+      Pin: "123456",
+    });
+    await dataManager.login("Meena", "123456");
+    await dataManager.addTransaction({ Name: "Sunita", Saving: "500" });
+    await dataManager.updateLoan("1", { RemainingLoan: 9000 });
+
+    const [transaction] = await dataManager.getTransactions();
+    const [loan] = await dataManager.getLoans();
+    expect(transaction.RecordedBy).toBe("Meena");
+    expect(loan.UpdatedBy).toBe("Meena");
+    await expect(
+      dataManager.addUser({ Name: "Asha", Role: "Member", Pin: "1" })
+    ).rejects.toThrow("Only the President");
+  });
+
+  test("confirms a second approver without switching users", async () => {
+    await dataManager.addUser({
+      Name: "Lata",
+      Role: "President",
+      Pin: "111111",
+    });
+    await dataManager.login("Lata", "111111");
+    await dataManager.addUser({
+      Name: "Meena",
+      Role: "Treasurer",
+      Pin: "222222",
+    });
+    await dataManager.addUser({
+      Name: "Rekha",
+      Role: "Secretary",
+      Pin: "333333",
+    });
+
+    await expect(
+      dataManager.verifyApprover("Lata", "111111", "manageLoans")
+    ).rejects.toThrow("someone other than you");
+    await expect(
+      dataManager.verifyApprover("Meena", "222222", "manageLoans")
+    ).rejects.toThrow("not allowed");
+    await expect(
+      dataManager.verifyApprover("Rekha", "999999", "manageLoans")
+    ).rejects.toThrow("Wrong approver");
+    expect(
+      await dataManager.verifyApprover("rekha", "333333", "manageLoans")
+    ).toBe("Rekha");
+    expect(auth.getUser().Name).toBe("Lata");
+  });
+
+  test("refuses short PINs and upgrades hashes from before PBKDF2", async () => {
+    await expect(
+      dataManager.addUser({ Name: "Lata", Role: "President", Pin: "1111" })
+    ).rejects.toThrow("at least 6 digits");
+
+    // Salted SHA-256 of "abc:1111", as stored before
+    dataManager.useStorage(
+      createMemoryAdapter({
+        seed: {
+          [COLLECTIONS.USERS]: [
+            {
+              Id: "1",
+              Name: "Lata",
+              Role: "President",
+              Salt: "abc",
+              PinHash:
+                "ee17fc27860546c56dbcd761ed3bccd2738021c652fd6af180a0a00504d996f0",
+            },
+          ],
+        },
+      })
+    );
+
+    await dataManager.login("Lata", "1111");
+    const [user] = await dataManager.getUsers(true);
+    expect(user.PinHash).toMatch(/^pbkdf2:600000:[0-9a-f]{64}$/);
+    expect(user.Salt).not.toBe("abc");
+    expect(await dataManager.login("Lata", "1111")).toMatchObject({
+      Name: "Lata",
+    });
+  });
+});
+
+describe("groups", () => {
+  afterEach(() => {
+    dataManager.switchGroup("default");
+    localStorage.clear();
+  });
+
+  test("keeps each group's data apart and summarizes them all", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const first = groups.add({ name: "Mahila Gat", backend: "local" });
+    const second = groups.add({ name: "Mahila Gat", backend: "local" });
+    expect(second.id).toBe("mahila-gat-2");
+
+    dataManager.switchGroup(first.id);
+    await dataManager.addMember({ Name: "Asha", Status: "Active" });
+    await dataManager.addTransaction({ Name: "Asha", Saving: "500" });
+    expect(await dataManager.getMembers()).toHaveLength(1);
+
+    dataManager.switchGroup(second.id);
+    expect(dataManager.getActiveGroup().id).toBe(second.id);
+    expect(await dataManager.getMembers()).toEqual([]);
+
+    const overview = await dataManager.getGroupOverview();
+    const byId = Object.fromEntries(overview.map((o) => [o.group.id, o]));
+    expect(byId[first.id]).toMatchObject({ members: 1, corpus: 500 });
+    expect(byId[second.id]).toMatchObject({ members: 0, corpus: 0 });
+  });
+});
+
+describe("offline outbox", () => {
+  // Remote backend whose writes fail like fetch() does without a network
+  const createFlakyRemote = (backing) => {
+    const remote = { ...backing, remote: true, offline: true };
+    ["insert", "update", "remove"].forEach((op) => {
+      remote[op] = (...args) =>
+        remote.offline
+          ? Promise.reject(new TypeError("Failed to fetch"))
+          : backing[op](...args);
+    });
+    return remote;
+  };
+
+  const outbox = () => JSON.parse(localStorage.getItem("syncOutbox"));
+
+  beforeEach(() => localStorage.clear());
+
+  test("queues writes that fail for lack of network and replays them", async () => {
+    const backing = createMemoryAdapter();
+    const remote = createFlakyRemote(backing);
+    dataManager.useStorage(remote);
+
+    const result = await dataManager.addTransaction({ Name: "Sunita" });
+    expect(result.queued).toBe(true);
+    expect(await backing.list(COLLECTIONS.TRANSACTIONS)).toHaveLength(0);
+
+    remote.offline = false;
+    await dataManager.syncPending();
+
+    expect(await backing.list(COLLECTIONS.TRANSACTIONS)).toHaveLength(1);
+    expect(outbox()).toEqual([]);
+  });
+
+  test("flags queued updates whose remote row changed meanwhile", async () => {
+    const backing = createMemoryAdapter({
+      seed: { [COLLECTIONS.LOANS]: [{ Id: "1", RemainingLoan: "5000" }] },
+    });
+    const remote = createFlakyRemote(backing);
+    dataManager.useStorage(remote);
+    await dataManager.getLoans();
+
+    await dataManager.updateLoan("1", { RemainingLoan: "4000" });
+
+    // Someone else edits the sheet before we reconnect
+    await backing.update(COLLECTIONS.LOANS, "Id", "1", { RemainingLoan: "3000" });
+    remote.offline = false;
+    await dataManager.syncPending();
+
+    expect(outbox()[0].status).toBe("conflict");
+    const [loan] = await backing.list(COLLECTIONS.LOANS);
+    expect(loan.RemainingLoan).toBe("3000");
+  });
+
+  test("holds later writes behind a conflict but not new ones", async () => {
+    const backing = createMemoryAdapter({
+      seed: { [COLLECTIONS.LOANS]: [{ Id: "1", RemainingLoan: "5000" }] },
+    });
+    const remote = createFlakyRemote(backing);
+    dataManager.useStorage(remote);
+    await dataManager.getLoans();
+
+    await dataManager.updateLoan("1", { RemainingLoan: "4000" });
+    await dataManager.addTransaction({ Name: "Sunita", LoanEmi: "1000" });
+    await backing.update(COLLECTIONS.LOANS, "Id", "1", { RemainingLoan: "3000" });
+    remote.offline = false;
+    await dataManager.syncPending();
+
+    expect(outbox().map((e) => e.status)).toEqual(["conflict", "pending"]);
+    expect(await backing.list(COLLECTIONS.TRANSACTIONS)).toHaveLength(0);
+
+    // Once only the conflict is left, new writes go straight through
+    dataManager.discardSyncEntry(outbox()[1].id);
+    const result = await dataManager.addTransaction({ Name: "Sunita" });
+    expect(result.queued).toBeUndefined();
+    expect(await backing.list(COLLECTIONS.TRANSACTIONS)).toHaveLength(1);
+  });
+
+  test("surfaces errors that are not network failures", async () => {
+    const remote = createFlakyRemote(createMemoryAdapter());
+    remote.insert = () => Promise.reject(new TypeError("x is undefined"));
+    dataManager.useStorage(remote);
+
+    await expect(
+      dataManager.addTransaction({ Name: "Sunita" })
+    ).rejects.toThrow("x is undefined");
+    expect(outbox()).toBeNull();
+  });
+
+  test("treats a year closed offline as closed until it syncs", async () => {
+    const remote = createFlakyRemote(createMemoryAdapter());
+    dataManager.useStorage(remote);
+    const distribution = computeDistribution({
+      members: [{ Name: "Sunita" }],
+      transactions: [
+        { Name: "Sunita", Date: "2024-05-10", Saving: "1000", Interest: "200" },
+      ],
+      startYear: 2024,
+    });
+    const shares = [{ name: "Sunita", share: 200 }];
+
+    const result = await dataManager.closeYear(distribution, shares);
+    expect(result.queued).toBe(true);
+    expect(await dataManager.getYearEnds(true)).toEqual([
+      expect.objectContaining({ Year: "2024-25", Queued: true }),
+    ]);
+    await expect(dataManager.closeYear(distribution, shares)).rejects.toThrow(
+      "already closed"
+    );
+  });
+});
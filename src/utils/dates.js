@@ -0,0 +1,51 @@
+// dates.js - Date helpers for sheet values
+// Sheet dates come as "YYYY-MM-DD" (date inputs), ISO timestamps, or
+// "DD/MM/YYYY" when typed into the Google Sheet by hand
+
+/**
+ * Parse a sheet date value into a local Date (null when empty/invalid)
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const text = String(value).trim();
+
+  const dmy = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (dmy) {
+    return new Date(Number(dmy[3]), Number(dmy[2]) - 1, Number(dmy[1]));
+  }
+
+  const ymd = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (ymd) {
+    return new Date(Number(ymd[1]), Number(ymd[2]) - 1, Number(ymd[3]));
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : parsed;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * "YYYY-MM-DD" for a Date (local time), as used by date inputs
+ */
+export function toISODate(date) {
+  if (!date) return "";
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * "YYYY-MM" month key for a sheet date value
+ */
+export function toMonthKey(value) {
+  const date = parseDate(value);
+  return date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}` : "";
+}
+
+/**
+ * Today's date as "YYYY-MM-DD"
+ */
+export function today() {
+  return toISODate(new Date());
+}
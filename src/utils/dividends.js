@@ -0,0 +1,188 @@
+// dividends.js - Year-end distribution of the group's interest income
+// At the close of a financial year the interest and late fees earned in
+// it are shared out in proportion to each active member's savings: their
+// balance at year end, or the average of their month-end balances
+// (month-weighted) so money saved late in the year earns less.
+// Shares are credited to savings; the matching negative Interest keeps
+// the group's cash unchanged. Each closed year keeps a locked snapshot in
+// the "Year End" sheet.
+
+import { parseDate, toISODate } from "./dates";
+
+const amount = (value) => Number(value || 0);
+
+export const DIVIDEND_METHODS = {
+  SAVINGS_BALANCE: "Savings balance",
+  MONTH_WEIGHTED: "Month-weighted savings",
+};
+
+/**
+ * Financial year starting in `startMonth` (1-12) of `startYear`:
+ * { label, from, to } with "YYYY-MM-DD" bounds, e.g. "2024-25"
+ */
+export function financialYear(startYear, startMonth = 4) {
+  const year = Number(startYear);
+  const month = Number(startMonth) || 1;
+  const from = new Date(year, month - 1, 1);
+  const to = new Date(year + 1, month - 1, 0);
+
+  return {
+    label: month === 1 ? String(year) : `${year}-${String(year + 1).slice(2)}`,
+    from: toISODate(from),
+    to: toISODate(to),
+  };
+}
+
+const within = (t, from, to) => {
+  const day = toISODate(parseDate(t.Date));
+  return day >= from && day <= to;
+};
+
+// Savings of `name` up to and including `day`
+const balanceOn = (memberTxns, day) =>
+  memberTxns
+    .filter((t) => toISODate(parseDate(t.Date)) <= day)
+    .reduce((s, t) => s + amount(t.Saving), 0);
+
+/**
+ * Interest and late fees earned in the year; earlier distributions are
+ * transfers to savings, not income
+ */
+export function yearIncome(transactions, { from, to }) {
+  return transactions
+    .filter((t) => !t.DividendYear && within(t, from, to))
+    .reduce((s, t) => s + amount(t.Interest) + amount(t.LateFee), 0);
+}
+
+/**
+ * Proposed distribution for a year:
+ * { label, from, to, method, income, totalBasis, rows, distributed }
+ * rows: [{ name, basis, share }] per active member; shares are rounded
+ * down, so a few rupees may stay undistributed
+ */
+export function computeDistribution({
+  members = [],
+  transactions = [],
+  startYear,
+  startMonth = 4,
+  method = DIVIDEND_METHODS.SAVINGS_BALANCE,
+}) {
+  const year = financialYear(startYear, startMonth);
+  const income = Math.max(yearIncome(transactions, year), 0);
+
+  // Month ends of the year, for the month-weighted basis
+  const monthEnds = Array.from({ length: 12 }, (_, i) => {
+    const from = parseDate(year.from);
+    return toISODate(new Date(from.getFullYear(), from.getMonth() + i + 1, 0));
+  });
+
+  const rows = members
+    .filter((m) => m.Name && m.Status !== "Inactive")
+    .map((m) => {
+      const name = m.Name.trim();
+      const memberTxns = transactions.filter((t) => t.Name?.trim() === name);
+      const basis =
+        method === DIVIDEND_METHODS.MONTH_WEIGHTED
+          ? Math.round(
+              monthEnds.reduce((s, day) => s + balanceOn(memberTxns, day), 0) /
+                12
+            )
+          : balanceOn(memberTxns, year.to);
+      return { name, basis: Math.max(basis, 0) };
+    });
+
+  const totalBasis = rows.reduce((s, row) => s + row.basis, 0);
+  rows.forEach((row) => {
+    row.share =
+      totalBasis > 0 ? Math.floor((income * row.basis) / totalBasis) : 0;
+  });
+
+  return {
+    ...year,
+    method,
+    income,
+    totalBasis,
+    rows,
+    distributed: rows.reduce((s, row) => s + row.share, 0),
+  };
+}
+
+/**
+ * Check the committee's final shares ([{ name, share }]); error or null
+ */
+export function validateShares(distribution, shares) {
+  if (shares.some((s) => isNaN(Number(s.share)) || Number(s.share) < 0)) {
+    return "Shares must be zero or more.";
+  }
+  const total = shares.reduce((s, row) => s + amount(row.share), 0);
+  if (total > distribution.income) {
+    return `Shares add up to ₹${total}, more than the ₹${distribution.income} earned.`;
+  }
+  return null;
+}
+
+/**
+ * Credit entries posting the shares on the last day of the year, marked as
+ * payouts so they count as neither repayments nor collections
+ */
+export function distributionEntries(distribution, shares) {
+  return shares
+    .filter((row) => amount(row.share) > 0)
+    .map((row) => ({
+      Date: distribution.to,
+      Name: row.name,
+      Saving: amount(row.share),
+      Interest: -amount(row.share),
+      DividendYear: distribution.label,
+      Payout: "Dividend",
+      Notes: `Dividend for ${distribution.label}`,
+    }));
+}
+
+/**
+ * Year End row recording what was distributed and how
+ */
+export function yearEndSnapshot(distribution, shares, details = {}) {
+  const byName = Object.fromEntries(
+    distribution.rows.map((row) => [row.name, row])
+  );
+
+  return {
+    Year: distribution.label,
+    From: distribution.from,
+    To: distribution.to,
+    Method: distribution.method,
+    Income: distribution.income,
+    Distributed: shares.reduce((s, row) => s + amount(row.share), 0),
+    Shares: JSON.stringify(
+      shares.map((row) => ({
+        name: row.name,
+        basis: byName[row.name]?.basis || 0,
+        computed: byName[row.name]?.share || 0,
+        share: amount(row.share),
+      }))
+    ),
+    PostedOn: details.postedOn || "",
+    PostedBy: details.postedBy || "",
+    Locked: "Yes",
+  };
+}
+
+/**
+ * The snapshot of a closed year, or null while it is open
+ */
+export function findClosedYear(snapshots = [], label) {
+  return (snapshots || []).find((row) => row.Year === label) || null;
+}
+
+/**
+ * The snapshot of the closed year `date` falls in, or null
+ */
+export function closedYearOn(snapshots = [], date) {
+  const parsed = parseDate(date);
+  if (!parsed) return null;
+  const day = toISODate(parsed);
+  return (
+    (snapshots || []).find((row) => day >= row.From && day <= row.To) || null
+  );
+}
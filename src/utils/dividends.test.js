@@ -0,0 +1,181 @@
+import {
+  DIVIDEND_METHODS,
+  financialYear,
+  computeDistribution,
+  validateShares,
+  distributionEntries,
+  yearEndSnapshot,
+  findClosedYear,
+  closedYearOn,
+} from "./dividends";
+import { buildArrearsReport } from "./arrears";
+import { calculateDues } from "./dues";
+import { withDerivedBalances } from "./loanBalances";
+import { buildMonthlyCollection } from "./reports";
+
+const members = [
+  { Name: "Sunita", Status: "Active" },
+  { Name: "Asha", Status: "Active" },
+  { Name: "Rekha", Status: "Inactive" },
+];
+const transactions = [
+  { Name: "Sunita", Date: "2024-04-10", Saving: "6000" },
+  { Name: "Asha", Date: "2024-10-10", Saving: "6000" },
+  { Name: "Rekha", Date: "2024-04-10", Saving: "3000" },
+  { Name: "Asha", Date: "2024-11-05", Interest: "900" },
+  { Name: "Sunita", Date: "2025-01-05", LateFee: "100" },
+  // Outside the year
+  { Name: "Sunita", Date: "2024-03-05", Interest: "500" },
+];
+
+test("works out the financial year bounds", () => {
+  expect(financialYear(2024)).toEqual({
+    label: "2024-25",
+    from: "2024-04-01",
+    to: "2025-03-31",
+  });
+  expect(financialYear(2024, 1).label).toBe("2024");
+});
+
+test("shares the year's income by savings balance or month-weighted", () => {
+  const byBalance = computeDistribution({
+    members,
+    transactions,
+    startYear: 2024,
+  });
+  expect(byBalance.income).toBe(1000);
+  expect(byBalance.rows).toEqual([
+    { name: "Sunita", basis: 6000, share: 500 },
+    { name: "Asha", basis: 6000, share: 500 },
+  ]);
+
+  // Asha saved for 6 of the 12 months
+  const weighted = computeDistribution({
+    members,
+    transactions,
+    startYear: 2024,
+    method: DIVIDEND_METHODS.MONTH_WEIGHTED,
+  });
+  expect(weighted.rows).toEqual([
+    { name: "Sunita", basis: 6000, share: 666 },
+    { name: "Asha", basis: 3000, share: 333 },
+  ]);
+  expect(weighted.distributed).toBe(999);
+});
+
+test("posts the reviewed shares and snapshots the year", () => {
+  const distribution = computeDistribution({
+    members,
+    transactions,
+    startYear: 2024,
+  });
+  const shares = [
+    { name: "Sunita", share: 550 },
+    { name: "Asha", share: 500 },
+  ];
+  expect(validateShares(distribution, shares)).toMatch("more than the ₹1000");
+
+  shares[0].share = 450;
+  expect(validateShares(distribution, shares)).toBeNull();
+  expect(distributionEntries(distribution, shares)[0]).toEqual({
+    Date: "2025-03-31",
+    Name: "Sunita",
+    Saving: 450,
+    Interest: -450,
+    DividendYear: "2024-25",
+    Payout: "Dividend",
+    Notes: "Dividend for 2024-25",
+  });
+
+  const snapshot = yearEndSnapshot(distribution, shares, {
+    postedBy: "Lata",
+  });
+  expect(snapshot).toMatchObject({
+    Year: "2024-25",
+    Income: 1000,
+    Distributed: 950,
+    Locked: "Yes",
+  });
+  expect(JSON.parse(snapshot.Shares)[0]).toEqual({
+    name: "Sunita",
+    basis: 6000,
+    computed: 500,
+    share: 450,
+  });
+  expect(findClosedYear([snapshot], "2024-25")).toBe(snapshot);
+  expect(findClosedYear([snapshot], "2025-26")).toBeNull();
+  expect(closedYearOn([snapshot], "31/03/2025")).toBe(snapshot);
+  expect(closedYearOn([snapshot], "2025-04-01")).toBeNull();
+
+  // Posted dividends are not income of the year again
+  const after = [...transactions, ...distributionEntries(distribution, shares)];
+  expect(
+    computeDistribution({ members, transactions: after, startYear: 2024 })
+      .income
+  ).toBe(1000);
+});
+
+test("a dividend neither repays a borrower's loan nor counts as collected", () => {
+  // ₹12000 over 12 months at 1% flat, repaid on schedule
+  const loan = {
+    Id: "1",
+    Name: "Sunita",
+    Date: "2024-10-05",
+    LoanAmount: "12000",
+    InterestRate: "1",
+    InterestMethod: "Flat",
+    Tenure: "12",
+    Status: "Disbursed",
+  };
+  const repayments = [
+    "2024-11-05",
+    "2024-12-05",
+    "2025-01-05",
+    "2025-02-05",
+    "2025-03-05",
+  ].map((date) => ({
+    Name: "Sunita",
+    Date: date,
+    LoanEmi: "1000",
+    Interest: "120",
+    LoanId: "1",
+  }));
+  const before = [...transactions, ...repayments];
+  const distribution = computeDistribution({
+    members,
+    transactions: before,
+    startYear: 2024,
+  });
+  const after = [
+    ...before,
+    ...distributionEntries(distribution, distribution.rows),
+  ];
+  const loans = [loan];
+
+  expect(distribution.rows[0].share).toBeGreaterThan(0);
+  expect(withDerivedBalances(loans, after)[0].InterestPaid).toBe(600);
+  expect(
+    buildArrearsReport({
+      loans,
+      transactions: after,
+      asOf: new Date(2025, 3, 1),
+    }).rows[0]
+  ).toMatchObject({ overdueInterest: 0, overdue: 0 });
+
+  const dues = calculateDues({
+    memberName: "Sunita",
+    paymentDate: "2025-03-31",
+    loans,
+    transactions: after,
+    expectedSaving: 500,
+  });
+  expect(dues).toMatchObject({ saving: 500, interest: 0 });
+
+  const collection = buildMonthlyCollection({
+    month: "2025-03",
+    members,
+    transactions: after,
+    loans,
+  });
+  expect(collection.rows.map((row) => row.saving)).toEqual([0, 0]);
+});
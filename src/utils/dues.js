@@ -0,0 +1,150 @@
+// dues.js - What a member owes for a payment date
+// Expected saving, EMI and interest from the active loan's repayment
+// schedule, and late fees from the group's late-fee rules
+// Loan balances and status are derived from the payments (loanBalances.js)
+
+import { parseDate, toISODate, toMonthKey } from "./dates";
+import { getLoanSchedule } from "./loanSchedule";
+import { expectedEmiForLoan } from "./reports";
+import { calculateLateFees, APPLIES_TO } from "./lateFeeRules";
+import {
+  isPayout,
+  loanForTransaction,
+  withDerivedBalances,
+} from "./loanBalances";
+import { isOpenLoan } from "./loanWorkflow";
+import { savingOptions } from "../data/AddEntryData";
+
+const amount = (value) => Number(value || 0);
+
+/**
+ * EMI and interest due on a loan up to the end of the payment's month:
+ * scheduled amounts for every installment due by then, less what the
+ * member has already paid since the loan was taken
+ */
+export function calculateLoanDues(loan, memberTransactions, paymentDate) {
+  const paid = parseDate(paymentDate);
+  const loanDate = parseDate(loan.Date);
+  const sinceLoan = memberTransactions.filter(
+    (t) => !loanDate || parseDate(t.Date) >= loanDate
+  );
+  const principalPaid = sinceLoan.reduce((s, t) => s + amount(t.LoanEmi), 0);
+  const interestPaid = sinceLoan.reduce((s, t) => s + amount(t.Interest), 0);
+
+  const schedule = getLoanSchedule(loan);
+
+  // Legacy loans without terms: expect the usual EMI, interest unknown
+  if (schedule.length === 0) {
+    // Net of reversals
+    const paidThisMonth =
+      memberTransactions
+        .filter((t) => toMonthKey(t.Date) === toMonthKey(paid))
+        .reduce((s, t) => s + amount(t.LoanEmi), 0) > 0;
+    return {
+      loanEmi: paidThisMonth ? 0 : expectedEmiForLoan(loan, memberTransactions),
+      interest: 0,
+      installments: [],
+    };
+  }
+
+  const monthEnd = toISODate(
+    new Date(paid.getFullYear(), paid.getMonth() + 1, 0)
+  );
+  const due = schedule.filter((row) => row.dueDate <= monthEnd);
+
+  const scheduledPrincipal = due.reduce((s, row) => s + row.principal, 0);
+  const scheduledInterest = due.reduce((s, row) => s + row.interest, 0);
+
+  // Installments not yet covered by what was paid
+  let covered = principalPaid;
+  const installments = due.filter((row) => {
+    covered -= row.principal;
+    return covered < 0;
+  });
+
+  return {
+    loanEmi: Math.max(scheduledPrincipal - principalPaid, 0),
+    interest: Math.max(scheduledInterest - interestPaid, 0),
+    installments,
+  };
+}
+
+/**
+ * Suggested values for a payment entry:
+ * { saving, loanEmi, interest, lateFee, lateFeeDetails, loan, installments,
+ *   activeLoans }
+ * Loan dues are for the loan the EMI goes to (`loanId`), by default the
+ * member's oldest active loan.
+ */
+export function calculateDues({
+  memberName,
+  paymentDate,
+  loanId = "",
+  loans = [],
+  transactions = [],
+  lateFeeRules = [],
+  expectedSaving = amount(savingOptions[0]),
+}) {
+  const name = memberName?.trim();
+  if (!name || !parseDate(paymentDate)) return null;
+
+  const month = toMonthKey(paymentDate);
+  const memberTxns = transactions.filter((t) => t.Name?.trim() === name);
+
+  const savedThisMonth = memberTxns
+    .filter((t) => toMonthKey(t.Date) === month && !isPayout(t))
+    .reduce((s, t) => s + amount(t.Saving), 0);
+
+  const balances = withDerivedBalances(loans, transactions);
+  const activeLoans = balances
+    .filter((l) => l.Name?.trim() === name && isOpenLoan(l))
+    .sort((a, b) => (parseDate(a.Date) || 0) - (parseDate(b.Date) || 0));
+  const loan =
+    activeLoans.find((l) => loanId && String(l.Id) === String(loanId)) ||
+    activeLoans[0];
+
+  // Only the payments made on this loan count towards its dues
+  const loanTxns = memberTxns.filter(
+    (t) => loanForTransaction(t, balances) === loan
+  );
+  const loanDues = loan
+    ? calculateLoanDues(loan, loanTxns, paymentDate)
+    : { loanEmi: 0, interest: 0, installments: [] };
+
+  const saving = Math.max(expectedSaving - savedThisMonth, 0);
+
+  // Each unpaid saving / installment is checked against its own month's
+  // rule; installments are late from their own due date, once it has passed
+  const lateItems = [];
+  if (saving > 0)
+    lateItems.push({ kind: APPLIES_TO.SAVING, month: paymentDate });
+  if (loanDues.installments.length > 0) {
+    const paidOn = toISODate(parseDate(paymentDate));
+    loanDues.installments
+      .filter((row) => row.dueDate < paidOn)
+      .forEach((row) =>
+        lateItems.push({
+          kind: APPLIES_TO.EMI,
+          month: row.dueDate,
+          dueDate: row.dueDate,
+        })
+      );
+  } else if (loanDues.loanEmi > 0) {
+    lateItems.push({ kind: APPLIES_TO.EMI, month: paymentDate });
+  }
+
+  const { lateFee, details } = calculateLateFees(
+    lateFeeRules,
+    lateItems,
+    paymentDate
+  );
+
+  return {
+    saving,
+    ...loanDues,
+    lateFee,
+    lateFeeDetails: details,
+    loan: loan || null,
+    activeLoans,
+  };
+}
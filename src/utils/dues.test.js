@@ -0,0 +1,161 @@
+import { calculateDues } from "./dues";
+import { generateSchedule } from "./loanSchedule";
+
+const loan = {
+  Id: "3",
+  Name: "Sunita",
+  Date: "2024-01-05",
+  LoanAmount: "10000",
+  Status: "Active",
+  Schedule: JSON.stringify(
+    generateSchedule({
+      principal: 10000,
+      monthlyRate: 2,
+      method: "Flat",
+      tenure: 10,
+      startDate: "2024-01-05",
+    })
+  ),
+};
+
+test("suggests the saving and the scheduled EMI and interest still due", () => {
+  const dues = calculateDues({
+    memberName: "Sunita",
+    paymentDate: "2024-03-08",
+    loans: [loan],
+    transactions: [
+      {
+        Date: "2024-02-09",
+        Name: "Sunita",
+        Saving: "500",
+        LoanEmi: "1000",
+        Interest: "200",
+      },
+    ],
+    expectedSaving: 500,
+  });
+
+  // Installment 2 was due on March 5th: one week late under the default rule
+  expect(dues).toMatchObject({
+    saving: 500,
+    loanEmi: 1000,
+    interest: 200,
+    lateFee: 20,
+  });
+  expect(dues.installments.map((i) => i.installment)).toEqual([2]);
+});
+
+test("adds up missed installments", () => {
+  const dues = calculateDues({
+    memberName: "Sunita",
+    paymentDate: "2024-04-10",
+    loans: [loan],
+    transactions: [{ Date: "2024-04-01", Name: "Sunita", Saving: "500" }],
+    expectedSaving: 500,
+  });
+
+  expect(dues).toMatchObject({ saving: 0, loanEmi: 3000, interest: 600 });
+});
+
+test("charges late fees on the saving and each overdue installment", () => {
+  const dues = calculateDues({
+    memberName: "Sunita",
+    paymentDate: "2024-04-12",
+    loans: [loan],
+    transactions: [{ Date: "2024-02-09", Name: "Sunita", LoanEmi: "1000" }],
+    lateFeeRules: [
+      {
+        Id: "1",
+        EffectiveFrom: "2024-01-01",
+        AppliesTo: "Both",
+        DueDay: "10",
+        GraceDays: "0",
+        FeeType: "Flat",
+        FeeAmount: "50",
+        Cap: "",
+      },
+    ],
+    expectedSaving: 500,
+  });
+
+  // April saving, March and April installments (due on the 5th)
+  expect(dues.lateFee).toBe(150);
+  expect(dues.lateFeeDetails.map((d) => d.dueDate)).toEqual([
+    "2024-04-10",
+    "2024-03-05",
+    "2024-04-05",
+  ]);
+});
+
+test("charges no EMI late fee before the installment's own due date", () => {
+  const lateLoan = {
+    ...loan,
+    Date: "2024-01-28",
+    Schedule: JSON.stringify(
+      generateSchedule({
+        principal: 10000,
+        monthlyRate: 2,
+        method: "Flat",
+        tenure: 10,
+        startDate: "2024-01-28",
+      })
+    ),
+  };
+  const rules = [
+    {
+      Id: "1",
+      EffectiveFrom: "2024-01-01",
+      AppliesTo: "EMI",
+      DueDay: "10",
+      GraceDays: "2",
+      FeeType: "Flat",
+      FeeAmount: "20",
+      Cap: "",
+    },
+  ];
+  const dues = (paymentDate) =>
+    calculateDues({
+      memberName: "Sunita",
+      paymentDate,
+      loans: [lateLoan],
+      lateFeeRules: rules,
+      expectedSaving: 0,
+    });
+
+  // Installment 1 is due on February 28th
+  expect(dues("2024-02-15")).toMatchObject({ loanEmi: 1000, lateFee: 0 });
+  expect(dues("2024-03-01").lateFee).toBe(0);
+  expect(dues("2024-03-04").lateFeeDetails).toEqual([
+    { kind: "EMI", dueDate: "2024-02-28", daysLate: 3, fee: 20 },
+  ]);
+});
+
+test("works out the dues of the loan an EMI is allocated to", () => {
+  const emergency = {
+    Id: "4",
+    Name: "Sunita",
+    Date: "2024-02-01",
+    LoanAmount: "3000",
+    Product: "Emergency",
+    Status: "Active",
+    Emi: "1000",
+  };
+  const transactions = [
+    { Date: "2024-02-09", Name: "Sunita", LoanEmi: "1000", LoanId: "3" },
+    { Date: "2024-02-20", Name: "Sunita", LoanEmi: "1000", LoanId: "4" },
+  ];
+  const dues = (loanId) =>
+    calculateDues({
+      memberName: "Sunita",
+      paymentDate: "2024-03-08",
+      loanId,
+      loans: [emergency, loan],
+      transactions,
+      expectedSaving: 0,
+    });
+
+  expect(dues().activeLoans.map((l) => l.Id)).toEqual(["3", "4"]);
+  expect(dues()).toMatchObject({ loanEmi: 1000, interest: 400 });
+  expect(dues("4").loan.Id).toBe("4");
+  expect(dues("4").loanEmi).toBe(1000);
+});
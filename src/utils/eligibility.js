@@ -0,0 +1,186 @@
+// eligibility.js - Loan eligibility from savings and repayment history
+// Checks how long the member has been in the group, their savings (less
+// what they owe or guarantee), late payments and defaults, and the cash
+// the group has free to lend.
+// Limits come from the group settings (see settings.js).
+
+import { parseDate, toISODate } from "./dates";
+import { isReversal, reversedIds } from "./corrections";
+import { calculateLoanDues } from "./dues";
+import {
+  deriveLoanBalance,
+  loanForTransaction,
+  withDerivedBalances,
+} from "./loanBalances";
+import { guarantorExposure } from "./guarantors";
+import { summarizeGroup } from "./reports";
+import { LOAN_STATES, isClosedByHand, loanStage } from "./loanWorkflow";
+
+const amount = (value) => Number(value || 0);
+
+// An active loan this many installments behind counts as a default
+export const MISSED_INSTALLMENTS_FOR_DEFAULT = 3;
+
+const monthsBetween = (from, to) =>
+  (to.getFullYear() - from.getFullYear()) * 12 +
+  (to.getMonth() - from.getMonth()) -
+  (to.getDate() < from.getDate() ? 1 : 0);
+
+/**
+ * When the member joined: JoinedOn, else their first recorded payment
+ */
+export function memberSince(member, memberTransactions = []) {
+  const joined = parseDate(member?.JoinedOn);
+  if (joined) return joined;
+
+  const dates = memberTransactions
+    .map((t) => parseDate(t.Date))
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  return dates[0] || null;
+}
+
+/**
+ * The member's loans that were written off or have fallen well behind
+ */
+export function findDefaults(memberLoans, memberTransactions, loans, asOf) {
+  return memberLoans.filter((loan) => {
+    const balance = deriveLoanBalance(loan, memberTransactions, loans);
+
+    // Closed by hand before the principal was repaid
+    if (isClosedByHand(loan)) {
+      return balance.principalPaid < balance.principal;
+    }
+    if (balance.status !== LOAN_STATES.DISBURSED) return false;
+
+    const { installments } = calculateLoanDues(
+      loan,
+      memberTransactions.filter((t) => loanForTransaction(t, loans) === loan),
+      asOf
+    );
+    return installments.length >= MISSED_INSTALLMENTS_FOR_DEFAULT;
+  });
+}
+
+/**
+ * Eligibility of `memberName` for a loan of `requested` rupees:
+ * { eligible, maxAmount, reasons, checks: [{ label, passed, detail }] }
+ * maxAmount is the most the savings multiple and the group's free cash
+ * allow; `eligible` also needs every history check to pass.
+ */
+export function checkEligibility({
+  memberName,
+  requested = 0,
+  members = [],
+  transactions = [],
+  loans = [],
+  settings,
+  asOf = new Date(),
+}) {
+  const name = memberName.trim();
+  const member = members.find((m) => m.Name?.trim() === name);
+  const reversed = reversedIds(transactions);
+  const memberTxns = transactions.filter((t) => t.Name?.trim() === name);
+  const counted = memberTxns.filter(
+    (t) => !isReversal(t) && !reversed.has(String(t.Id))
+  );
+  const memberLoans = loans.filter((l) => l.Name?.trim() === name);
+
+  const minMonths = amount(settings.minMembershipMonths[0]);
+  const multiple = amount(settings.savingsMultiple[0]);
+  const maxLate = amount(settings.maxLatePayments[0]);
+
+  // Membership age
+  const since = memberSince(member, memberTxns);
+  const months = since ? monthsBetween(since, asOf) : 0;
+
+  // Savings multiple, less what the member still owes and the unpaid
+  // loans they guarantee
+  const savings = memberTxns.reduce((s, t) => s + amount(t.Saving), 0);
+  const owed = memberLoans.reduce(
+    (s, l) => s + deriveLoanBalance(l, memberTxns, loans).outstanding,
+    0
+  );
+  const guaranteed = guarantorExposure(
+    name,
+    withDerivedBalances(loans, transactions)
+  );
+  const savingsLimit = Math.max(savings * multiple - owed - guaranteed, 0);
+
+  // Late payments over the past year
+  const yearAgo = new Date(
+    asOf.getFullYear() - 1,
+    asOf.getMonth(),
+    asOf.getDate()
+  );
+  const latePayments = counted.filter(
+    (t) => amount(t.LateFee) > 0 && parseDate(t.Date) >= yearAgo
+  ).length;
+
+  const defaults = findDefaults(memberLoans, memberTxns, loans, asOf);
+
+  // Group cash: everything paid in, less what is lent out and what
+  // approved loans not yet paid out have been promised
+  const group = summarizeGroup({ members, transactions, loans });
+  const promised = loans
+    .filter((l) => l.Name && loanStage(l) === LOAN_STATES.APPROVED)
+    .reduce((s, l) => s + amount(l.LoanAmount), 0);
+  const availableCash = Math.max(
+    group.corpus + group.interestEarned - group.loansOutstanding - promised,
+    0
+  );
+
+  const maxAmount = Math.min(savingsLimit, availableCash);
+
+  const checks = [
+    {
+      label: "Membership",
+      passed: months >= minMonths,
+      detail: since
+        ? `Member since ${toISODate(since)} (${months} months, ${minMonths} needed)`
+        : "No joining date or payments on record",
+    },
+    {
+      label: "Savings",
+      passed: amount(requested) <= savingsLimit,
+      detail: `₹${savings} saved × ${multiple}${
+        owed ? ` less ₹${owed} owed` : ""
+      }${
+        guaranteed ? ` less ₹${guaranteed} guaranteed` : ""
+      } allows ₹${savingsLimit}`,
+    },
+    {
+      label: "Late payments",
+      passed: latePayments <= maxLate,
+      detail: `${latePayments} in the past 12 months (${maxLate} allowed)`,
+    },
+    {
+      label: "Defaults",
+      passed: defaults.length === 0,
+      detail:
+        defaults.length === 0
+          ? "None"
+          : defaults
+              .map((l) => `Loan #${l.Id || "?"} of ₹${l.LoanAmount}`)
+              .join(", "),
+    },
+    {
+      label: "Group cash",
+      passed: amount(requested) <= availableCash,
+      detail: `₹${availableCash} available to lend${
+        promised ? ` (₹${promised} promised to approved loans)` : ""
+      }`,
+    },
+  ];
+
+  const reasons = checks
+    .filter((c) => !c.passed)
+    .map((c) => `${c.label}: ${c.detail}`);
+
+  return {
+    eligible: reasons.length === 0,
+    maxAmount,
+    reasons,
+    checks,
+  };
+}
@@ -0,0 +1,125 @@
+import { checkEligibility, findDefaults } from "./eligibility";
+import { DEFAULT_SETTINGS } from "./settings";
+
+const asOf = new Date(2024, 11, 15);
+
+const members = [
+  { Name: "Sunita", Status: "Active", JoinedOn: "2023-01-01" },
+  { Name: "Asha", Status: "Active" },
+];
+
+const monthly = (name, months, extra = {}) =>
+  Array.from({ length: months }, (_, i) => ({
+    Name: name,
+    Date: `2024-${String(i + 1).padStart(2, "0")}-05`,
+    Saving: "500",
+    ...extra,
+  }));
+
+const check = (memberName, requested, data = {}) =>
+  checkEligibility({
+    memberName,
+    requested,
+    members,
+    transactions: [...monthly("Sunita", 12), ...monthly("Asha", 3)],
+    loans: [],
+    settings: DEFAULT_SETTINGS,
+    asOf,
+    ...data,
+  });
+
+test("caps the loan at a multiple of savings and the group's cash", () => {
+  // ₹6000 saved × 3 = ₹18000, but the group holds only ₹7500
+  const result = check("Sunita", 7000);
+  expect(result.eligible).toBe(true);
+  expect(result.maxAmount).toBe(7500);
+  expect(check("Sunita", 15000).reasons).toEqual([
+    "Group cash: ₹7500 available to lend",
+  ]);
+
+  const lentOut = check("Sunita", 7000, {
+    loans: [{ Name: "Asha", LoanAmount: "5000", Status: "Active" }],
+  });
+  expect(lentOut.maxAmount).toBe(2500);
+  expect(lentOut.eligible).toBe(false);
+
+  // Approved but not yet disbursed: the cash is already promised
+  const promised = check("Sunita", 7000, {
+    loans: [
+      { Name: "Asha", LoanAmount: "3000", Status: "Approved" },
+      { Name: "Asha", LoanAmount: "2000", Status: "Applied" },
+    ],
+  });
+  expect(promised.maxAmount).toBe(4500);
+  expect(promised.reasons).toEqual([
+    "Group cash: ₹4500 available to lend (₹3000 promised to approved loans)",
+  ]);
+});
+
+test("refuses new members and frequent late payers", () => {
+  // Asha's first payment was in January: 11 months, and no joining date
+  const newMember = check("Asha", 1000, {
+    transactions: [...monthly("Asha", 1), ...monthly("Sunita", 12)],
+    asOf: new Date(2024, 4, 1),
+  });
+  expect(newMember.eligible).toBe(false);
+  expect(newMember.reasons[0]).toMatch("Membership: Member since 2024-01-05");
+
+  const late = check("Sunita", 1000, {
+    transactions: [
+      ...monthly("Sunita", 4, { LateFee: "20" }),
+      ...monthly("Sunita", 12),
+    ],
+  });
+  expect(late.reasons).toEqual([
+    "Late payments: 4 in the past 12 months (3 allowed)",
+  ]);
+});
+
+test("counts written-off loans as defaults", () => {
+  const loans = [
+    {
+      Id: "1",
+      Name: "Sunita",
+      Date: "2024-01-01",
+      LoanAmount: "5000",
+      Status: "Closed",
+      CloseReason: "Written off",
+    },
+    {
+      Id: "2",
+      Name: "Asha",
+      Date: "2024-01-01",
+      LoanAmount: "1000",
+      Status: "Closed",
+    },
+  ];
+  const transactions = [
+    { Name: "Asha", Date: "2024-02-05", LoanEmi: "1000", LoanId: "2" },
+  ];
+
+  expect(findDefaults([loans[0]], [], loans, asOf)).toEqual([loans[0]]);
+  expect(findDefaults([loans[1]], transactions, loans, asOf)).toEqual([]);
+  expect(check("Sunita", 1000, { loans }).reasons).toContain(
+    "Defaults: Loan #1 of ₹5000"
+  );
+});
+
+test("lowers the savings limit by the loans a member guarantees", () => {
+  const loans = [
+    {
+      Name: "Asha",
+      Date: "2024-06-01",
+      LoanAmount: "5000",
+      Status: "Disbursed",
+      Guarantors: "Sunita",
+    },
+  ];
+
+  const savings = check("Sunita", 1000, { loans }).checks.find(
+    (c) => c.label === "Savings"
+  );
+  expect(savings.detail).toBe(
+    "₹6000 saved × 3 less ₹5000 guaranteed allows ₹13000"
+  );
+});
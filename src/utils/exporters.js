@@ -0,0 +1,134 @@
+// exporters.js - Download tables as CSV or Excel (.xlsx) files
+// `columns` is a list of { key, label, type? } and `rows` plain objects.
+// Columns with type "amount" get Indian digit grouping (1,00,000).
+
+import { utils, writeFile } from "xlsx";
+
+// Excel number format for lakh/crore grouping
+const INDIAN_NUMBER_FORMAT =
+  "[>=10000000]##\\,##\\,##\\,##0;[>=100000]##\\,##\\,##0;##,##0";
+
+const indianFormatter = new Intl.NumberFormat("en-IN", {
+  maximumFractionDigits: 2,
+});
+
+/**
+ * Format a number with Indian digit grouping, e.g. 150000 -> "1,50,000"
+ */
+export function formatIndianNumber(value) {
+  const number = Number(value);
+  if (value === "" || value === null || value === undefined || isNaN(number)) {
+    return value ?? "";
+  }
+  return indianFormatter.format(number);
+}
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const cellText = (column, row) =>
+  column.type === "amount"
+    ? formatIndianNumber(row[column.key])
+    : row[column.key];
+
+/**
+ * Build CSV text for the given columns and rows
+ */
+export function toCsv(columns, rows) {
+  const header = columns.map((c) => escapeCsv(c.label)).join(",");
+  const lines = rows.map((row) =>
+    columns.map((c) => escapeCsv(cellText(c, row))).join(",")
+  );
+  return [header, ...lines].join("\r\n");
+}
+
+/**
+ * Columns for raw sheet rows: the preferred order first, then any other
+ * keys found in the data
+ */
+export function columnsFromRows(rows, preferred = [], amountKeys = []) {
+  const keys = [...preferred];
+  rows.forEach((row) =>
+    Object.keys(row).forEach((key) => {
+      if (!keys.includes(key)) keys.push(key);
+    })
+  );
+
+  return keys.map((key) => ({
+    key,
+    label: key,
+    type: amountKeys.includes(key) ? "amount" : undefined,
+  }));
+}
+
+/**
+ * Trigger a browser download for a Blob
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Download rows as a UTF-8 .csv file
+ * The byte order mark makes Excel read Marathi names correctly
+ */
+export function exportCsv(filename, columns, rows) {
+  const blob = new Blob(["\uFEFF", toCsv(columns, rows)], {
+    type: "text/csv;charset=utf-8",
+  });
+  downloadBlob(filename, blob);
+}
+
+/**
+ * Download rows as an .xlsx workbook with one sheet
+ */
+export function exportXlsx(filename, columns, rows, sheetName = "Sheet1") {
+  const data = [
+    columns.map((c) => c.label),
+    ...rows.map((row) =>
+      columns.map((c) => {
+        const value = row[c.key];
+        if (c.type !== "amount") return value ?? "";
+        return value === "" || value === undefined || isNaN(Number(value))
+          ? (value ?? "")
+          : Number(value);
+      })
+    ),
+  ];
+
+  const sheet = utils.aoa_to_sheet(data);
+
+  // Apply Indian grouping to amount cells
+  columns.forEach((c, col) => {
+    if (c.type !== "amount") return;
+    rows.forEach((_, i) => {
+      const cell = sheet[utils.encode_cell({ r: i + 1, c: col })];
+      if (cell && cell.t === "n") cell.z = INDIAN_NUMBER_FORMAT;
+    });
+  });
+
+  const workbook = utils.book_new();
+  // Sheet names are limited to 31 characters
+  utils.book_append_sheet(workbook, sheet, sheetName.slice(0, 31));
+  writeFile(workbook, filename);
+}
+
+/**
+ * Export in the chosen format ("csv" | "xlsx"); `basename` has no extension
+ */
+export function exportTable(format, basename, columns, rows, sheetName) {
+  if (format === "xlsx") {
+    exportXlsx(`${basename}.xlsx`, columns, rows, sheetName);
+  } else {
+    exportCsv(`${basename}.csv`, columns, rows);
+  }
+}
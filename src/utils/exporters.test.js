@@ -0,0 +1,27 @@
+import { formatIndianNumber, toCsv, columnsFromRows } from "./exporters";
+
+test("formats amounts with Indian digit grouping", () => {
+  expect(formatIndianNumber(150000)).toBe("1,50,000");
+  expect(formatIndianNumber("12345678")).toBe("1,23,45,678");
+  expect(formatIndianNumber("")).toBe("");
+});
+
+test("builds CSV with quoted amounts and Marathi names intact", () => {
+  const csv = toCsv(
+    [
+      { key: "Name", label: "Name" },
+      { key: "Saving", label: "Saving", type: "amount" },
+    ],
+    [{ Name: "सुनीता पाटील", Saving: "100000" }]
+  );
+
+  expect(csv).toBe('Name,Saving\r\nसुनीता पाटील,"1,00,000"');
+});
+
+test("derives export columns from the data after the preferred ones", () => {
+  const columns = columnsFromRows(
+    [{ Name: "A", Extra: "x", Date: "d" }],
+    ["Date", "Name"]
+  );
+  expect(columns.map((c) => c.key)).toEqual(["Date", "Name", "Extra"]);
+});
@@ -0,0 +1,123 @@
+// groups.js - Self-help group profiles for federation coordinators
+// Each profile has its own backend connection; data, settings, cache and
+// offline outbox are kept apart per group. Profiles live on this device
+// (localStorage) and changes are announced through window events.
+
+import { storageConfig } from "./storage";
+
+const GROUPS_KEY = "groupProfiles";
+const ACTIVE_KEY = "activeGroupId";
+
+// The group configured through .env, always available
+export const DEFAULT_GROUP = {
+  id: "default",
+  name: process.env.REACT_APP_GROUP_NAME || "Bachat Gat",
+  backend: storageConfig.backend,
+  sheetDbId: storageConfig.sheetDbId,
+  namespace: storageConfig.namespace,
+};
+
+const read = () => {
+  try {
+    const stored = localStorage.getItem(GROUPS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error("Error reading group profiles:", error);
+    return [];
+  }
+};
+
+const save = (profiles) => {
+  try {
+    localStorage.setItem(GROUPS_KEY, JSON.stringify(profiles));
+    window.dispatchEvent(new CustomEvent("groupsChanged"));
+  } catch (error) {
+    console.error("Error writing group profiles:", error);
+  }
+};
+
+// Lower-case id from the name, unique among the profiles
+const makeId = (name, profiles) => {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "group";
+  const taken = new Set(profiles.map((g) => g.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+/**
+ * Storage configuration (see storage/index.js) for a group profile
+ */
+export function storageConfigFor(group) {
+  return {
+    backend: group.backend,
+    sheetDbId: group.sheetDbId,
+    namespace: group.namespace || group.id,
+    // Requests are metered against the group's own quota
+    usageNamespace: group.id,
+  };
+}
+
+export const groups = {
+  // Default group first, then the profiles added on this device
+  getAll() {
+    return [DEFAULT_GROUP, ...read()];
+  },
+
+  get(id) {
+    return this.getAll().find((g) => g.id === id) || null;
+  },
+
+  getActive() {
+    return this.get(localStorage.getItem(ACTIVE_KEY)) || DEFAULT_GROUP;
+  },
+
+  /**
+   * Add a profile: { name, backend, sheetDbId }
+   */
+  add(profile) {
+    const profiles = read();
+    const group = {
+      ...profile,
+      id: makeId(profile.name, [DEFAULT_GROUP, ...profiles]),
+    };
+    save([...profiles, group]);
+    return group;
+  },
+
+  update(id, changes) {
+    save(read().map((g) => (g.id === id ? { ...g, ...changes, id } : g)));
+  },
+
+  // Switch away first (dataManager.switchGroup) when removing the active group
+  remove(id) {
+    save(read().filter((g) => g.id !== id));
+  },
+
+  setActive(id) {
+    const group = this.get(id) || DEFAULT_GROUP;
+    localStorage.setItem(ACTIVE_KEY, group.id);
+    window.dispatchEvent(
+      new CustomEvent("activeGroupChanged", { detail: group })
+    );
+    return group;
+  },
+
+  // Attach listener for profile changes (add / update / remove)
+  onChange(callback) {
+    const listener = () => callback(this.getAll());
+    window.addEventListener("groupsChanged", listener);
+    return () => window.removeEventListener("groupsChanged", listener);
+  },
+
+  // Attach listener for switching groups
+  onActiveChange(callback) {
+    const listener = (event) => callback(event.detail);
+    window.addEventListener("activeGroupChanged", listener);
+    return () => window.removeEventListener("activeGroupChanged", listener);
+  },
+};
@@ -0,0 +1,74 @@
+// guarantors.js - Members standing surety for each other's loans
+// A loan names one or two active members as guarantors, kept as a comma
+// separated list in its Guarantors column. A guarantor backs the whole
+// outstanding balance until the loan is repaid.
+
+import { isOpenLoan } from "./loanWorkflow";
+
+const amount = (value) => Number(value || 0);
+
+export const MIN_GUARANTORS = 1;
+export const MAX_GUARANTORS = 2;
+
+/**
+ * Guarantor names of a loan row
+ */
+export function parseGuarantors(loan) {
+  return String(loan?.Guarantors || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check the guarantors chosen for `borrower`'s loan; returns an error or null
+ */
+export function validateGuarantors({
+  borrower,
+  guarantors = [],
+  members = [],
+}) {
+  const names = guarantors.map((name) => name.trim()).filter(Boolean);
+
+  if (names.length < MIN_GUARANTORS || names.length > MAX_GUARANTORS) {
+    return `Choose ${MIN_GUARANTORS} or ${MAX_GUARANTORS} guarantors.`;
+  }
+  if (new Set(names).size !== names.length) {
+    return "Choose different members as guarantors.";
+  }
+  if (names.includes(borrower.trim())) {
+    return "Members cannot guarantee their own loan.";
+  }
+
+  const inactive = names.find(
+    (name) =>
+      !members.some((m) => m.Name?.trim() === name && m.Status !== "Inactive")
+  );
+  if (inactive) return `${inactive} is not an active member.`;
+
+  return null;
+}
+
+/**
+ * Unpaid loans `name` guarantees (pass rows with derived balances,
+ * see loanBalances.js)
+ */
+export function guaranteedLoans(name, loans = []) {
+  return loans.filter(
+    (l) =>
+      isOpenLoan(l) &&
+      amount(l.RemainingLoan) > 0 &&
+      parseGuarantors(l).includes(name.trim())
+  );
+}
+
+/**
+ * What `name` stands to cover: the outstanding balance of every loan
+ * they guarantee
+ */
+export function guarantorExposure(name, loans = []) {
+  return guaranteedLoans(name, loans).reduce(
+    (sum, l) => sum + amount(l.RemainingLoan),
+    0
+  );
+}
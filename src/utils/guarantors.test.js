@@ -0,0 +1,49 @@
+import {
+  parseGuarantors,
+  validateGuarantors,
+  guaranteedLoans,
+  guarantorExposure,
+} from "./guarantors";
+
+const members = [
+  { Name: "Sunita", Status: "Active" },
+  { Name: "Asha", Status: "Active" },
+  { Name: "Lata", Status: "Active" },
+  { Name: "Rekha", Status: "Inactive" },
+];
+
+test("needs one or two active members other than the borrower", () => {
+  const check = (guarantors) =>
+    validateGuarantors({ borrower: "Sunita", guarantors, members });
+
+  expect(check(["Asha"])).toBeNull();
+  expect(check(["Asha", "Lata"])).toBeNull();
+  expect(check([])).toMatch("Choose 1 or 2");
+  expect(check(["Asha", "Asha"])).toMatch("different members");
+  expect(check(["Sunita"])).toMatch("own loan");
+  expect(check(["Rekha"])).toBe("Rekha is not an active member.");
+});
+
+test("adds up the unpaid balance of the loans a member guarantees", () => {
+  const loans = [
+    {
+      Name: "Sunita",
+      Guarantors: "Asha, Lata",
+      RemainingLoan: 4000,
+      Status: "Disbursed",
+    },
+    { Name: "Lata", Guarantors: "Asha", RemainingLoan: 0, Status: "Closed" },
+    {
+      Name: "Lata",
+      Guarantors: "Asha",
+      RemainingLoan: 0,
+      LoanAmount: "9000",
+      Status: "Applied",
+    },
+  ];
+
+  expect(parseGuarantors(loans[0])).toEqual(["Asha", "Lata"]);
+  expect(guaranteedLoans("Asha", loans)).toEqual([loans[0]]);
+  expect(guarantorExposure("Asha", loans)).toBe(4000);
+  expect(guarantorExposure("Sunita", loans)).toBe(0);
+});
@@ -0,0 +1,78 @@
+/**
+ * idbStore.js - Minimal promise wrapper around an IndexedDB key-value store
+ * Used to persist API responses across page reloads
+ */
+
+const DB_NAME = 'shilpkar-bachat-gat';
+const DB_VERSION = 1;
+const STORE_NAME = 'apiCache';
+
+let dbPromise = null;
+
+const isAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request inside a transaction and resolve with its result
+const run = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = operation(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const idbStore = {
+  isAvailable,
+
+  /**
+   * All stored entries as a { key: value } object
+   */
+  async getAll() {
+    if (!isAvailable()) return {};
+
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const entries = {};
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const request = tx.objectStore(STORE_NAME).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        entries[cursor.key] = cursor.value;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve(entries);
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+
+  async set(key, value) {
+    if (!isAvailable()) return;
+    return run('readwrite', (store) => store.put(value, key));
+  },
+
+  async delete(key) {
+    if (!isAvailable()) return;
+    return run('readwrite', (store) => store.delete(key));
+  },
+
+  async clear() {
+    if (!isAvailable()) return;
+    return run('readwrite', (store) => store.clear());
+  }
+};
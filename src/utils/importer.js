@@ -0,0 +1,151 @@
+// importer.js - Bulk import of historical transactions from CSV / Excel
+// Parsing, column mapping, validation and duplicate detection; posting is
+// done by dataManager.addTransactions in batches
+
+import { read, utils } from "xlsx";
+import { parseDate, toISODate } from "./dates";
+import { closedYearOn } from "./dividends";
+
+export const TRANSACTION_FIELDS = [
+  "Date",
+  "Name",
+  "Saving",
+  "LoanEmi",
+  "Interest",
+  "LateFee",
+  "PaymentMethod",
+  "Notes",
+];
+
+const AMOUNT_FIELDS = ["Saving", "LoanEmi", "Interest", "LateFee"];
+
+// Common header spellings from paper-register spreadsheets
+const FIELD_ALIASES = {
+  Date: ["date", "paymentdate", "dinank"],
+  Name: ["name", "member", "membername"],
+  Saving: ["saving", "savings", "bachat"],
+  LoanEmi: ["loanemi", "emi", "installment", "instalment"],
+  Interest: ["interest", "vyaj"],
+  LateFee: ["latefee", "latefees", "fine", "penalty"],
+  PaymentMethod: ["paymentmethod", "method", "mode", "paymentmode"],
+  Notes: ["notes", "note", "remarks", "remark"],
+};
+
+const normalizeHeader = (header) =>
+  String(header || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+const normalizeName = (name) =>
+  String(name || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+
+/**
+ * Read the first sheet of a CSV/.xlsx File into { headers, rows }
+ * (rows are arrays of cell values)
+ */
+export async function parseImportFile(file) {
+  const isCsv = /\.csv$/i.test(file.name);
+
+  // CSV cells stay as text so "05/04/2023" is not read as a US date
+  const workbook = isCsv
+    ? read(await file.text(), { type: "string", raw: true })
+    : read(await file.arrayBuffer(), { type: "array", cellDates: true });
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const [headers = [], ...rows] = utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: "",
+    blankrows: false,
+  });
+
+  return { headers: headers.map(String), rows };
+}
+
+/**
+ * Guess which file column feeds each transaction field:
+ * { Date: 0, Name: 1, ... } (-1 when not found)
+ */
+export function autoMapColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  TRANSACTION_FIELDS.forEach((field) => {
+    mapping[field] = normalized.findIndex((h) =>
+      FIELD_ALIASES[field].includes(h)
+    );
+  });
+
+  return mapping;
+}
+
+const duplicateKey = (t) =>
+  [
+    toISODate(parseDate(t.Date)),
+    normalizeName(t.Name),
+    ...AMOUNT_FIELDS.map((f) => Number(t[f] || 0)),
+  ].join("|");
+
+/**
+ * Map and validate file rows against Member List, existing Transactions
+ * and the closed years (Year End snapshots).
+ * Returns [{ line, data, errors: [], duplicate: bool }]
+ */
+export function buildImportRows(
+  rows,
+  mapping,
+  { members = [], transactions = [], closedYears = [] } = {}
+) {
+  const memberNames = {};
+  members.forEach((m) => {
+    if (m.Name) memberNames[normalizeName(m.Name)] = m.Name.trim();
+  });
+
+  const existing = new Set(transactions.map(duplicateKey));
+  const seen = new Set();
+
+  return rows.map((cells, i) => {
+    const raw = {};
+    TRANSACTION_FIELDS.forEach((field) => {
+      const col = mapping[field];
+      raw[field] = col >= 0 ? cells[col] : "";
+    });
+
+    const errors = [];
+    const data = { ...raw };
+
+    const date = parseDate(raw.Date);
+    if (!date) errors.push("Invalid or missing date");
+    data.Date = date ? toISODate(date) : "";
+    const closed = closedYearOn(closedYears, data.Date);
+    if (closed) errors.push(`${closed.Year} is closed`);
+
+    const name = memberNames[normalizeName(raw.Name)];
+    if (!name) errors.push(`Unknown member "${raw.Name}"`);
+    data.Name = name || String(raw.Name || "").trim();
+
+    let total = 0;
+    AMOUNT_FIELDS.forEach((field) => {
+      const text = String(raw[field] ?? "").replace(/[₹,\s]/g, "");
+      const value = text === "" ? 0 : Number(text);
+      if (isNaN(value) || value < 0) {
+        errors.push(`${field} must be a positive number`);
+      }
+      data[field] = value > 0 ? String(value) : "";
+      total += value > 0 ? value : 0;
+    });
+    if (total === 0) errors.push("No amount entered");
+
+    data.PaymentMethod = String(raw.PaymentMethod || "").trim();
+    data.Notes = String(raw.Notes || "").trim();
+
+    const key = duplicateKey(data);
+    const duplicate = existing.has(key) || seen.has(key);
+    seen.add(key);
+
+    // +2: header row, and spreadsheet lines start at 1
+    return { line: i + 2, data, errors, duplicate };
+  });
+}
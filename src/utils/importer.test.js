@@ -0,0 +1,78 @@
+import { autoMapColumns, buildImportRows } from "./importer";
+
+const headers = [
+  "Date",
+  "Member Name",
+  "Savings",
+  "EMI",
+  "Interest",
+  "Fine",
+  "Mode",
+  "Remarks",
+];
+
+test("maps common register headings to transaction fields", () => {
+  expect(autoMapColumns(headers)).toEqual({
+    Date: 0,
+    Name: 1,
+    Saving: 2,
+    LoanEmi: 3,
+    Interest: 4,
+    LateFee: 5,
+    PaymentMethod: 6,
+    Notes: 7,
+  });
+});
+
+test("validates names and amounts and flags duplicates", () => {
+  const rows = buildImportRows(
+    [
+      ["05/04/2023", " sunita  patil", "500", "", "", "", "Cash", ""],
+      ["05/04/2023", "Unknown", "500", "", "", "", "Cash", ""],
+      ["2023-05-10", "Sunita Patil", "500", "1,000", "", "", "Cash", ""],
+      ["bad date", "Sunita Patil", "", "", "", "", "", ""],
+    ],
+    autoMapColumns(headers),
+    {
+      members: [{ Name: "Sunita Patil" }],
+      transactions: [
+        {
+          Date: "2023-05-10",
+          Name: "Sunita Patil",
+          Saving: "500",
+          LoanEmi: "1000",
+        },
+      ],
+    }
+  );
+
+  expect(rows[0].errors).toEqual([]);
+  expect(rows[0].data).toMatchObject({
+    Date: "2023-04-05",
+    Name: "Sunita Patil",
+    Saving: "500",
+  });
+  expect(rows[1].errors).toEqual(['Unknown member "Unknown"']);
+  expect(rows[2].duplicate).toBe(true);
+  expect(rows[3].errors).toEqual([
+    "Invalid or missing date",
+    "No amount entered",
+  ]);
+});
+
+test("rejects rows dated in a closed year", () => {
+  const rows = buildImportRows(
+    [
+      ["31/03/2024", "Sunita Patil", "500", "", "", "", "Cash", ""],
+      ["01/04/2024", "Sunita Patil", "500", "", "", "", "Cash", ""],
+    ],
+    autoMapColumns(headers),
+    {
+      members: [{ Name: "Sunita Patil" }],
+      closedYears: [{ Year: "2023-24", From: "2023-04-01", To: "2024-03-31" }],
+    }
+  );
+
+  expect(rows[0].errors).toEqual(["2023-24 is closed"]);
+  expect(rows[1].errors).toEqual([]);
+});
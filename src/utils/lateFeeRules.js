@@ -0,0 +1,108 @@
+// lateFeeRules.js - Group late-fee rules and their evaluation
+// Rules live in the "Late Fee Rules" sheet. The rule in force on the 1st of
+// a month governs that month's dues, so changing the rules never changes
+// the fee for dues of earlier months.
+
+import { parseDate, toISODate } from "./dates";
+import { meetingDay } from "../data/AddEntryData";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FEE_TYPES = {
+  FLAT: "Flat", // one fee once late
+  PER_DAY: "PerDay",
+  PER_WEEK: "PerWeek", // per started week late
+};
+
+export const APPLIES_TO = {
+  SAVING: "Saving",
+  EMI: "EMI",
+  BOTH: "Both",
+};
+
+// Used until the group saves its own rules: ₹20 per week after the meeting, up to ₹100
+export const DEFAULT_RULE = {
+  Id: "default",
+  EffectiveFrom: "2000-01-01",
+  AppliesTo: APPLIES_TO.BOTH,
+  DueDay: String(meetingDay),
+  GraceDays: "0",
+  FeeType: FEE_TYPES.PER_WEEK,
+  FeeAmount: "20",
+  Cap: "100",
+};
+
+/**
+ * Rule in force on `date` for "Saving" or "EMI" dues
+ */
+export function findRule(rules, date, kind) {
+  const day = toISODate(parseDate(date));
+
+  const candidates = [DEFAULT_RULE, ...(rules || [])]
+    .filter((r) => r.AppliesTo === kind || r.AppliesTo === APPLIES_TO.BOTH)
+    .filter((r) => r.EffectiveFrom && r.EffectiveFrom <= day)
+    .sort((a, b) => a.EffectiveFrom.localeCompare(b.EffectiveFrom));
+
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Due date for a month under a rule ("YYYY-MM-DD"), clamped to month end
+ */
+export function dueDateFor(rule, monthDate) {
+  const date = parseDate(monthDate);
+  const lastDay = new Date(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    0
+  ).getDate();
+  const day = Math.min(Number(rule.DueDay) || 1, lastDay);
+  return toISODate(new Date(date.getFullYear(), date.getMonth(), day));
+}
+
+/**
+ * Fee for paying on `paidDate` something due on `dueDate`: { fee, daysLate }
+ */
+export function evaluateRule(rule, dueDate, paidDate) {
+  const due = parseDate(dueDate);
+  const paid = parseDate(paidDate);
+  if (!due || !paid) return { fee: 0, daysLate: 0 };
+
+  const daysLate =
+    Math.round((paid - due) / DAY_MS) - Number(rule.GraceDays || 0);
+  if (daysLate <= 0) return { fee: 0, daysLate: 0 };
+
+  const amount = Number(rule.FeeAmount || 0);
+  let fee = amount;
+  if (rule.FeeType === FEE_TYPES.PER_DAY) fee = daysLate * amount;
+  if (rule.FeeType === FEE_TYPES.PER_WEEK)
+    fee = Math.ceil(daysLate / 7) * amount;
+
+  const cap = Number(rule.Cap || 0);
+  return { fee: cap > 0 ? Math.min(fee, cap) : fee, daysLate };
+}
+
+/**
+ * Late fee for a payment covering the given dues.
+ * `items` are [{ kind: "Saving" | "EMI", month: date in the month due,
+ * dueDate? }]; without its own due date (a loan installment's) an item is
+ * due on the rule's DueDay of its month.
+ * Returns { lateFee, details: [{ kind, dueDate, daysLate, fee }] }
+ */
+export function calculateLateFees(rules, items, paymentDate) {
+  const details = items.map(({ kind, month, dueDate: ownDueDate }) => {
+    const date = parseDate(ownDueDate || month);
+    const monthStart = new Date(date.getFullYear(), date.getMonth(), 1);
+
+    const rule = findRule(rules, monthStart, kind);
+    const dueDate = ownDueDate || dueDateFor(rule, monthStart);
+    const { fee, daysLate } = evaluateRule(rule, dueDate, paymentDate);
+
+    return { kind, dueDate, daysLate, fee };
+  });
+
+  return {
+    lateFee: details.reduce((sum, d) => sum + d.fee, 0),
+    details: details.filter((d) => d.fee > 0),
+  };
+}
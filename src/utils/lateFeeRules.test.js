@@ -0,0 +1,69 @@
+import {
+  findRule,
+  dueDateFor,
+  evaluateRule,
+  calculateLateFees,
+  DEFAULT_RULE,
+} from "./lateFeeRules";
+
+const rules = [
+  {
+    Id: "1",
+    EffectiveFrom: "2024-01-01",
+    AppliesTo: "Both",
+    DueDay: "10",
+    GraceDays: "2",
+    FeeType: "PerDay",
+    FeeAmount: "5",
+    Cap: "50",
+  },
+  {
+    Id: "2",
+    EffectiveFrom: "2024-06-01",
+    AppliesTo: "EMI",
+    DueDay: "31",
+    GraceDays: "0",
+    FeeType: "Flat",
+    FeeAmount: "100",
+    Cap: "",
+  },
+];
+
+test("picks the latest rule in force for the kind of due", () => {
+  expect(findRule(rules, "2023-12-31", "Saving")).toBe(DEFAULT_RULE);
+  expect(findRule(rules, "2024-07-01", "Saving").Id).toBe("1");
+  expect(findRule(rules, "2024-07-01", "EMI").Id).toBe("2");
+});
+
+test("clamps the due day to the end of the month", () => {
+  expect(dueDateFor(rules[1], "2024-02-15")).toBe("2024-02-29");
+  expect(dueDateFor(rules[0], "2024-02-15")).toBe("2024-02-10");
+});
+
+test("applies grace days, fee type and cap", () => {
+  expect(evaluateRule(rules[0], "2024-03-10", "2024-03-12").fee).toBe(0);
+  expect(evaluateRule(rules[0], "2024-03-10", "2024-03-15")).toEqual({
+    fee: 15,
+    daysLate: 3,
+  });
+  expect(evaluateRule(rules[0], "2024-03-10", "2024-04-30").fee).toBe(50);
+  expect(evaluateRule(DEFAULT_RULE, "2024-03-10", "2024-03-25").fee).toBe(60);
+});
+
+test("keeps fees for earlier months under the rule then in force", () => {
+  const { lateFee, details } = calculateLateFees(
+    rules,
+    [
+      { kind: "EMI", month: "2024-05-10" },
+      { kind: "EMI", month: "2024-07-10" },
+    ],
+    "2024-08-05"
+  );
+
+  // May: per-day rule, capped; July: flat fee after the 31st
+  expect(details).toEqual([
+    { kind: "EMI", dueDate: "2024-05-10", daysLate: 85, fee: 50 },
+    { kind: "EMI", dueDate: "2024-07-31", daysLate: 5, fee: 100 },
+  ]);
+  expect(lateFee).toBe(150);
+});
@@ -0,0 +1,142 @@
+// ledger.js - Per-member ledger built from Transactions and Loan Details
+// Pure functions: no API calls, callers pass the cached sheet rows
+
+import { parseDate, toISODate } from "./dates";
+import { isReversal, reversedIds } from "./corrections";
+import { LOAN_STATES, loanStage, isDisbursed } from "./loanWorkflow";
+
+const amount = (value) => Number(value || 0);
+
+/**
+ * Chronological ledger for one member with running balances.
+ * Each row: { date, type, saving, emi, interest, lateFee, loanAmount,
+ *             paymentMethod, notes, reversed, savingsBalance,
+ *             loanOutstanding, source }
+ * Reversal rows carry negated amounts; the entries they cancel are
+ * flagged `reversed`.
+ */
+export function buildMemberLedger(memberName, transactions = [], loans = []) {
+  const name = memberName.trim();
+  const rows = [];
+  const reversed = reversedIds(transactions);
+
+  transactions.forEach((t) => {
+    if (t.Name?.trim() !== name) return;
+
+    rows.push({
+      date: parseDate(t.Date),
+      type: isReversal(t) ? "Reversal" : "Payment",
+      reversed: reversed.has(String(t.Id)),
+      saving: amount(t.Saving),
+      emi: amount(t.LoanEmi),
+      interest: amount(t.Interest),
+      lateFee: amount(t.LateFee),
+      loanAmount: 0,
+      paymentMethod: t.PaymentMethod || "",
+      notes: t.Notes || "",
+      source: t,
+    });
+  });
+
+  loans.forEach((l) => {
+    // Applications appear once the money is paid out
+    if (l.Name?.trim() !== name || !isDisbursed(l)) return;
+
+    rows.push({
+      date: parseDate(l.Date),
+      type: "Loan Disbursed",
+      saving: 0,
+      emi: 0,
+      interest: 0,
+      lateFee: 0,
+      loanAmount: amount(l.LoanAmount),
+      paymentMethod: "",
+      notes: l.Id ? `Loan #${l.Id}` : "",
+      source: l,
+    });
+
+    if (loanStage(l) === LOAN_STATES.CLOSED) {
+      rows.push({
+        date: parseDate(l.ClosedOn),
+        type: "Loan Closed",
+        saving: 0,
+        emi: 0,
+        interest: 0,
+        lateFee: 0,
+        loanAmount: 0,
+        paymentMethod: "",
+        notes: l.Id ? `Loan #${l.Id}` : "",
+        source: l,
+      });
+    }
+  });
+
+  // Undated rows (e.g. closures without ClosedOn) sort last
+  rows.sort((a, b) => {
+    const ta = a.date ? a.date.getTime() : Infinity;
+    const tb = b.date ? b.date.getTime() : Infinity;
+    return ta - tb;
+  });
+
+  let savingsBalance = 0;
+
+  // Open balance per loan; EMIs repay the oldest open loan first
+  const open = new Map();
+  const principal = new Map();
+
+  // An entry's own loan (LoanId) comes before any other
+  const ownFirst = (row, loans) => {
+    const own = loans.find(
+      (l) => row.source.LoanId && String(l.Id) === String(row.source.LoanId)
+    );
+    return own ? [own, ...loans.filter((l) => l !== own)] : loans;
+  };
+
+  return rows.map((row) => {
+    savingsBalance += row.saving;
+
+    if (row.type === "Loan Disbursed") {
+      open.set(row.source, row.loanAmount);
+      principal.set(row.source, row.loanAmount);
+    } else if (row.type === "Loan Closed") {
+      open.delete(row.source);
+    } else if (row.emi >= 0) {
+      let emi = row.emi;
+      for (const loan of ownFirst(row, [...open.keys()])) {
+        if (emi <= 0) break;
+        const paid = Math.min(open.get(loan), emi);
+        open.set(loan, open.get(loan) - paid);
+        emi -= paid;
+      }
+    } else {
+      // Reversed EMIs go back onto the most recently repaid loans
+      let refund = -row.emi;
+      for (const loan of ownFirst(row, [...open.keys()].reverse())) {
+        if (refund <= 0) break;
+        const restored = Math.min(principal.get(loan) - open.get(loan), refund);
+        open.set(loan, open.get(loan) + restored);
+        refund -= restored;
+      }
+    }
+
+    const loanOutstanding = [...open.values()].reduce((a, b) => a + b, 0);
+
+    return { ...row, savingsBalance, loanOutstanding };
+  });
+}
+
+/**
+ * Filter ledger rows by date range ("YYYY-MM-DD", inclusive) and payment method.
+ * Balances keep their full-history values.
+ */
+export function filterLedger(rows, { from = "", to = "", paymentMethod = "" } = {}) {
+  return rows.filter((row) => {
+    const day = row.date ? toISODate(row.date) : "";
+
+    if (from && (!day || day < from)) return false;
+    if (to && (!day || day > to)) return false;
+    if (paymentMethod && row.paymentMethod !== paymentMethod) return false;
+
+    return true;
+  });
+}
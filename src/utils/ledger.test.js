@@ -0,0 +1,67 @@
+import { buildMemberLedger, filterLedger } from "./ledger";
+
+const transactions = [
+  {
+    Date: "2024-02-10",
+    Name: "Sunita",
+    Saving: "500",
+    LoanEmi: "2000",
+    PaymentMethod: "Cash",
+  },
+  { Date: "2024-01-10", Name: "Sunita", Saving: "500", PaymentMethod: "Gpay" },
+  { Date: "2024-01-10", Name: "Asha", Saving: "500", PaymentMethod: "Cash" },
+];
+const loans = [
+  {
+    Id: "7",
+    Date: "2024-01-15",
+    Name: "Sunita",
+    LoanAmount: "10000",
+    Status: "Active",
+  },
+];
+
+test("orders entries by date with running savings and loan balances", () => {
+  const ledger = buildMemberLedger("Sunita", transactions, loans);
+
+  expect(ledger.map((r) => r.type)).toEqual([
+    "Payment",
+    "Loan Disbursed",
+    "Payment",
+  ]);
+  expect(ledger.map((r) => r.savingsBalance)).toEqual([500, 500, 1000]);
+  expect(ledger.map((r) => r.loanOutstanding)).toEqual([0, 10000, 8000]);
+});
+
+test("filters by date range and payment method without resetting balances", () => {
+  const ledger = buildMemberLedger("Sunita", transactions, loans);
+  const rows = filterLedger(ledger, {
+    from: "2024-02-01",
+    paymentMethod: "Cash",
+  });
+
+  expect(rows).toHaveLength(1);
+  expect(rows[0].savingsBalance).toBe(1000);
+});
+
+test("nets out reversed entries and restores the loan balance", () => {
+  const withReversal = [
+    { ...transactions[0], Id: "3" },
+    {
+      Date: "2024-02-10",
+      Name: "Sunita",
+      Saving: "-500",
+      LoanEmi: "-2000",
+      ReversalOf: "3",
+    },
+  ];
+  const ledger = buildMemberLedger("Sunita", withReversal, loans);
+
+  expect(ledger.map((r) => [r.type, r.reversed])).toEqual([
+    ["Loan Disbursed", undefined],
+    ["Payment", true],
+    ["Reversal", false],
+  ]);
+  expect(ledger[2].savingsBalance).toBe(0);
+  expect(ledger[2].loanOutstanding).toBe(10000);
+});
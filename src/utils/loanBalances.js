@@ -0,0 +1,124 @@
+// loanBalances.js - Loan balances derived from the ledger
+// A loan's outstanding principal, interest paid and status follow from its
+// disbursement and the EMI transactions attributed to it; the stored
+// RemainingLoan / Status columns are only a copy that can be reconciled.
+
+import { parseDate } from "./dates";
+import {
+  LOAN_STATES,
+  loanStage,
+  isDisbursed,
+  isRepaidFromLedger,
+} from "./loanWorkflow";
+
+const amount = (value) => Number(value || 0);
+
+/**
+ * Entries paying the group's interest income out to members (a year's
+ * dividend, an exit settlement's payout); they repay no loan and are not
+ * money collected
+ */
+export const isPayout = (transaction) => Boolean(transaction.Payout);
+
+// Loans paid out to the member; applications can't have been repaid
+const memberLoans = (name, loans) =>
+  loans
+    .filter((l) => l.Name?.trim() === name && isDisbursed(l))
+    .sort((a, b) => (parseDate(a.Date) || 0) - (parseDate(b.Date) || 0));
+
+/**
+ * The loan a payment repaid: the loan named by its LoanId, or for entries
+ * recorded before EMIs were allocated, the member's latest disbursed loan
+ * taken on or before it
+ */
+export function loanForTransaction(transaction, loans = []) {
+  if (isPayout(transaction)) return null;
+
+  if (transaction.LoanId) {
+    return (
+      loans.find((l) => String(l.Id) === String(transaction.LoanId)) || null
+    );
+  }
+
+  const name = transaction.Name?.trim();
+  const paid = parseDate(transaction.Date);
+
+  const taken = memberLoans(name, loans).filter(
+    (l) => !paid || !parseDate(l.Date) || parseDate(l.Date) <= paid
+  );
+  return taken[taken.length - 1] || null;
+}
+
+/**
+ * Balance of one loan from the transactions attributed to it, reversals
+ * included: { principal, principalPaid, outstanding, interestPaid, status }
+ * Status is Disbursed while a balance is left and Closed once repaid;
+ * loans not yet paid out, or closed by hand, owe nothing.
+ */
+export function deriveLoanBalance(loan, transactions = [], loans = [loan]) {
+  const name = loan.Name?.trim();
+  const repayments = transactions
+    .filter((t) => t.Name?.trim() === name)
+    .filter((t) => loanForTransaction(t, loans) === loan);
+
+  const principal = amount(loan.LoanAmount);
+  const principalPaid = repayments.reduce((s, t) => s + amount(t.LoanEmi), 0);
+  const interestPaid = repayments.reduce((s, t) => s + amount(t.Interest), 0);
+  const remaining = Math.max(principal - principalPaid, 0);
+
+  if (!isRepaidFromLedger(loan)) {
+    return {
+      principal,
+      principalPaid,
+      outstanding: 0,
+      interestPaid,
+      status: loanStage(loan),
+    };
+  }
+
+  return {
+    principal,
+    principalPaid,
+    outstanding: remaining,
+    interestPaid,
+    status: remaining <= 0 ? LOAN_STATES.CLOSED : LOAN_STATES.DISBURSED,
+  };
+}
+
+/**
+ * Loan rows with RemainingLoan / Status replaced by the derived values,
+ * for screens and reports that read those columns
+ */
+export function withDerivedBalances(loans = [], transactions = []) {
+  return loans.map((loan) => {
+    const balance = deriveLoanBalance(loan, transactions, loans);
+    return {
+      ...loan,
+      RemainingLoan: balance.outstanding,
+      Status: balance.status,
+      InterestPaid: balance.interestPaid,
+    };
+  });
+}
+
+/**
+ * Loans whose stored RemainingLoan or Status disagrees with the ledger:
+ * [{ loan, stored: { RemainingLoan, Status }, derived }]
+ */
+export function findBalanceMismatches(loans = [], transactions = []) {
+  return loans
+    .filter((loan) => loan.Name)
+    .map((loan) => ({
+      loan,
+      stored: {
+        RemainingLoan: amount(loan.RemainingLoan),
+        Status: loan.Status || "",
+      },
+      derived: deriveLoanBalance(loan, transactions, loans),
+    }))
+    .filter(
+      ({ loan, stored, derived }) =>
+        stored.RemainingLoan !== derived.outstanding ||
+        loanStage(loan) !== derived.status
+    );
+}
@@ -0,0 +1,128 @@
+import {
+  deriveLoanBalance,
+  findBalanceMismatches,
+  loanForTransaction,
+  withDerivedBalances,
+} from "./loanBalances";
+
+const oldLoan = {
+  Id: "1",
+  Name: "Sunita",
+  Date: "2023-01-05",
+  LoanAmount: "5000",
+  RemainingLoan: "0",
+  Status: "Inactive",
+};
+const loan = {
+  Id: "2",
+  Name: "Sunita",
+  Date: "2024-01-05",
+  LoanAmount: "2000",
+  RemainingLoan: "1000",
+  Status: "Active",
+};
+const loans = [loan, oldLoan];
+const payment = {
+  Id: "7",
+  Name: "Sunita",
+  Date: "2024-03-10",
+  LoanEmi: "1000",
+  Interest: "40",
+};
+const transactions = [
+  { Name: "Sunita", Date: "2023-06-10", LoanEmi: "5000", Interest: "300" },
+  { Name: "Sunita", Date: "2024-02-10", LoanEmi: "1000", Interest: "40" },
+  payment,
+  { Name: "Sunita", Date: "2024-03-10", LoanEmi: "-1000", ReversalOf: "7" },
+];
+
+test("derives each loan's balance from the EMIs paid on it", () => {
+  expect(loanForTransaction(payment, loans)).toBe(loan);
+  expect(deriveLoanBalance(loan, transactions, loans)).toEqual({
+    principal: 2000,
+    principalPaid: 1000,
+    outstanding: 1000,
+    interestPaid: 80,
+    status: "Disbursed",
+  });
+  expect(deriveLoanBalance(oldLoan, transactions, loans)).toMatchObject({
+    outstanding: 0,
+    interestPaid: 300,
+    status: "Closed",
+  });
+  expect(
+    deriveLoanBalance(
+      { ...loan, Status: "Closed", CloseReason: "Written off" },
+      transactions,
+      loans
+    )
+  ).toMatchObject({ outstanding: 0, status: "Closed" });
+  expect(
+    deriveLoanBalance({ ...loan, Status: "Approved" }, transactions, loans)
+  ).toMatchObject({ outstanding: 0, status: "Approved" });
+});
+
+test("lists loans whose stored balance disagrees with the ledger", () => {
+  expect(findBalanceMismatches(loans, transactions)).toEqual([]);
+
+  // EMI recorded but the loan update was lost
+  const paid = [
+    ...transactions,
+    { Name: "Sunita", Date: "2024-04-10", LoanEmi: "1000" },
+  ];
+  const [mismatch] = findBalanceMismatches(loans, paid);
+  expect(mismatch.loan).toBe(loan);
+  expect(mismatch.stored).toEqual({ RemainingLoan: 1000, Status: "Active" });
+  expect(mismatch.derived).toMatchObject({
+    outstanding: 0,
+    status: "Closed",
+  });
+
+  expect(withDerivedBalances(loans, paid)[0]).toMatchObject({
+    RemainingLoan: 0,
+    Status: "Closed",
+    InterestPaid: 80,
+  });
+});
+
+test("attributes EMIs to the loan they were allocated to", () => {
+  const emergency = {
+    Id: "3",
+    Name: "Sunita",
+    Date: "2024-02-01",
+    LoanAmount: "1000",
+    Status: "Active",
+  };
+  const all = [loan, emergency];
+  const emi = {
+    Name: "Sunita",
+    Date: "2024-04-10",
+    LoanEmi: "500",
+    LoanId: "2",
+  };
+
+  expect(loanForTransaction(emi, all)).toBe(loan);
+  expect(loanForTransaction({ ...emi, LoanId: "" }, all)).toBe(emergency);
+  expect(deriveLoanBalance(loan, [emi], all)).toMatchObject({
+    outstanding: 1500,
+  });
+});
+
+test("never attributes unallocated EMIs to a loan application", () => {
+  const disbursed = { ...loan, RemainingLoan: "2000", Status: "Disbursed" };
+  const rejected = {
+    Id: "5",
+    Name: "Sunita",
+    Date: "2024-03-01",
+    LoanAmount: "3000",
+    Status: "Rejected",
+  };
+  const all = [disbursed, rejected];
+  const emi = { Name: "Sunita", Date: "2024-04-10", LoanEmi: "1000" };
+
+  expect(loanForTransaction(emi, all)).toBe(disbursed);
+  expect(loanForTransaction(emi, [{ ...rejected, Status: "Applied" }])).toBe(
+    null
+  );
+  expect(withDerivedBalances(all, [emi])[0].RemainingLoan).toBe(1000);
+});
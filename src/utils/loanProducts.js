@@ -0,0 +1,80 @@
+// loanProducts.js - Loan products offered by the group
+// Products live in the "Loan Products" sheet, each with its own amount
+// limits, rate, interest method and longest tenure. A blank field leaves
+// that term open to the values on the settings screen. Until the group
+// adds its own products, every loan is a "Regular" loan.
+
+const amount = (value) => Number(value || 0);
+
+export const PRODUCT_STATUS = {
+  ACTIVE: "Active",
+  RETIRED: "Retired",
+};
+
+export const DEFAULT_PRODUCT = {
+  Name: "Regular",
+  MinAmount: "",
+  MaxAmount: "",
+  InterestRate: "",
+  InterestMethod: "",
+  MaxTenure: "",
+  Status: PRODUCT_STATUS.ACTIVE,
+};
+
+/**
+ * Products a new loan can be taken under
+ */
+export function activeProducts(rows = []) {
+  const active = (rows || []).filter(
+    (p) => p.Name && p.Status !== PRODUCT_STATUS.RETIRED
+  );
+  return active.length > 0 ? active : [DEFAULT_PRODUCT];
+}
+
+/**
+ * Form choices for a product: the settings' options narrowed to its terms
+ */
+export function productOptions(product, settings) {
+  const within = (value) =>
+    (!product.MinAmount || amount(value) >= amount(product.MinAmount)) &&
+    (!product.MaxAmount || amount(value) <= amount(product.MaxAmount));
+
+  return {
+    loanAmounts: settings.loanAmounts.filter(within),
+    interestRateOptions: product.InterestRate
+      ? [String(product.InterestRate)]
+      : settings.interestRateOptions,
+    interestMethods: product.InterestMethod
+      ? [product.InterestMethod]
+      : settings.interestMethods,
+    tenureOptions: settings.tenureOptions.filter(
+      (t) => !product.MaxTenure || amount(t) <= amount(product.MaxTenure)
+    ),
+  };
+}
+
+/**
+ * Check a new loan against its product and the member's open loans;
+ * `activeLoans` are the member's loans still being repaid.
+ * Returns an error message or null.
+ */
+export function validateLoan({ loan, product, activeLoans = [], maxLoans }) {
+  const value = amount(loan.LoanAmount);
+
+  if (product.MinAmount && value < amount(product.MinAmount)) {
+    return `${product.Name} loans start at ₹${product.MinAmount}.`;
+  }
+  if (product.MaxAmount && value > amount(product.MaxAmount)) {
+    return `${product.Name} loans are limited to ₹${product.MaxAmount}.`;
+  }
+  if (product.MaxTenure && amount(loan.Tenure) > amount(product.MaxTenure)) {
+    return `${product.Name} loans run for at most ${product.MaxTenure} months.`;
+  }
+  if (amount(maxLoans) > 0 && activeLoans.length >= amount(maxLoans)) {
+    return `This member already has ${activeLoans.length} active loan${
+      activeLoans.length === 1 ? "" : "s"
+    }; the group allows ${maxLoans} at a time.`;
+  }
+
+  return null;
+}
@@ -0,0 +1,64 @@
+import {
+  activeProducts,
+  productOptions,
+  validateLoan,
+  DEFAULT_PRODUCT,
+} from "./loanProducts";
+import { DEFAULT_SETTINGS } from "./settings";
+
+const emergency = {
+  Id: "1",
+  Name: "Emergency",
+  MinAmount: "1000",
+  MaxAmount: "10000",
+  InterestRate: "2",
+  InterestMethod: "Flat",
+  MaxTenure: "6",
+  Status: "Active",
+};
+
+test("falls back to the regular product until the group adds its own", () => {
+  expect(activeProducts([])).toEqual([DEFAULT_PRODUCT]);
+  expect(activeProducts([{ ...emergency, Status: "Retired" }])).toEqual([
+    DEFAULT_PRODUCT,
+  ]);
+  expect(activeProducts([emergency])).toEqual([emergency]);
+});
+
+test("narrows the settings' loan terms to the product", () => {
+  expect(productOptions(emergency, DEFAULT_SETTINGS)).toEqual({
+    loanAmounts: ["10000"],
+    interestRateOptions: ["2"],
+    interestMethods: ["Flat"],
+    tenureOptions: ["6"],
+  });
+  expect(productOptions(DEFAULT_PRODUCT, DEFAULT_SETTINGS).loanAmounts).toEqual(
+    DEFAULT_SETTINGS.loanAmounts
+  );
+});
+
+test("checks product limits and the concurrent loan cap", () => {
+  const loan = { LoanAmount: "5000", Tenure: "6" };
+  const regular = { Id: "9", Status: "Active" };
+
+  expect(
+    validateLoan({ loan, product: emergency, activeLoans: [], maxLoans: "2" })
+  ).toBeNull();
+  expect(
+    validateLoan({
+      loan: { ...loan, LoanAmount: "15000" },
+      product: emergency,
+    })
+  ).toMatch("limited to ₹10000");
+  expect(
+    validateLoan({ loan: { ...loan, Tenure: "12" }, product: emergency })
+  ).toMatch("at most 6 months");
+  expect(
+    validateLoan({
+      loan,
+      product: emergency,
+      activeLoans: [regular, regular],
+      maxLoans: "2",
+    })
+  ).toMatch("allows 2 at a time");
+});
@@ -0,0 +1,121 @@
+// loanSchedule.js - Loan repayment (amortization) schedules
+// Rates are monthly percentages, as bachat gats quote them (e.g. 1.5% a month)
+
+import { parseDate, toISODate } from "./dates";
+
+export const INTEREST_METHODS = {
+  FLAT: "Flat",
+  REDUCING: "Reducing",
+};
+
+// Same day of the month, `months` later (clamped to the month's last day)
+const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(
+    target.getFullYear(),
+    target.getMonth() + 1,
+    0
+  ).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+/**
+ * Month-by-month schedule. The first installment falls due one month
+ * after the start date; amounts are whole rupees and the last installment
+ * absorbs rounding so the balance ends at exactly 0.
+ * Returns [{ installment, dueDate, emi, principal, interest, balance }]
+ */
+export function generateSchedule({
+  principal,
+  monthlyRate = 0,
+  method = INTEREST_METHODS.FLAT,
+  tenure,
+  startDate,
+}) {
+  const amount = Number(principal);
+  const months = Number(tenure);
+  const rate = Number(monthlyRate) / 100;
+  const start = parseDate(startDate);
+
+  if (!(amount > 0) || !(months > 0) || !start) return [];
+
+  // Flat: interest on the original amount every month
+  // Reducing: equal EMIs, interest on the remaining balance
+  const reducingEmi =
+    rate > 0
+      ? (amount * rate * Math.pow(1 + rate, months)) /
+        (Math.pow(1 + rate, months) - 1)
+      : amount / months;
+
+  const rows = [];
+  let balance = amount;
+
+  for (let i = 1; i <= months; i++) {
+    let interest;
+    let principalPart;
+
+    if (method === INTEREST_METHODS.REDUCING) {
+      interest = Math.round(balance * rate);
+      principalPart = Math.round(reducingEmi) - interest;
+    } else {
+      interest = Math.round(amount * rate);
+      principalPart = Math.round(amount / months);
+    }
+
+    if (i === months || principalPart > balance) principalPart = balance;
+    balance -= principalPart;
+
+    rows.push({
+      installment: i,
+      dueDate: toISODate(addMonths(start, i)),
+      emi: principalPart + interest,
+      principal: principalPart,
+      interest,
+      balance,
+    });
+
+    if (balance <= 0) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Schedule for a Loan Details row: the one stored at creation, otherwise
+ * regenerated from the loan's terms (empty for loans without terms)
+ */
+export function getLoanSchedule(loan) {
+  if (!loan) return [];
+
+  if (loan.Schedule) {
+    try {
+      const stored = JSON.parse(loan.Schedule);
+      if (Array.isArray(stored)) return stored;
+    } catch (error) {
+      console.error(`Invalid schedule on loan ${loan.Id}:`, error);
+    }
+  }
+
+  return generateSchedule({
+    principal: loan.LoanAmount,
+    monthlyRate: loan.InterestRate,
+    method: loan.InterestMethod,
+    tenure: loan.Tenure,
+    startDate: loan.StartDate || loan.Date,
+  });
+}
+
+/**
+ * Totals of a schedule: { principal, interest, total }
+ */
+export function summarizeSchedule(schedule) {
+  return schedule.reduce(
+    (sum, row) => ({
+      principal: sum.principal + row.principal,
+      interest: sum.interest + row.interest,
+      total: sum.total + row.emi,
+    }),
+    { principal: 0, interest: 0, total: 0 }
+  );
+}
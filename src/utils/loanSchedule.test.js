@@ -0,0 +1,55 @@
+import {
+  generateSchedule,
+  getLoanSchedule,
+  summarizeSchedule,
+} from "./loanSchedule";
+
+test("flat interest charges the same interest on the original amount", () => {
+  const schedule = generateSchedule({
+    principal: 10000,
+    monthlyRate: 2,
+    method: "Flat",
+    tenure: 10,
+    startDate: "2024-01-31",
+  });
+
+  expect(schedule).toHaveLength(10);
+  expect(schedule[0]).toEqual({
+    installment: 1,
+    dueDate: "2024-02-29",
+    emi: 1200,
+    principal: 1000,
+    interest: 200,
+    balance: 9000,
+  });
+  expect(summarizeSchedule(schedule)).toEqual({
+    principal: 10000,
+    interest: 2000,
+    total: 12000,
+  });
+});
+
+test("reducing balance keeps EMIs equal and ends at zero", () => {
+  const schedule = generateSchedule({
+    principal: 15000,
+    monthlyRate: 1.5,
+    method: "Reducing",
+    tenure: 12,
+    startDate: "2024-04-10",
+  });
+
+  expect(schedule[0]).toMatchObject({
+    emi: 1375,
+    interest: 225,
+    principal: 1150,
+  });
+  expect(schedule[11].balance).toBe(0);
+  expect(schedule[11].dueDate).toBe("2025-04-10");
+  expect(summarizeSchedule(schedule).principal).toBe(15000);
+});
+
+test("loans without terms have no schedule", () => {
+  expect(getLoanSchedule({ LoanAmount: "10000", Date: "2024-01-01" })).toEqual(
+    []
+  );
+});
@@ -0,0 +1,160 @@
+// loanWorkflow.js - Loan stages from application to closure
+// Applied -> Approved (meeting resolution) -> Disbursed -> Closed, or
+// Rejected before any money is paid out. Loans recorded before the
+// workflow read "Active" (disbursed) or "Inactive" (repaid).
+
+import { generateSchedule } from "./loanSchedule";
+
+export const LOAN_STATES = {
+  APPLIED: "Applied",
+  APPROVED: "Approved",
+  DISBURSED: "Disbursed",
+  CLOSED: "Closed",
+  REJECTED: "Rejected",
+};
+
+// Stages each stage may move on to
+export const NEXT_STATES = {
+  [LOAN_STATES.APPLIED]: [LOAN_STATES.APPROVED, LOAN_STATES.REJECTED],
+  [LOAN_STATES.APPROVED]: [LOAN_STATES.DISBURSED, LOAN_STATES.REJECTED],
+  [LOAN_STATES.DISBURSED]: [LOAN_STATES.CLOSED],
+  [LOAN_STATES.CLOSED]: [],
+  [LOAN_STATES.REJECTED]: [],
+};
+
+const LEGACY_STAGES = {
+  active: LOAN_STATES.DISBURSED,
+  inactive: LOAN_STATES.CLOSED,
+};
+
+const statusOf = (loan) =>
+  String(loan.Status || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Workflow stage of a loan row (blank and unknown statuses read as Disbursed)
+ */
+export function loanStage(loan) {
+  const status = statusOf(loan);
+  const stage = Object.values(LOAN_STATES).find(
+    (s) => s.toLowerCase() === status
+  );
+  return stage || LEGACY_STAGES[status] || LOAN_STATES.DISBURSED;
+}
+
+// Money has been paid out on the loan
+export const isDisbursed = (loan) =>
+  [LOAN_STATES.DISBURSED, LOAN_STATES.CLOSED].includes(loanStage(loan));
+
+// Waiting for the meeting's approval or for the cash
+export const isPending = (loan) =>
+  [LOAN_STATES.APPLIED, LOAN_STATES.APPROVED].includes(loanStage(loan));
+
+// Still being repaid (on rows with derived balances, see loanBalances.js)
+export const isOpenLoan = (loan) => loanStage(loan) === LOAN_STATES.DISBURSED;
+
+// Closed by hand (written off, cleared at exit), with the reason recorded;
+// a loan the ledger shows repaid is "Closed" too but has no reason
+export const isClosedByHand = (loan) =>
+  loanStage(loan) === LOAN_STATES.CLOSED &&
+  Boolean(String(loan.CloseReason || "").trim());
+
+// Disbursed loans whose closure follows from the payments, so a reversed
+// repayment reopens them; loans closed by hand stay closed
+export const isRepaidFromLedger = (loan) =>
+  isDisbursed(loan) && !isClosedByHand(loan);
+
+const splitNames = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+/**
+ * Check a move to stage `to` with its details; returns an error or null
+ * Approved: { approvers, resolutionNo, date }
+ * Rejected: { reason, resolutionNo?, date }
+ * Disbursed: { date, paymentMode }
+ * Closed: { date, reason }
+ */
+export function validateTransition(loan, to, details = {}) {
+  const from = loanStage(loan);
+  if (!NEXT_STATES[from].includes(to)) {
+    return `A ${from.toLowerCase()} loan cannot be marked ${to.toLowerCase()}.`;
+  }
+  if (!details.date) return "Enter the date.";
+
+  if (to === LOAN_STATES.APPROVED) {
+    if (splitNames(details.approvers).length === 0) {
+      return "Enter who approved the loan.";
+    }
+    if (!String(details.resolutionNo || "").trim()) {
+      return "Enter the meeting's resolution number.";
+    }
+  }
+  if (to === LOAN_STATES.REJECTED && !String(details.reason || "").trim()) {
+    return "Enter the reason for rejecting the loan.";
+  }
+  if (to === LOAN_STATES.CLOSED && !String(details.reason || "").trim()) {
+    return "Enter why the loan is being closed.";
+  }
+  if (to === LOAN_STATES.DISBURSED && !details.paymentMode) {
+    return "Enter how the money was paid out.";
+  }
+
+  return null;
+}
+
+/**
+ * Loan fields to write for a move to stage `to` (see validateTransition).
+ * Disbursement dates the loan and its schedule from the day the money
+ * was paid out.
+ */
+export function transitionFields(loan, to, details) {
+  switch (to) {
+    case LOAN_STATES.APPROVED:
+      return {
+        Status: to,
+        ApprovedBy: splitNames(details.approvers).join(", "),
+        ResolutionNo: String(details.resolutionNo).trim(),
+        ApprovedOn: details.date,
+      };
+    case LOAN_STATES.REJECTED:
+      return {
+        Status: to,
+        RejectionReason: details.reason.trim(),
+        ResolutionNo: String(details.resolutionNo || "").trim(),
+        RejectedOn: details.date,
+      };
+    case LOAN_STATES.DISBURSED: {
+      const schedule = generateSchedule({
+        principal: loan.LoanAmount,
+        monthlyRate: loan.InterestRate,
+        method: loan.InterestMethod,
+        tenure: loan.Tenure,
+        startDate: details.date,
+      });
+      return {
+        Status: to,
+        Date: details.date,
+        StartDate: details.date,
+        DisbursedOn: details.date,
+        DisbursementMode: details.paymentMode,
+        RemainingLoan: Number(loan.LoanAmount || 0),
+        ...(schedule.length > 0 && {
+          Emi: schedule[0].emi,
+          Schedule: JSON.stringify(schedule),
+        }),
+      };
+    }
+    case LOAN_STATES.CLOSED:
+      return {
+        Status: to,
+        RemainingLoan: 0,
+        ClosedOn: details.date,
+        CloseReason: details.reason.trim(),
+      };
+    default:
+      return { Status: to };
+  }
+}
@@ -0,0 +1,97 @@
+import {
+  LOAN_STATES,
+  loanStage,
+  isOpenLoan,
+  isPending,
+  isClosedByHand,
+  isRepaidFromLedger,
+  validateTransition,
+  transitionFields,
+} from "./loanWorkflow";
+
+const application = {
+  Id: "5",
+  Name: "Sunita",
+  Date: "2024-03-01",
+  LoanAmount: "12000",
+  InterestRate: "1",
+  InterestMethod: "Flat",
+  Tenure: "12",
+  Status: "Applied",
+};
+
+test("reads loans recorded before the workflow as disbursed or closed", () => {
+  expect(loanStage({ Status: "Active" })).toBe(LOAN_STATES.DISBURSED);
+  expect(loanStage({ Status: "" })).toBe(LOAN_STATES.DISBURSED);
+  expect(loanStage({ Status: "Inactive" })).toBe(LOAN_STATES.CLOSED);
+  expect(isOpenLoan({ Status: "Active" })).toBe(true);
+  expect(isPending(application)).toBe(true);
+});
+
+test("moves a loan through approval and disbursement", () => {
+  expect(
+    validateTransition(application, LOAN_STATES.DISBURSED, {
+      date: "2024-03-10",
+      paymentMode: "Cash",
+    })
+  ).toMatch("cannot be marked disbursed");
+  expect(
+    validateTransition(application, LOAN_STATES.APPROVED, {
+      date: "2024-03-10",
+      approvers: "Lata",
+    })
+  ).toMatch("resolution number");
+
+  const approval = {
+    date: "2024-03-10",
+    approvers: "Lata, Rekha ",
+    resolutionNo: "R-12",
+  };
+  expect(
+    validateTransition(application, LOAN_STATES.APPROVED, approval)
+  ).toBeNull();
+  expect(transitionFields(application, LOAN_STATES.APPROVED, approval)).toEqual(
+    {
+      Status: "Approved",
+      ApprovedBy: "Lata, Rekha",
+      ResolutionNo: "R-12",
+      ApprovedOn: "2024-03-10",
+    }
+  );
+
+  const approved = { ...application, Status: "Approved" };
+  const fields = transitionFields(approved, LOAN_STATES.DISBURSED, {
+    date: "2024-03-15",
+    paymentMode: "Cash",
+  });
+  expect(fields).toMatchObject({
+    Status: "Disbursed",
+    Date: "2024-03-15",
+    DisbursementMode: "Cash",
+    RemainingLoan: 12000,
+    Emi: 1120,
+  });
+  expect(JSON.parse(fields.Schedule)[0].dueDate).toBe("2024-04-15");
+});
+
+test("keeps loans closed by hand apart from loans the ledger closed", () => {
+  const disbursed = { ...application, Status: "Disbursed" };
+  expect(
+    validateTransition(disbursed, LOAN_STATES.CLOSED, { date: "2024-09-01" })
+  ).toMatch("why the loan is being closed");
+
+  const fields = transitionFields(disbursed, LOAN_STATES.CLOSED, {
+    date: "2024-09-01",
+    reason: "Written off ",
+  });
+  expect(fields).toMatchObject({
+    Status: "Closed",
+    CloseReason: "Written off",
+  });
+  expect(isClosedByHand({ ...disbursed, ...fields })).toBe(true);
+  expect(isRepaidFromLedger({ ...disbursed, ...fields })).toBe(false);
+
+  // Closed because the payments cover it: reopens if one is reversed
+  expect(isRepaidFromLedger({ Status: "Closed" })).toBe(true);
+  expect(isRepaidFromLedger(application)).toBe(false);
+});
@@ -0,0 +1,169 @@
+// reports.js - Meeting reports built from the cached sheets
+// Pure functions: callers pass Member List / Transactions / Loan Details rows
+
+import { parseDate, toMonthKey } from "./dates";
+import { isReversal, reversedIds } from "./corrections";
+import {
+  isPayout,
+  loanForTransaction,
+  withDerivedBalances,
+} from "./loanBalances";
+import { isOpenLoan } from "./loanWorkflow";
+import { getLoanSchedule } from "./loanSchedule";
+import { isSettlementEntry } from "./settlement";
+import {
+  savingOptions,
+  paymentMethods as defaultPaymentMethods,
+} from "../data/AddEntryData";
+
+const amount = (value) => Number(value || 0);
+
+/**
+ * EMI expected from a loan, as recorded in LoanEmi (principal only;
+ * interest has its own column): the principal of the installment due in
+ * `month` ("YYYY-MM") for loans with a schedule, else the loan's own Emi,
+ * else the last EMI the member paid since the loan was taken
+ */
+export function expectedEmiForLoan(loan, memberTransactions = [], month) {
+  const schedule = getLoanSchedule(loan);
+  if (schedule.length > 0) {
+    const due = schedule.find((row) => toMonthKey(row.dueDate) === month);
+    return (due || schedule[0]).principal;
+  }
+  if (amount(loan.Emi) > 0) return amount(loan.Emi);
+
+  const loanDate = parseDate(loan.Date);
+  const reversed = reversedIds(memberTransactions);
+  const paid = memberTransactions
+    .filter((t) => !isReversal(t) && !reversed.has(String(t.Id)))
+    .filter((t) => amount(t.LoanEmi) > 0)
+    .filter((t) => !loanDate || parseDate(t.Date) >= loanDate)
+    .sort((a, b) => parseDate(a.Date) - parseDate(b.Date));
+
+  const last = paid[paid.length - 1];
+  const emi = last ? amount(last.LoanEmi) : 0;
+  return Math.min(emi, amount(loan.RemainingLoan) || emi);
+}
+
+/**
+ * Monthly collection sheet for `month` ("YYYY-MM"):
+ * expected vs received saving and EMI per active member, late fees,
+ * and received totals per payment method
+ */
+export function buildMonthlyCollection({
+  month,
+  members = [],
+  transactions = [],
+  loans = [],
+  expectedSaving = amount(savingOptions[0]),
+  paymentMethods = defaultPaymentMethods,
+}) {
+  const monthStart = parseDate(`${month}-01`);
+  const balances = withDerivedBalances(loans, transactions);
+  // Payouts and exit settlements move money already held: not collected
+  const monthTxns = transactions.filter(
+    (t) => toMonthKey(t.Date) === month && !isPayout(t) && !isSettlementEntry(t)
+  );
+
+  const rows = members
+    .filter((m) => m.Name && m.Status !== "Inactive")
+    .map((m) => {
+      const name = m.Name.trim();
+      const paid = monthTxns.filter((t) => t.Name?.trim() === name);
+
+      // Every active loan is due; loans taken during the month start
+      // repaying the month after
+      const memberLoans = balances.filter(
+        (l) =>
+          l.Name?.trim() === name &&
+          isOpenLoan(l) &&
+          (!parseDate(l.Date) || parseDate(l.Date) < monthStart)
+      );
+      const memberTxns = transactions.filter((t) => t.Name?.trim() === name);
+      const expectedEmi = memberLoans.reduce(
+        (sum, loan) =>
+          sum +
+          expectedEmiForLoan(
+            loan,
+            memberTxns.filter((t) => loanForTransaction(t, balances) === loan),
+            month
+          ),
+        0
+      );
+
+      const received = paid.reduce(
+        (sum, t) => ({
+          saving: sum.saving + amount(t.Saving),
+          emi: sum.emi + amount(t.LoanEmi),
+          interest: sum.interest + amount(t.Interest),
+          lateFee: sum.lateFee + amount(t.LateFee),
+        }),
+        { saving: 0, emi: 0, interest: 0, lateFee: 0 }
+      );
+
+      const missingSaving = Math.max(expectedSaving - received.saving, 0);
+      const missingEmi = Math.max(expectedEmi - received.emi, 0);
+
+      let status = "Paid";
+      // Entries reversed in full count as not paid
+      const nothingReceived = received.saving <= 0 && received.emi <= 0;
+      if (paid.length === 0 || nothingReceived) status = "Not paid";
+      else if (missingSaving > 0 || missingEmi > 0) status = "Partial";
+
+      return {
+        name,
+        expectedSaving,
+        expectedEmi,
+        ...received,
+        missingSaving,
+        missingEmi,
+        status,
+      };
+    });
+
+  const totals = rows.reduce((sum, row) => {
+    Object.keys(row).forEach((key) => {
+      if (typeof row[key] === "number") sum[key] = (sum[key] || 0) + row[key];
+    });
+    return sum;
+  }, {});
+
+  const byMethod = {};
+  paymentMethods.forEach((method) => (byMethod[method] = 0));
+  monthTxns.forEach((t) => {
+    const method = t.PaymentMethod || "Unspecified";
+    const total =
+      amount(t.Saving) + amount(t.LoanEmi) + amount(t.Interest) + amount(t.LateFee);
+    byMethod[method] = (byMethod[method] || 0) + total;
+  });
+
+  return { month, rows, totals, byMethod };
+}
+
+/**
+ * Headline figures of one group, for the cross-group overview:
+ * { members, corpus, interestEarned, loansOutstanding, activeLoans }
+ */
+export function summarizeGroup({
+  members = [],
+  transactions = [],
+  loans = [],
+}) {
+  const activeLoans = withDerivedBalances(loans, transactions).filter(
+    (l) => l.Name && isOpenLoan(l)
+  );
+
+  return {
+    members: members.filter((m) => m.Name && m.Status !== "Inactive").length,
+    corpus: transactions.reduce((s, t) => s + amount(t.Saving), 0),
+    interestEarned: transactions.reduce(
+      (s, t) => s + amount(t.Interest) + amount(t.LateFee),
+      0
+    ),
+    loansOutstanding: activeLoans.reduce(
+      (s, l) => s + amount(l.RemainingLoan),
+      0
+    ),
+    activeLoans: activeLoans.length,
+  };
+}
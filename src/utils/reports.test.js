@@ -0,0 +1,168 @@
+import { buildMonthlyCollection, summarizeGroup } from "./reports";
+import { buildSettlement, settlementEntries } from "./settlement";
+
+test("lists expected and received amounts per active member for the month", () => {
+  const report = buildMonthlyCollection({
+    month: "2024-03",
+    members: [
+      { Name: "Sunita", Status: "Active" },
+      { Name: "Asha", Status: "Active" },
+      { Name: "Meena", Status: "Inactive" },
+    ],
+    loans: [
+      {
+        Name: "Sunita",
+        Date: "2024-01-05",
+        LoanAmount: "10000",
+        Emi: "1000",
+        Status: "Active",
+      },
+    ],
+    transactions: [
+      {
+        Date: "2024-03-12",
+        Name: "Sunita",
+        Saving: "500",
+        LoanEmi: "1000",
+        LateFee: "20",
+        PaymentMethod: "Gpay",
+      },
+      {
+        Date: "2024-02-10",
+        Name: "Asha",
+        Saving: "500",
+        PaymentMethod: "Cash",
+      },
+    ],
+    expectedSaving: 500,
+  });
+
+  expect(report.rows.map((r) => [r.name, r.status])).toEqual([
+    ["Sunita", "Paid"],
+    ["Asha", "Not paid"],
+  ]);
+  expect(report.rows[0].expectedEmi).toBe(1000);
+  expect(report.totals.missingSaving).toBe(500);
+  expect(report.byMethod).toMatchObject({ Gpay: 1520, Cash: 0 });
+});
+
+test("expects only the principal of a scheduled loan's installment as EMI", () => {
+  // ₹10000 over 12 months at 2% flat: ₹833 principal + ₹200 interest
+  const report = buildMonthlyCollection({
+    month: "2024-03",
+    members: [{ Name: "Sunita", Status: "Active" }],
+    loans: [
+      {
+        Id: "1",
+        Name: "Sunita",
+        Date: "2024-01-05",
+        LoanAmount: "10000",
+        InterestRate: "2",
+        InterestMethod: "Flat",
+        Tenure: "12",
+        Emi: "1033",
+        Status: "Disbursed",
+      },
+    ],
+    transactions: [
+      {
+        Date: "2024-03-05",
+        Name: "Sunita",
+        Saving: "500",
+        LoanEmi: "833",
+        Interest: "200",
+        LoanId: "1",
+      },
+    ],
+    expectedSaving: 500,
+  });
+
+  expect(report.rows[0]).toMatchObject({
+    expectedEmi: 833,
+    missingEmi: 0,
+    status: "Paid",
+  });
+});
+
+test("does not count an exit settlement as money collected", () => {
+  const loans = [
+    {
+      Id: "1",
+      Name: "Sunita",
+      Date: "2024-01-05",
+      LoanAmount: "10000",
+      Status: "Disbursed",
+    },
+  ];
+  const saved = [
+    {
+      Name: "Sunita",
+      Date: "2024-01-10",
+      Saving: "12000",
+      PaymentMethod: "Cash",
+    },
+  ];
+  const settlement = buildSettlement({
+    memberName: "Sunita",
+    transactions: saved,
+    loans,
+    asOf: new Date(2024, 2, 20),
+  });
+  const report = buildMonthlyCollection({
+    month: "2024-03",
+    members: [{ Name: "Asha", Status: "Active" }],
+    loans,
+    transactions: [
+      ...saved,
+      ...settlementEntries(settlement, {
+        date: "2024-03-20",
+        paymentMethod: "Cash",
+      }),
+    ],
+  });
+
+  expect(report.byMethod.Cash).toBe(0);
+  expect(report.totals.emi).toBe(0);
+});
+
+test("summarizes a group's corpus and loans outstanding", () => {
+  const summary = summarizeGroup({
+    members: [
+      { Name: "Sunita", Status: "Active" },
+      { Name: "Asha", Status: "Inactive" },
+    ],
+    loans: [
+      {
+        Name: "Sunita",
+        LoanAmount: "10000",
+        RemainingLoan: "10000",
+        Status: "Active",
+      },
+      {
+        Name: "Asha",
+        LoanAmount: "3000",
+        RemainingLoan: "0",
+        Status: "Closed",
+        CloseReason: "Written off",
+      },
+    ],
+    transactions: [
+      {
+        Name: "Sunita",
+        Saving: "500",
+        LoanEmi: "2000",
+        Interest: "200",
+        LateFee: "20",
+      },
+      { Name: "Asha", Saving: "500" },
+    ],
+  });
+
+  expect(summary).toEqual({
+    members: 1,
+    corpus: 1000,
+    interestEarned: 220,
+    loansOutstanding: 8000,
+    activeLoans: 1,
+  });
+});
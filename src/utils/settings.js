@@ -0,0 +1,177 @@
+// settings.js - Group settings kept in the "Settings" sheet
+// Every change appends a row { Key, Value, ChangedAt }; the latest row per
+// key is the current value and earlier rows are the change history.
+// Until a group saves its own, the AddEntryData values are the defaults.
+
+import {
+  savingOptions,
+  loanEMIOptions,
+  interestOptions,
+  lateFeeOptions,
+  paymentMethods,
+  interestRateOptions,
+  interestMethods,
+  tenureOptions,
+} from "../data/AddEntryData";
+
+// Editable settings, in the order shown on the settings screen
+export const SETTING_FIELDS = [
+  {
+    key: "savingOptions",
+    label: "Monthly saving (₹)",
+    numeric: true,
+    defaults: savingOptions,
+  },
+  {
+    key: "loanEMIOptions",
+    label: "Loan EMI amounts (₹)",
+    numeric: true,
+    defaults: loanEMIOptions,
+  },
+  {
+    key: "interestOptions",
+    label: "Interest amounts (₹)",
+    numeric: true,
+    defaults: interestOptions,
+  },
+  {
+    key: "lateFeeOptions",
+    label: "Late fee amounts (₹)",
+    numeric: true,
+    defaults: lateFeeOptions,
+  },
+  {
+    key: "paymentMethods",
+    label: "Payment methods",
+    defaults: paymentMethods,
+  },
+  {
+    key: "loanAmounts",
+    label: "Loan amounts (₹)",
+    numeric: true,
+    defaults: ["10000", "15000", "30000"],
+  },
+  {
+    key: "interestRateOptions",
+    label: "Interest rates (% per month)",
+    numeric: true,
+    defaults: interestRateOptions,
+  },
+  {
+    key: "tenureOptions",
+    label: "Loan tenures (months)",
+    numeric: true,
+    defaults: tenureOptions,
+  },
+  {
+    key: "maxConcurrentLoans",
+    label: "Loans a member may hold at once",
+    numeric: true,
+    defaults: ["1"],
+  },
+  {
+    key: "minMembershipMonths",
+    label: "Months of membership before a loan",
+    numeric: true,
+    defaults: ["6"],
+  },
+  {
+    key: "savingsMultiple",
+    label: "Loan limit as a multiple of savings",
+    numeric: true,
+    defaults: ["3"],
+  },
+  {
+    key: "maxLatePayments",
+    label: "Late payments allowed in 12 months",
+    numeric: true,
+    defaults: ["3"],
+  },
+  {
+    key: "interestMethods",
+    label: "Interest methods",
+    defaults: interestMethods,
+  },
+  {
+    key: "dividendMethod",
+    label: "Dividend basis (Savings balance or Month-weighted savings)",
+    defaults: ["Savings balance"],
+  },
+  {
+    key: "yearStartMonth",
+    label: "Financial year starts in month (1-12)",
+    numeric: true,
+    defaults: ["4"],
+  },
+];
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  SETTING_FIELDS.map((field) => [field.key, field.defaults])
+);
+
+/**
+ * Split a stored "500, 1000" value into ["500", "1000"]
+ */
+export function parseSettingValue(value) {
+  return String(value ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check a list entered for a setting; returns an error message or null
+ */
+export function validateSetting(field, values) {
+  if (values.length === 0) return `${field.label}: enter at least one value.`;
+  if (field.numeric && values.some((v) => isNaN(Number(v)) || Number(v) < 0)) {
+    return `${field.label}: only amounts or numbers are allowed.`;
+  }
+  return null;
+}
+
+// Oldest change first; rows saved in the same batch keep their sheet order
+const byChangedAt = (rows) =>
+  [...(rows || [])]
+    .filter((row) => row.Key)
+    .map((row, index) => ({ row, index }))
+    .sort(
+      (a, b) =>
+        String(a.row.ChangedAt || "").localeCompare(
+          String(b.row.ChangedAt || "")
+        ) || a.index - b.index
+    )
+    .map(({ row }) => row);
+
+/**
+ * Current settings from the sheet rows, falling back to the defaults
+ */
+export function resolveSettings(rows) {
+  const settings = { ...DEFAULT_SETTINGS };
+
+  byChangedAt(rows).forEach((row) => {
+    if (!(row.Key in settings)) return;
+    const values = parseSettingValue(row.Value);
+    if (values.length > 0) settings[row.Key] = values;
+  });
+
+  return settings;
+}
+
+/**
+ * Change history, newest first: [{ key, label, value, changedAt }]
+ */
+export function settingsHistory(rows) {
+  const labels = Object.fromEntries(
+    SETTING_FIELDS.map((field) => [field.key, field.label])
+  );
+
+  return byChangedAt(rows)
+    .reverse()
+    .map((row) => ({
+      key: row.Key,
+      label: labels[row.Key] || row.Key,
+      value: parseSettingValue(row.Value).join(", "),
+      changedAt: row.ChangedAt || "",
+    }));
+}
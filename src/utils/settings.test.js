@@ -0,0 +1,58 @@
+import {
+  DEFAULT_SETTINGS,
+  SETTING_FIELDS,
+  parseSettingValue,
+  resolveSettings,
+  settingsHistory,
+  validateSetting,
+} from "./settings";
+
+const rows = [
+  { Key: "savingOptions", Value: "500", ChangedAt: "2024-01-01T10:00:00Z" },
+  { Key: "savingOptions", Value: "600", ChangedAt: "2024-06-01T10:00:00Z" },
+  {
+    Key: "paymentMethods",
+    Value: "Cash, Bank",
+    ChangedAt: "2024-03-01T10:00:00Z",
+  },
+  { Key: "unknown", Value: "x", ChangedAt: "2024-02-01T10:00:00Z" },
+];
+
+test("parses comma-separated values", () => {
+  expect(parseSettingValue(" 500, 1000 ,,")).toEqual(["500", "1000"]);
+  expect(parseSettingValue(undefined)).toEqual([]);
+});
+
+test("uses the latest change per setting over the defaults", () => {
+  const settings = resolveSettings(rows);
+
+  expect(settings.savingOptions).toEqual(["600"]);
+  expect(settings.paymentMethods).toEqual(["Cash", "Bank"]);
+  expect(settings.loanAmounts).toEqual(DEFAULT_SETTINGS.loanAmounts);
+  expect(settings.unknown).toBeUndefined();
+});
+
+test("lists the change history newest first", () => {
+  const history = settingsHistory(rows);
+
+  expect(history[0]).toEqual({
+    key: "savingOptions",
+    label: "Monthly saving (₹)",
+    value: "600",
+    changedAt: "2024-06-01T10:00:00Z",
+  });
+  expect(history.map((h) => h.value)).toEqual([
+    "600",
+    "Cash, Bank",
+    "x",
+    "500",
+  ]);
+});
+
+test("rejects empty lists and non-numeric amounts", () => {
+  const saving = SETTING_FIELDS.find((f) => f.key === "savingOptions");
+
+  expect(validateSetting(saving, [])).toMatch(/at least one/);
+  expect(validateSetting(saving, ["abc"])).toMatch(/only amounts/);
+  expect(validateSetting(saving, ["500"])).toBeNull();
+});
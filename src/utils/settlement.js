@@ -0,0 +1,138 @@
+// settlement.js - Final settlement when a member leaves the group
+// The member takes out their savings and their share of the group's
+// interest income, less what they still owe: the principal of their open
+// loans and the interest overdue on them. A positive net is paid out to
+// the member; a negative net is recovered from them.
+
+import { buildArrearsReport } from "./arrears";
+
+const amount = (value) => Number(value || 0);
+
+export const EXIT_REASON = "Member left the group";
+
+// Entries posted by an exit settlement: they move money already held,
+// so they are not money collected
+export const isSettlementEntry = (transaction) =>
+  Boolean(transaction.Settlement);
+
+/**
+ * The member's share of the interest and late fees the group has earned,
+ * in proportion to their savings (net of earlier exits and payouts)
+ */
+export function interestShare(memberName, transactions = []) {
+  const name = memberName.trim();
+  const totals = transactions.reduce(
+    (sum, t) => ({
+      income: sum.income + amount(t.Interest) + amount(t.LateFee),
+      savings: sum.savings + amount(t.Saving),
+      member: sum.member + (t.Name?.trim() === name ? amount(t.Saving) : 0),
+    }),
+    { income: 0, savings: 0, member: 0 }
+  );
+
+  if (totals.savings <= 0 || totals.member <= 0) return 0;
+  return Math.round((totals.income * totals.member) / totals.savings);
+}
+
+/**
+ * Settlement of `memberName` as of `asOf`:
+ * { name, savings, interestShare, loans: [{ loan, principal, interest }],
+ *   outstanding, dues, net }
+ */
+export function buildSettlement({
+  memberName,
+  transactions = [],
+  loans = [],
+  asOf = new Date(),
+}) {
+  const name = memberName.trim();
+
+  const savings = transactions
+    .filter((t) => t.Name?.trim() === name)
+    .reduce((s, t) => s + amount(t.Saving), 0);
+  const share = interestShare(name, transactions);
+
+  // Open loans with their unpaid principal and overdue interest
+  const open = buildArrearsReport({ loans, transactions, asOf })
+    .rows.filter(
+      (row) =>
+        row.loan.Name.trim() === name && amount(row.loan.RemainingLoan) > 0
+    )
+    .map((row) => ({
+      loan: row.loan,
+      principal: amount(row.loan.RemainingLoan),
+      interest: row.overdueInterest,
+    }));
+
+  const outstanding = open.reduce((s, l) => s + l.principal, 0);
+  const dues = open.reduce((s, l) => s + l.interest, 0);
+
+  return {
+    name,
+    savings,
+    interestShare: share,
+    loans: open,
+    outstanding,
+    dues,
+    net: savings + share - outstanding - dues,
+  };
+}
+
+/**
+ * Transactions recording a settlement: each open loan repaid out of the
+ * settlement, then the savings and interest share taken out. Together
+ * they come to the cash paid out (or, negated, recovered). Every row is
+ * marked as part of the settlement, and the payout row as a payout so it
+ * is never taken for a loan repayment.
+ */
+export function settlementEntries(settlement, { date, paymentMethod = "" }) {
+  const { name, net } = settlement;
+
+  const rows = settlement.loans.map(({ loan, principal, interest }) => ({
+    Date: date,
+    Name: name,
+    LoanEmi: principal,
+    Interest: interest,
+    LoanId: loan.Id,
+    PaymentMethod: paymentMethod,
+    Settlement: "Exit",
+    Notes: `Exit settlement: loan #${loan.Id} cleared`,
+  }));
+
+  if (settlement.savings !== 0 || settlement.interestShare !== 0) {
+    rows.push({
+      Date: date,
+      Name: name,
+      Saving: -settlement.savings,
+      Interest: -settlement.interestShare,
+      PaymentMethod: paymentMethod,
+      Payout: "Exit",
+      Settlement: "Exit",
+      Notes:
+        net >= 0
+          ? `Exit settlement: ₹${net} paid out`
+          : `Exit settlement: ₹${-net} recovered`,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Deleted Members row: the member as they were and how they were settled
+ */
+export function settlementSnapshot(member, settlement, details = {}) {
+  return {
+    Name: member.Name,
+    JoinedOn: member.JoinedOn || "",
+    ExitedOn: details.date,
+    Savings: settlement.savings,
+    InterestShare: settlement.interestShare,
+    LoansOutstanding: settlement.outstanding,
+    Dues: settlement.dues,
+    NetSettlement: settlement.net,
+    PaymentMethod: details.paymentMethod || "",
+    SettledBy: details.settledBy || "",
+    Member: JSON.stringify(member),
+  };
+}
@@ -0,0 +1,97 @@
+import {
+  interestShare,
+  buildSettlement,
+  settlementEntries,
+  settlementSnapshot,
+} from "./settlement";
+import { withDerivedBalances } from "./loanBalances";
+
+const loan = {
+  Id: "1",
+  Name: "Sunita",
+  Date: "2024-01-01",
+  LoanAmount: "6000",
+  InterestRate: "1",
+  InterestMethod: "Flat",
+  Tenure: "6",
+  Status: "Disbursed",
+};
+const transactions = [
+  { Name: "Sunita", Date: "2024-01-05", Saving: "3000" },
+  { Name: "Asha", Date: "2024-01-05", Saving: "1000" },
+  {
+    Name: "Sunita",
+    Date: "2024-02-01",
+    LoanEmi: "1000",
+    Interest: "60",
+    LoanId: "1",
+  },
+  { Name: "Asha", Date: "2024-02-10", LateFee: "20" },
+];
+const asOf = new Date(2024, 3, 15);
+
+test("shares the group's interest income by savings", () => {
+  // ₹80 earned; Sunita holds ₹3000 of the ₹4000 saved
+  expect(interestShare("Sunita", transactions)).toBe(60);
+  expect(interestShare("Asha", transactions)).toBe(20);
+  expect(interestShare("Lata", transactions)).toBe(0);
+});
+
+test("nets savings and interest share against loans and overdue interest", () => {
+  const settlement = buildSettlement({
+    memberName: "Sunita",
+    transactions,
+    loans: [loan],
+    asOf,
+  });
+
+  // March and April installments unpaid: ₹120 interest overdue
+  expect(settlement).toMatchObject({
+    savings: 3000,
+    interestShare: 60,
+    outstanding: 5000,
+    dues: 120,
+    net: -2060,
+  });
+
+  const entries = settlementEntries(settlement, {
+    date: "2024-04-15",
+    paymentMethod: "Cash",
+  });
+  expect(entries).toEqual([
+    expect.objectContaining({
+      LoanEmi: 5000,
+      Interest: 120,
+      LoanId: "1",
+      Settlement: "Exit",
+    }),
+    expect.objectContaining({
+      Saving: -3000,
+      Interest: -60,
+      Payout: "Exit",
+      Settlement: "Exit",
+      Notes: "Exit settlement: ₹2060 recovered",
+    }),
+  ]);
+
+  // The entries leave nothing saved or owed
+  const after = [...transactions, ...entries];
+  const [balance] = withDerivedBalances([loan], after);
+  expect(balance.RemainingLoan).toBe(0);
+  expect(balance.InterestPaid).toBe(180);
+  expect(
+    after
+      .filter((t) => t.Name === "Sunita")
+      .reduce((s, t) => s + Number(t.Saving || 0), 0)
+  ).toBe(0);
+
+  expect(
+    settlementSnapshot({ Id: "4", Name: "Sunita" }, settlement, {
+      date: "2024-04-15",
+    })
+  ).toMatchObject({
+    Name: "Sunita",
+    ExitedOn: "2024-04-15",
+    NetSettlement: -2060,
+  });
+});
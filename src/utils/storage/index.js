@@ -0,0 +1,55 @@
+/**
+ * storage/index.js - Storage adapter selection
+ *
+ * Every adapter implements the same interface, per collection (sheet):
+ *   describe(collection)                -> unique id, used for cache keys
+ *   list(collection)                    -> all rows
+ *   insert(collection, rows)            -> { created }
+ *   update(collection, key, value, data) -> { updated }
+ *   remove(collection, key, value)      -> { deleted }
+ */
+
+import { createSheetDbAdapter } from "./sheetDbAdapter";
+import { createLocalStorageAdapter } from "./localStorageAdapter";
+import { createMemoryAdapter } from "./memoryAdapter";
+import { apiUsage } from "../apiUsage";
+
+export const COLLECTIONS = {
+  MEMBERS: "Member List",
+  TRANSACTIONS: "Transactions",
+  LOANS: "Loan Details",
+  DELETED_MEMBERS: "Deleted Members",
+  LATE_FEE_RULES: "Late Fee Rules",
+  SETTINGS: "Settings",
+  USERS: "Users",
+  AUDIT_LOG: "Audit Log",
+  LOAN_PRODUCTS: "Loan Products",
+  YEAR_END: "Year End",
+};
+
+// Configured through .env (REACT_APP_STORAGE_BACKEND=sheetdb|local|memory)
+export const storageConfig = {
+  backend: process.env.REACT_APP_STORAGE_BACKEND || "sheetdb",
+  sheetDbId: process.env.REACT_APP_SHEETDB_ID || "254cxsbebm3n7",
+  namespace: process.env.REACT_APP_STORAGE_NAMESPACE || "default",
+};
+
+export function createStorageAdapter(config = storageConfig) {
+  switch (config.backend) {
+    case "sheetdb":
+      return createSheetDbAdapter({
+        apiId: config.sheetDbId,
+        onRequest: (method, sheet) =>
+          apiUsage.record(method, sheet, config.usageNamespace),
+      });
+    case "local":
+      return createLocalStorageAdapter({ namespace: config.namespace });
+    case "memory":
+      return createMemoryAdapter({
+        namespace: config.namespace,
+        seed: config.seed,
+      });
+    default:
+      throw new Error(`Unknown storage backend "${config.backend}"`);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * localStorageAdapter.js - Storage adapter persisted in the browser's localStorage
+ * Keeps the whole group on one device, with no API quota to worry about
+ */
+
+import { applyInsert, applyUpdate, applyRemove } from "./rowOps";
+
+const KEY_PREFIX = "storage_";
+
+export function createLocalStorageAdapter({ namespace = "default" } = {}) {
+  const storageKey = (collection) => `${KEY_PREFIX}${namespace}_${collection}`;
+
+  const read = (collection) => {
+    try {
+      const stored = localStorage.getItem(storageKey(collection));
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error(`Error reading ${collection} from localStorage:`, error);
+      return [];
+    }
+  };
+
+  const write = (collection, rows) => {
+    localStorage.setItem(storageKey(collection), JSON.stringify(rows));
+  };
+
+  return {
+    name: "local",
+
+    describe(collection) {
+      return `local://${namespace}/${collection}`;
+    },
+
+    async list(collection) {
+      return read(collection);
+    },
+
+    async insert(collection, rows) {
+      const { rows: next, result } = applyInsert(read(collection), rows);
+      write(collection, next);
+      return result;
+    },
+
+    async update(collection, key, value, data) {
+      const { rows: next, result } = applyUpdate(
+        read(collection),
+        key,
+        value,
+        data
+      );
+      write(collection, next);
+      return result;
+    },
+
+    async remove(collection, key, value) {
+      const { rows: next, result } = applyRemove(read(collection), key, value);
+      write(collection, next);
+      return result;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * memoryAdapter.js - In-memory storage adapter
+ * Nothing is persisted; used by tests and for trying the app without a backend
+ */
+
+import { applyInsert, applyUpdate, applyRemove } from "./rowOps";
+
+export function createMemoryAdapter({ seed = {}, namespace = "default" } = {}) {
+  const tables = {};
+  Object.entries(seed).forEach(([collection, rows]) => {
+    tables[collection] = rows.map((row) => ({ ...row }));
+  });
+
+  const table = (collection) => {
+    if (!tables[collection]) tables[collection] = [];
+    return tables[collection];
+  };
+
+  return {
+    name: "memory",
+
+    describe(collection) {
+      return `memory://${namespace}/${collection}`;
+    },
+
+    async list(collection) {
+      return table(collection).map((row) => ({ ...row }));
+    },
+
+    async insert(collection, rows) {
+      const { rows: next, result } = applyInsert(table(collection), rows);
+      tables[collection] = next;
+      return result;
+    },
+
+    async update(collection, key, value, data) {
+      const { rows: next, result } = applyUpdate(
+        table(collection),
+        key,
+        value,
+        data
+      );
+      tables[collection] = next;
+      return result;
+    },
+
+    async remove(collection, key, value) {
+      const { rows: next, result } = applyRemove(table(collection), key, value);
+      tables[collection] = next;
+      return result;
+    },
+  };
+}
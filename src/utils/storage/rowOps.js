@@ -0,0 +1,38 @@
+/**
+ * rowOps.js - Row operations shared by the local storage adapters
+ * Mirrors SheetDB semantics: rows are matched by column value and
+ * results are reported as { created | updated | deleted: count }
+ */
+
+const matches = (row, key, value) => String(row[key]) === String(value);
+
+const nextId = (rows) =>
+  rows.reduce((max, row) => Math.max(max, Number(row.Id) || 0), 0) + 1;
+
+export function applyInsert(rows, newRows) {
+  const next = [...rows];
+  let id = nextId(rows);
+
+  newRows.forEach((row) => {
+    // SheetDB sheets generate their own Id column; emulate that locally
+    next.push(row.Id ? { ...row } : { ...row, Id: String(id++) });
+  });
+
+  return { rows: next, result: { created: newRows.length } };
+}
+
+export function applyUpdate(rows, key, value, data) {
+  let updated = 0;
+  const next = rows.map((row) => {
+    if (!matches(row, key, value)) return row;
+    updated++;
+    return { ...row, ...data };
+  });
+
+  return { rows: next, result: { updated } };
+}
+
+export function applyRemove(rows, key, value) {
+  const next = rows.filter((row) => !matches(row, key, value));
+  return { rows: next, result: { deleted: rows.length - next.length } };
+}
@@ -0,0 +1,64 @@
+/**
+ * sheetDbAdapter.js - Storage adapter backed by a SheetDB (Google Sheets) API
+ * Each collection maps to one sheet of the spreadsheet
+ */
+
+const SHEETDB_API = "https://sheetdb.io/api/v1";
+
+/**
+ * `onRequest(method, sheet)` is called for every outgoing request
+ * (used to meter usage against the monthly SheetDB quota)
+ */
+export function createSheetDbAdapter({ apiId, onRequest = () => {} }) {
+  if (!apiId) throw new Error("SheetDB adapter requires an apiId");
+
+  const baseUrl = `${SHEETDB_API}/${apiId}`;
+  const sheetUrl = (collection) => `${baseUrl}?sheet=${collection}`;
+  const rowUrl = (collection, key, value) =>
+    `${baseUrl}/${key}/${encodeURIComponent(value)}?sheet=${collection}`;
+
+  const request = async (collection, url, method, body) => {
+    const options = { method, headers: { "Content-Type": "application/json" } };
+    if (body) options.body = JSON.stringify(body);
+
+    const response = await fetch(url, options);
+
+    // Every request that reaches SheetDB counts against the quota
+    onRequest(method, collection);
+    if (!response.ok) {
+      throw new Error(`SheetDB ${method} failed: ${response.statusText}`);
+    }
+    return response.json();
+  };
+
+  return {
+    name: "sheetdb",
+    // Network backend: writes may need to wait in the offline outbox
+    remote: true,
+
+    /**
+     * Unique identifier for a collection (used for cache keys)
+     */
+    describe(collection) {
+      return sheetUrl(collection);
+    },
+
+    async list(collection) {
+      return request(collection, sheetUrl(collection), "GET");
+    },
+
+    async insert(collection, rows) {
+      return request(collection, sheetUrl(collection), "POST", { data: rows });
+    },
+
+    async update(collection, key, value, data) {
+      return request(collection, rowUrl(collection, key, value), "PUT", {
+        data,
+      });
+    },
+
+    async remove(collection, key, value) {
+      return request(collection, rowUrl(collection, key, value), "DELETE");
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// syncQueue.js - Durable outbox for writes made while offline
+// Persists queued writes to localStorage so they survive reloads, and
+// notifies components through window events like the other caches
+// Each group has its own outbox; the default group keeps the original key
+
+const OUTBOX_KEY = 'syncOutbox';
+
+let outboxKey = OUTBOX_KEY;
+
+const read = () => {
+  try {
+    const stored = localStorage.getItem(outboxKey);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading sync outbox:', error);
+    return [];
+  }
+};
+
+const save = (entries) => {
+  try {
+    localStorage.setItem(outboxKey, JSON.stringify(entries));
+    window.dispatchEvent(new CustomEvent('syncOutboxChanged', { detail: entries }));
+  } catch (error) {
+    console.error('Error writing sync outbox:', error);
+  }
+};
+
+export const syncQueue = {
+  // Switch to the outbox of another group
+  setNamespace(namespace = 'default') {
+    outboxKey = namespace === 'default' ? OUTBOX_KEY : `${OUTBOX_KEY}:${namespace}`;
+    window.dispatchEvent(new CustomEvent('syncOutboxChanged', { detail: read() }));
+  },
+
+  // All queued writes, oldest first
+  getAll() {
+    return read();
+  },
+
+  // Writes waiting to be replayed; conflicting or failed ones wait for the
+  // user instead and don't hold back new writes
+  hasPending() {
+    return read().some((e) => e.status === 'pending');
+  },
+
+  /**
+   * Queue a write: { op, collection, key?, value?, data, base? }
+   * `base` is the row as it looked when the write was made (for conflict checks)
+   */
+  enqueue(request) {
+    const entry = {
+      ...request,
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      queuedAt: new Date().toISOString(),
+      status: 'pending',
+    };
+    save([...read(), entry]);
+    return entry;
+  },
+
+  remove(id) {
+    save(read().filter((e) => e.id !== id));
+  },
+
+  update(id, changes) {
+    save(read().map((e) => (e.id === id ? { ...e, ...changes } : e)));
+  },
+
+  // Attach listener for outbox changes
+  onChange(callback) {
+    const listener = (event) => callback(event.detail);
+    window.addEventListener('syncOutboxChanged', listener);
+    return () => window.removeEventListener('syncOutboxChanged', listener);
+  }
+};